@@ -0,0 +1,202 @@
+/**
+ * ============================================================================
+ * RULE ENGINE BENCHMARK - Interpreted vs compiled evaluation
+ * ============================================================================
+ *
+ * Usage:
+ *   npm run bench
+ *   BENCH_RULES=1000 BENCH_INPUTS=200 BENCH_SECONDS=2 npm run bench
+ *
+ * Builds a deterministic synthetic ruleset (mixed operators, nested
+ * AND/OR, a few field-to-field comparisons) and measures evaluations per
+ * second for:
+ * - interpreted: evaluateCondition walking the raw condition trees
+ * - compiled:    RuleEngine.evaluate (compiled predicates)
+ * - compiled + field index (RULES_FIELD_INDEX)
+ *
+ * Every input is first checked to get the same outcome from all three.
+ * ============================================================================
+ */
+
+import { RuleEngine } from "../src/rules/engine.js";
+
+const RULES = parseInt(process.env.BENCH_RULES) || 1000;
+const INPUTS = parseInt(process.env.BENCH_INPUTS) || 200;
+const SECONDS = parseFloat(process.env.BENCH_SECONDS) || 2;
+const FIELDS = 50;
+
+// Deterministic PRNG (mulberry32) so runs are comparable
+function prng(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const random = prng(42);
+const pick = (list) => list[Math.floor(random() * list.length)];
+const int = (max) => Math.floor(random() * max);
+
+const COUNTRIES = ["US", "GB", "DE", "FR", "NG", "BR", "IN", "JP", "CN", "RU"];
+const CHANNELS = ["web", "mobile", "api", "pos", "partner"];
+
+// ----------------------------------------------------------------------------
+// Synthetic ruleset
+// ----------------------------------------------------------------------------
+
+function leaf() {
+  const field = `signals.s${int(FIELDS)}`;
+
+  switch (int(8)) {
+    case 0:
+      return { field, op: "gte", value: 90 + int(10) };
+    case 1:
+      return { field, op: "lt", value: 1 + int(5) };
+    case 2: {
+      const min = int(95);
+      return { field, op: "between", value: [min, min + 5] };
+    }
+    case 3:
+      return { field: "request.country", op: "in", value: [pick(COUNTRIES)] };
+    case 4:
+      return { field: "request.channel", op: "nin", value: CHANNELS.slice(1) };
+    case 5:
+      return { field: "request.reference", op: "regex", value: `^REF-${int(10)}${int(10)}` };
+    case 6:
+      return { field: "request.email", op: "iendsWith", value: `@example${int(20)}.com` };
+    default:
+      return { field: "request.amount", op: "gt", value: { field } };
+  }
+}
+
+function condition(depth = 0) {
+  if (depth < 2 && random() < 0.3) {
+    return {
+      operator: random() < 0.6 ? "AND" : "OR",
+      operands: Array.from({ length: 2 + int(2) }, () => condition(depth + 1)),
+    };
+  }
+  return leaf();
+}
+
+function buildRuleset() {
+  return {
+    version: "bench",
+    rules: Array.from({ length: RULES }, (_, i) => ({
+      id: `BENCH_${i}`,
+      name: `Synthetic rule ${i}`,
+      outcome: pick(["SAFE_DENY", "SAFE_ALLOW", "GREY_ZONE"]),
+      priority: int(1000),
+      condition: { operator: "AND", operands: [condition(), condition(), condition()] },
+    })),
+    defaults: { no_match_outcome: "GREY_ZONE" },
+  };
+}
+
+function buildInput() {
+  const signals = {};
+  for (let i = 0; i < FIELDS; i++) {
+    if (random() < 0.5) signals[`s${i}`] = int(100);
+  }
+
+  return {
+    request: {
+      amount: int(200),
+      country: pick(COUNTRIES),
+      channel: pick(CHANNELS),
+      reference: `REF-${int(1000)}`,
+      email: `user${int(1000)}@example${int(20)}.com`,
+    },
+    signals,
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Runners
+// ----------------------------------------------------------------------------
+
+// Same loop as RuleEngine.evaluate (trace and evaluation path included),
+// over the raw condition trees
+function evaluateInterpreted(engine, input) {
+  const evaluationPath = [];
+
+  for (const rule of engine.rules) {
+    const conditions = [];
+    const matched = engine.evaluateCondition(rule.condition, input, conditions);
+    evaluationPath.push({ ruleId: rule.id, ruleName: rule.name, matched, conditions });
+
+    if (matched) return { outcome: rule.outcome, ruleId: rule.id };
+  }
+  return { outcome: engine.defaults.no_match_outcome, ruleId: null };
+}
+
+function evaluateCompiled(engine, input) {
+  const result = engine.evaluate(input);
+  return { outcome: result.outcome, ruleId: result.matchedRule?.id ?? null };
+}
+
+function measure(name, evaluate, inputs) {
+  // Warm up
+  for (const input of inputs) evaluate(input);
+
+  let evaluations = 0;
+  const start = process.hrtime.bigint();
+  const budget = BigInt(Math.round(SECONDS * 1e9));
+
+  while (process.hrtime.bigint() - start < budget) {
+    for (const input of inputs) evaluate(input);
+    evaluations += inputs.length;
+  }
+
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  return { name, evaluations, perSecond: Math.round((evaluations / elapsedMs) * 1000) };
+}
+
+// ----------------------------------------------------------------------------
+// Main
+// ----------------------------------------------------------------------------
+
+const ruleset = buildRuleset();
+const inputs = Array.from({ length: INPUTS }, buildInput);
+
+const engine = RuleEngine.fromSource(ruleset);
+const indexed = RuleEngine.fromSource(ruleset, { fieldIndex: true });
+
+const runners = [
+  ["interpreted", (input) => evaluateInterpreted(engine, input)],
+  ["compiled", (input) => evaluateCompiled(engine, input)],
+  ["compiled + field index", (input) => evaluateCompiled(indexed, input)],
+];
+
+// Correctness: all runners agree on every input
+for (const [i, input] of inputs.entries()) {
+  const [expected, ...others] = runners.map(([, evaluate]) => evaluate(input));
+  for (const [j, actual] of others.entries()) {
+    if (actual.outcome !== expected.outcome || actual.ruleId !== expected.ruleId) {
+      console.error(
+        `Mismatch on input ${i}: ${runners[j + 1][0]} gave ${JSON.stringify(actual)}, ` +
+          `interpreted gave ${JSON.stringify(expected)}`
+      );
+      process.exit(1);
+    }
+  }
+}
+
+const matched = inputs.filter((input) => evaluateCompiled(engine, input).ruleId).length;
+console.log(
+  `Rules: ${RULES} | inputs: ${INPUTS} (${matched} match a rule) | ` +
+    `indexed fields: ${indexed.getMetadata().fieldIndex} | ${SECONDS}s per runner`
+);
+
+const results = runners.map(([name, evaluate]) => measure(name, evaluate, inputs));
+const baseline = results[0].perSecond;
+
+console.table(
+  results.map((r) => ({
+    runner: r.name,
+    "evaluations/s": r.perSecond,
+    speedup: `${(r.perSecond / baseline).toFixed(2)}x`,
+  }))
+);
@@ -10,6 +10,7 @@ interface DecisionFormProps {
   onSubmit: (data: {
     request: { amount: number; type: string };
     signals: { risk_score: number; source_reputation: number; is_verified: boolean };
+    explain: boolean;
   }) => void;
   isLoading: boolean;
 }
@@ -20,6 +21,7 @@ export function DecisionForm({ onSubmit, isLoading }: DecisionFormProps) {
   const [riskScore, setRiskScore] = useState("50");
   const [sourceReputation, setSourceReputation] = useState("75");
   const [isVerified, setIsVerified] = useState(false);
+  const [explain, setExplain] = useState(false);
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
@@ -33,6 +35,7 @@ export function DecisionForm({ onSubmit, isLoading }: DecisionFormProps) {
         source_reputation: parseFloat(sourceReputation) || 0,
         is_verified: isVerified,
       },
+      explain,
     });
   };
 
@@ -95,6 +98,17 @@ export function DecisionForm({ onSubmit, isLoading }: DecisionFormProps) {
             </Label>
           </div>
 
+          <div className="flex items-center space-x-3">
+            <Checkbox
+              id="explain"
+              checked={explain}
+              onCheckedChange={(checked) => setExplain(checked === true)}
+            />
+            <Label htmlFor="explain" className="text-sm font-medium cursor-pointer">
+              Explain decision
+            </Label>
+          </div>
+
           <Button type="submit" className="w-full sm:w-auto" disabled={isLoading}>
             {isLoading ? (
               <>
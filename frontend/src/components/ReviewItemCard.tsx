@@ -0,0 +1,141 @@
+import { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { Label } from "@/components/ui/label";
+import { Separator } from "@/components/ui/separator";
+import { MetadataRow } from "./MetadataRow";
+import { Loader2 } from "lucide-react";
+
+export interface ReviewItem {
+  id: string;
+  requestId: string;
+  status: "PENDING" | "CLAIMED" | "RESOLVED";
+  enqueuedAt: string;
+  context: {
+    input: Record<string, unknown>;
+    decision: { final: string; source: string; confidence: number | null };
+    ruleEvaluation?: {
+      outcome: string;
+      matchedRule: { id: string; name: string } | null;
+    };
+    aiAnalysis: {
+      recommendation: string;
+      confidence: number;
+      reasoning: string;
+    } | null;
+  };
+  claim: { reviewer: string; claimedAt: string } | null;
+  resolution: {
+    decision: "ALLOW" | "DENY";
+    note: string;
+    reviewer: string;
+    resolvedAt: string;
+  } | null;
+}
+
+interface ReviewItemCardProps {
+  item: ReviewItem;
+  reviewer: string;
+  isBusy: boolean;
+  onClaim: (id: string) => void;
+  onResolve: (id: string, decision: "ALLOW" | "DENY", note: string) => void;
+}
+
+export function ReviewItemCard({ item, reviewer, isBusy, onClaim, onResolve }: ReviewItemCardProps) {
+  const [note, setNote] = useState("");
+
+  const claimedByMe = item.status === "CLAIMED" && item.claim?.reviewer === reviewer;
+  const claimedByOther = item.status === "CLAIMED" && !claimedByMe;
+  const canResolve = claimedByMe && note.trim().length > 0 && !isBusy;
+
+  return (
+    <Card>
+      <CardHeader className="pb-4">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <CardTitle className="text-base font-mono">{item.requestId}</CardTitle>
+            <CardDescription>
+              {item.context.decision.source} · queued {new Date(item.enqueuedAt).toLocaleString()}
+            </CardDescription>
+          </div>
+          <span className="text-xs text-muted-foreground bg-muted px-2 py-1 rounded">
+            {item.status}
+            {item.claim && item.status === "CLAIMED" ? ` · ${item.claim.reviewer}` : ""}
+          </span>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-0">
+          <MetadataRow label="Rule Outcome" value={item.context.ruleEvaluation?.outcome} />
+          <Separator />
+          <MetadataRow
+            label="Matched Rule"
+            value={item.context.ruleEvaluation?.matchedRule?.name ?? "No rule matched"}
+          />
+          {item.context.aiAnalysis && (
+            <>
+              <Separator />
+              <MetadataRow
+                label="AI Recommendation"
+                value={`${item.context.aiAnalysis.recommendation} (${(
+                  item.context.aiAnalysis.confidence * 100
+                ).toFixed(1)}%)`}
+              />
+            </>
+          )}
+        </div>
+
+        {item.context.aiAnalysis?.reasoning && (
+          <p className="text-sm text-foreground leading-relaxed bg-muted/50 rounded-md p-3">
+            {item.context.aiAnalysis.reasoning}
+          </p>
+        )}
+
+        <pre className="text-xs font-mono bg-muted/50 rounded-md p-3 overflow-x-auto">
+          {JSON.stringify(item.context.input, null, 2)}
+        </pre>
+
+        {item.resolution ? (
+          <p className="text-sm text-muted-foreground">
+            Resolved <span className="font-medium text-foreground">{item.resolution.decision}</span> by{" "}
+            {item.resolution.reviewer}: {item.resolution.note}
+          </p>
+        ) : claimedByMe ? (
+          <div className="space-y-3">
+            <div className="space-y-2">
+              <Label htmlFor={`note-${item.id}`}>Resolution note</Label>
+              <Textarea
+                id={`note-${item.id}`}
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Why is this allowed or denied?"
+              />
+            </div>
+            <div className="flex gap-2">
+              <Button disabled={!canResolve} onClick={() => onResolve(item.id, "ALLOW", note)}>
+                Allow
+              </Button>
+              <Button
+                variant="destructive"
+                disabled={!canResolve}
+                onClick={() => onResolve(item.id, "DENY", note)}
+              >
+                Deny
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <Button
+            variant="outline"
+            disabled={isBusy || claimedByOther || reviewer.trim() === ""}
+            onClick={() => onClaim(item.id)}
+          >
+            {isBusy && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            {claimedByOther ? `Claimed by ${item.claim?.reviewer}` : "Claim"}
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,4 +1,5 @@
 import { useState } from "react";
+import { Link } from "react-router-dom";
 import { DecisionForm } from "@/components/DecisionForm";
 import { DecisionResult } from "@/components/DecisionResult";
 import { ErrorCard } from "@/components/ErrorCard";
@@ -37,6 +38,7 @@ const Index = () => {
   const handleSubmit = async (data: {
     request: { amount: number; type: string };
     signals: { risk_score: number; source_reputation: number; is_verified: boolean };
+    explain: boolean;
   }) => {
     setIsLoading(true);
     setError(null);
@@ -48,6 +50,7 @@ const Index = () => {
         headers: {
           "Content-Type": "application/json",
         },
+        // explain (opt-in): adds decision.explanation, shown in DecisionResult
         body: JSON.stringify(data),
       });
 
@@ -82,7 +85,10 @@ const Index = () => {
             </h1>
           </div>
           <p className="text-muted-foreground ml-[52px]">
-            Rule engine + AI assisted decision platform
+            Rule engine + AI assisted decision platform ·{" "}
+            <Link to="/reviews" className="text-primary underline hover:text-primary/90">
+              Review queue
+            </Link>
           </p>
         </header>
 
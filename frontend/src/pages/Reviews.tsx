@@ -0,0 +1,169 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { ReviewItemCard, ReviewItem } from "@/components/ReviewItemCard";
+import { ErrorCard } from "@/components/ErrorCard";
+import { InputField } from "@/components/InputField";
+import { Button } from "@/components/ui/button";
+import { ClipboardCheck, RefreshCw } from "lucide-react";
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+const TOKEN_STORAGE_KEY = "decision-platform.reviewerToken";
+
+type StatusFilter = "PENDING" | "CLAIMED" | "RESOLVED";
+
+const Reviews = () => {
+  const [items, setItems] = useState<ReviewItem[]>([]);
+  const [status, setStatus] = useState<StatusFilter>("PENDING");
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_STORAGE_KEY) ?? "");
+  const [reviewer, setReviewer] = useState("");
+  const [error, setError] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const loadItems = useCallback(async () => {
+    if (token.trim() === "") {
+      setItems([]);
+      return;
+    }
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/reviews?status=${status}`, {
+        headers: { Authorization: `Bearer ${token.trim()}` },
+      });
+      if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`);
+      }
+      const data: { items: ReviewItem[] } = await response.json();
+      setItems(data.items);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load review queue.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [status, token]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  // The server derives the reviewer from the token; look it up for "claimed by me"
+  useEffect(() => {
+    setReviewer("");
+    if (token.trim() === "") return;
+
+    const controller = new AbortController();
+    fetch(`${API_BASE_URL}/reviews/me`, {
+      headers: { Authorization: `Bearer ${token.trim()}` },
+      signal: controller.signal,
+    })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data: { reviewer: string } | null) => setReviewer(data?.reviewer ?? ""))
+      .catch(() => {});
+    return () => controller.abort();
+  }, [token]);
+
+  const handleTokenChange = (value: string) => {
+    setToken(value);
+    localStorage.setItem(TOKEN_STORAGE_KEY, value);
+  };
+
+  const postAction = async (id: string, action: "claim" | "resolve", body: object) => {
+    setBusyId(id);
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/reviews/${id}/${action}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token.trim()}`,
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => null);
+        throw new Error(data?.error ?? `Request failed with status ${response.status}`);
+      }
+
+      await loadItems();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Action failed. Please try again.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="mx-auto max-w-3xl px-4 py-12 sm:px-6 lg:px-8">
+        {/* Header */}
+        <header className="mb-10">
+          <div className="flex items-center gap-3 mb-2">
+            <div className="flex items-center justify-center w-10 h-10 rounded-lg bg-primary/10">
+              <ClipboardCheck className="h-5 w-5 text-primary" />
+            </div>
+            <h1 className="text-2xl font-semibold text-foreground">Review Queue</h1>
+          </div>
+          <p className="text-muted-foreground ml-[52px]">
+            Resolve REVIEW decisions ·{" "}
+            <Link to="/" className="text-primary underline hover:text-primary/90">
+              Back to evaluation
+            </Link>
+          </p>
+        </header>
+
+        {/* Main Content */}
+        <main className="space-y-6">
+          <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+            <InputField
+              label={reviewer ? `Reviewer token (${reviewer})` : "Reviewer token"}
+              id="reviewer-token"
+              type="password"
+              value={token}
+              onChange={handleTokenChange}
+              placeholder="Bearer token"
+              className="flex-1"
+            />
+            <div className="flex gap-2">
+              {(["PENDING", "CLAIMED", "RESOLVED"] as StatusFilter[]).map((s) => (
+                <Button
+                  key={s}
+                  variant={s === status ? "default" : "outline"}
+                  size="sm"
+                  onClick={() => setStatus(s)}
+                >
+                  {s}
+                </Button>
+              ))}
+              <Button variant="ghost" size="sm" onClick={loadItems} disabled={isLoading}>
+                <RefreshCw className={isLoading ? "h-4 w-4 animate-spin" : "h-4 w-4"} />
+              </Button>
+            </div>
+          </div>
+
+          {error && <ErrorCard message={error} />}
+
+          {!isLoading && items.length === 0 && (
+            <p className="text-sm text-muted-foreground">No {status.toLowerCase()} reviews.</p>
+          )}
+
+          {items.map((item) => (
+            <ReviewItemCard
+              key={item.id}
+              item={item}
+              reviewer={reviewer}
+              isBusy={busyId === item.id}
+              onClaim={(id) => postAction(id, "claim", {})}
+              onResolve={(id, decision, note) => postAction(id, "resolve", { decision, note })}
+            />
+          ))}
+        </main>
+      </div>
+    </div>
+  );
+};
+
+export default Reviews;
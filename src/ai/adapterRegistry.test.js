@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import {
+  registerAdapter,
+  getAdapter,
+  listAdapters,
+  loadCustomAdapters,
+} from "./adapters/index.js";
+import { buildAIProviders } from "./provider.js";
+import { AIAnalyzer } from "./analyzer.js";
+
+const minimal = (name) => ({
+  name,
+  buildRequest: () => ({ url: "", headers: {}, body: {} }),
+  extractContent: () => null,
+});
+
+test("built-in adapters are registered", () => {
+  for (const name of ["gemini", "claude", "openai", "ollama", "mock"]) {
+    assert.ok(listAdapters().includes(name), name);
+  }
+  assert.equal(getAdapter("nope"), null);
+});
+
+test("registerAdapter validates the interface", () => {
+  assert.throws(() => registerAdapter({ ...minimal(""), name: "" }), /non-empty name/);
+  assert.throws(
+    () => registerAdapter({ name: "broken", buildRequest: () => ({}) }),
+    /must implement extractContent\(\)/
+  );
+  assert.throws(
+    () => registerAdapter({ ...minimal("broken"), invoke: "yes" }),
+    /invoke must be a function/
+  );
+  assert.equal(getAdapter("broken"), null);
+
+  const adapter = minimal("registry-test");
+  registerAdapter(adapter);
+  assert.equal(getAdapter("registry-test"), adapter);
+});
+
+test("loadCustomAdapters loads default and named `adapters` exports", async () => {
+  const dir = fs.mkdtempSync(join(os.tmpdir(), "custom-adapters-"));
+  const body = (name) =>
+    `{ name: "${name}", buildRequest: () => ({ url: "", headers: {}, body: {} }), extractContent: () => null }`;
+  fs.writeFileSync(join(dir, "single.mjs"), `export default ${body("inhouse-a")};\n`);
+  fs.writeFileSync(
+    join(dir, "many.mjs"),
+    `export const adapters = [${body("inhouse-b")}, ${body("inhouse-c")}];\n`
+  );
+
+  const loaded = await loadCustomAdapters([join(dir, "single.mjs"), join(dir, "many.mjs")]);
+
+  assert.deepEqual(loaded, ["inhouse-a", "inhouse-b", "inhouse-c"]);
+  assert.equal(getAdapter("inhouse-b").name, "inhouse-b");
+  await assert.rejects(loadCustomAdapters([join(dir, "missing.mjs")]));
+});
+
+test("AI_CUSTOM_PROVIDERS uses registered adapters and skips unknown ones", () => {
+  registerAdapter({ ...minimal("inhouse"), defaultApiUrl: "http://inhouse/score" });
+
+  const providers = buildAIProviders({
+    INHOUSE_KEY: "k-1",
+    AI_CUSTOM_PROVIDERS: JSON.stringify([
+      { name: "inhouse", model: "risk-v2", apiKeyEnv: "INHOUSE_KEY" },
+      { name: "other", adapter: "not-registered", model: "x" },
+      { name: "inhouse-nomodel", adapter: "inhouse" },
+    ]),
+  });
+
+  assert.equal(providers.length, 1);
+  assert.deepEqual(
+    { ...providers[0] },
+    {
+      name: "inhouse",
+      model: "risk-v2",
+      apiKeyEnv: "INHOUSE_KEY",
+      adapter: "inhouse",
+      apiKey: "k-1",
+      apiUrl: "http://inhouse/score",
+    }
+  );
+  assert.deepEqual(buildAIProviders({ AI_CUSTOM_PROVIDERS: "{not json" }), []);
+});
+
+test("a custom adapter's invoke() is used instead of HTTP", async () => {
+  registerAdapter({
+    ...minimal("scripted"),
+    invoke: async () => ({
+      text: JSON.stringify({ recommendation: "ALLOW", confidence: 0.8, reasoning: "custom" }),
+    }),
+    extractContent: (response) => response.text,
+  });
+
+  const analyzer = new AIAnalyzer({
+    enabled: true,
+    providers: [
+      { name: "ghost", adapter: "not-registered", model: "x" },
+      { name: "scripted", model: "s" },
+    ],
+  });
+  const result = await analyzer.analyze(
+    { request: {} },
+    { outcome: "GREY_ZONE", matchedRule: null, evaluationPath: [] }
+  );
+
+  assert.equal(result.provider, "scripted");
+  assert.equal(result.reasoning, "custom");
+});
@@ -0,0 +1,71 @@
+/**
+ * ============================================================================
+ * ADAPTER BASE - Shared helpers for provider adapters
+ * ============================================================================
+ *
+ * Adapter interface (all adapters, built-in or custom):
+ * {
+ *   name:              "gemini"                     // registry key
+ *   defaultApiUrl:     "https://..."                // optional
+ *   buildRequest(provider, prompt) => { url, headers, body }
+ *   extractContent(response)      => string | null  // axios response
+ *   checkSafetyBlock(response)    => reason | null  // optional
+ *   classifyError(error)          => ERROR_KINDS.*  // optional
+ *   invoke(provider, prompt, { signal, timeoutMs, input })
+ *                                 => response       // optional, replaces
+ *                                                   // the HTTP call; input
+ *                                                   // is the redacted context
+ * }
+ * ============================================================================
+ */
+
+export const ERROR_KINDS = {
+  TIMEOUT: "TIMEOUT",
+  CANCELLED: "CANCELLED",
+  NETWORK: "NETWORK",
+  AUTH: "AUTH",
+  RATE_LIMIT: "RATE_LIMIT",
+  BAD_REQUEST: "BAD_REQUEST",
+  SERVER: "SERVER",
+  SAFETY_BLOCK: "SAFETY_BLOCK",
+  EMPTY_RESPONSE: "EMPTY_RESPONSE",
+  INVALID_OUTPUT: "INVALID_OUTPUT",
+  UNKNOWN: "UNKNOWN",
+};
+
+/**
+ * Default error classification for HTTP (axios) failures
+ */
+export function classifyHttpError(error) {
+  if (error.kind) return error.kind;
+
+  if (error.code === "ERR_CANCELED") return ERROR_KINDS.CANCELLED;
+  if (
+    error.code === "ECONNABORTED" ||
+    error.code === "ETIMEDOUT" ||
+    /timeout/i.test(error.message || "")
+  ) {
+    return ERROR_KINDS.TIMEOUT;
+  }
+
+  const status = error.response?.status;
+  if (status === 401 || status === 403) return ERROR_KINDS.AUTH;
+  if (status === 429) return ERROR_KINDS.RATE_LIMIT;
+  if (status >= 500) return ERROR_KINDS.SERVER;
+  if (status >= 400) return ERROR_KINDS.BAD_REQUEST;
+
+  if (["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "EAI_AGAIN"].includes(error.code)) {
+    return ERROR_KINDS.NETWORK;
+  }
+
+  return ERROR_KINDS.UNKNOWN;
+}
+
+/**
+ * Create an error tagged with its kind
+ */
+export function providerError(message, kind) {
+  const error = new Error(message);
+  error.kind = kind;
+  return error;
+}
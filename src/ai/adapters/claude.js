@@ -0,0 +1,30 @@
+/**
+ * Anthropic Claude adapter (Messages API)
+ */
+export const claudeAdapter = {
+  name: "claude",
+  defaultApiUrl: "https://api.anthropic.com/v1/messages",
+
+  buildRequest(provider, prompt) {
+    return {
+      url: provider.apiUrl,
+      headers: {
+        "x-api-key": provider.apiKey,
+        "anthropic-version": "2023-06-01",
+      },
+      body: {
+        model: provider.model,
+        max_tokens: 500,
+        messages: [{ role: "user", content: prompt }],
+      },
+    };
+  },
+
+  extractContent(response) {
+    return response.data?.content?.[0]?.text || null;
+  },
+
+  checkSafetyBlock(response) {
+    return response.data?.stop_reason === "refusal" ? "refusal" : null;
+  },
+};
@@ -0,0 +1,31 @@
+/**
+ * Google Gemini adapter (generateContent API)
+ */
+export const geminiAdapter = {
+  name: "gemini",
+  defaultApiUrl: "https://generativelanguage.googleapis.com/v1/models",
+
+  buildRequest(provider, prompt) {
+    return {
+      url: `${provider.apiUrl}/${provider.model}:generateContent?key=${provider.apiKey}`,
+      headers: {},
+      body: { contents: [{ parts: [{ text: prompt }] }] },
+    };
+  },
+
+  extractContent(response) {
+    const parts = response.data?.candidates?.[0]?.content?.parts;
+    if (!Array.isArray(parts)) return null;
+
+    const text = parts
+      .map((p) => (typeof p.text === "string" ? p.text : ""))
+      .join("")
+      .trim();
+
+    return text.length > 0 ? text : null;
+  },
+
+  checkSafetyBlock(response) {
+    return response.data?.promptFeedback?.blockReason || null;
+  },
+};
@@ -0,0 +1,80 @@
+/**
+ * ============================================================================
+ * PROVIDER ADAPTER REGISTRY
+ * ============================================================================
+ *
+ * Design Decisions:
+ * 1. Each provider API is one adapter object (see base.js for the interface)
+ * 2. Adapters are registered by name; providers reference them via
+ *    provider.adapter (defaults to provider.name)
+ * 3. Custom adapters load from local module paths (AI_ADAPTER_MODULES) so
+ *    in-house models can be added without forking analyzer.js
+ * ============================================================================
+ */
+
+import { pathToFileURL } from "url";
+import { resolve } from "path";
+import { geminiAdapter } from "./gemini.js";
+import { claudeAdapter } from "./claude.js";
+import { openaiAdapter } from "./openai.js";
+import { ollamaAdapter } from "./ollama.js";
+import { mockAdapter } from "./mock.js";
+
+const adapters = new Map();
+
+/**
+ * Register an adapter (replaces any adapter with the same name)
+ */
+export function registerAdapter(adapter) {
+  if (!adapter || typeof adapter.name !== "string" || adapter.name === "") {
+    throw new Error("Adapter must have a non-empty name");
+  }
+  for (const fn of ["buildRequest", "extractContent"]) {
+    if (typeof adapter[fn] !== "function") {
+      throw new Error(`Adapter "${adapter.name}" must implement ${fn}()`);
+    }
+  }
+  for (const fn of ["checkSafetyBlock", "classifyError", "invoke"]) {
+    if (adapter[fn] !== undefined && typeof adapter[fn] !== "function") {
+      throw new Error(`Adapter "${adapter.name}" ${fn} must be a function`);
+    }
+  }
+
+  adapters.set(adapter.name, adapter);
+}
+
+export function getAdapter(name) {
+  return adapters.get(name) || null;
+}
+
+export function listAdapters() {
+  return [...adapters.keys()];
+}
+
+/**
+ * Load custom adapters from local module paths (relative to cwd)
+ * A module may default-export one adapter, or export `adapters` (array)
+ */
+export async function loadCustomAdapters(paths = []) {
+  const loaded = [];
+
+  for (const path of paths) {
+    const module = await import(pathToFileURL(resolve(path)).href);
+    const exported = module.adapters || [module.default];
+
+    for (const adapter of exported) {
+      registerAdapter(adapter);
+      loaded.push(adapter.name);
+    }
+  }
+
+  if (loaded.length > 0) {
+    console.log(`[AdapterRegistry] Loaded custom adapters: ${loaded.join(", ")}`);
+  }
+  return loaded;
+}
+
+// Built-in adapters
+[geminiAdapter, claudeAdapter, openaiAdapter, ollamaAdapter, mockAdapter].forEach(
+  registerAdapter
+);
@@ -0,0 +1,173 @@
+/**
+ * ============================================================================
+ * MOCK ADAPTER - Deterministic scripted provider for local development / CI
+ * ============================================================================
+ *
+ * Implements invoke() instead of going over HTTP. Each provider entry
+ * carries its script in provider.mock (see buildMockSettings for the env):
+ *
+ *   {
+ *     mode: "fixed" | "keyed" | "fixtures",
+ *     response:  { recommendation, confidence, ... }   // fixed
+ *     keyField:  "request.type",                       // keyed
+ *     responses: { payment: {...}, "*": {...} },       // keyed ("*" = fallback)
+ *     fixtures:  [{ match: { "request.type": "x" }, response | raw | failure,
+ *                   latencyMs }],                      // fixtures (first match)
+ *     latencyMs: 0,
+ *     failure:   null | "timeout" | "malformed" | "safety_block" | "empty"
+ *                | "server_error"
+ *   }
+ *
+ * Keys and fixture matches read the structured input passed to invoke() -
+ * the same redacted context a real provider sees in the prompt.
+ * ============================================================================
+ */
+
+import { readFileSync } from "fs";
+import { ERROR_KINDS, providerError } from "./base.js";
+import { getValue } from "../../rules/path.js";
+
+export const MOCK_MODES = ["fixed", "keyed", "fixtures"];
+export const MOCK_FAILURES = ["timeout", "malformed", "safety_block", "empty", "server_error"];
+
+const DEFAULT_RESPONSE = {
+  recommendation: "REVIEW",
+  confidence: 0.5,
+  reasoning: "Mock provider response",
+  risk_factors: [],
+  mitigating_factors: [],
+};
+
+export const mockAdapter = {
+  name: "mock",
+  defaultApiUrl: "",
+
+  // Unused (invoke bypasses HTTP) but kept for the adapter interface
+  buildRequest(provider) {
+    return { url: provider.apiUrl, headers: {}, body: {} };
+  },
+
+  async invoke(provider, prompt, { signal, timeoutMs, input } = {}) {
+    const settings = provider.mock || { mode: "fixed" };
+    const reply = scriptedReply(settings, input || {});
+    const failure = reply.failure || settings.failure || null;
+
+    await sleep(reply.latencyMs ?? settings.latencyMs ?? 0, signal);
+
+    switch (failure) {
+      case "timeout": {
+        const waitMs = timeoutMs || 5000;
+        await sleep(waitMs, signal);
+        throw providerError(`MOCK_TIMEOUT after ${waitMs}ms`, ERROR_KINDS.TIMEOUT);
+      }
+      case "server_error":
+        throw providerError("MOCK_SERVER_ERROR", ERROR_KINDS.SERVER);
+      case "safety_block":
+        return { data: { blocked: "MOCK_SAFETY" } };
+      case "empty":
+        return { data: { content: "" } };
+      case "malformed":
+        return { data: { content: '{"recommendation": "DENY", "confidence": ' } };
+      default:
+        return {
+          data: { content: reply.raw ?? JSON.stringify(reply.response || DEFAULT_RESPONSE) },
+        };
+    }
+  },
+
+  extractContent(response) {
+    return response.data?.content || null;
+  },
+
+  checkSafetyBlock(response) {
+    return response.data?.blocked || null;
+  },
+};
+
+/**
+ * Pick the scripted reply for one prompt
+ * Returns { response?, raw?, failure?, latencyMs? }
+ */
+function scriptedReply(settings, request) {
+  switch (settings.mode) {
+    case "keyed": {
+      const key = String(getValue(request, settings.keyField || "request.type"));
+      const responses = settings.responses || {};
+      const response = responses[key] ?? responses["*"];
+      return response ? { response } : {};
+    }
+    case "fixtures": {
+      const fixture = (settings.fixtures || []).find((f) =>
+        Object.entries(f.match || {}).every(
+          ([path, expected]) => getValue(request, path) === expected
+        )
+      );
+      if (!fixture) {
+        throw providerError("MOCK_NO_MATCHING_FIXTURE", ERROR_KINDS.BAD_REQUEST);
+      }
+      return fixture;
+    }
+    default:
+      return { response: settings.response };
+  }
+}
+
+/**
+ * Abortable delay
+ */
+function sleep(ms, signal) {
+  if (signal?.aborted) {
+    return Promise.reject(providerError("MOCK_CANCELLED", ERROR_KINDS.CANCELLED));
+  }
+  if (!ms) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(providerError("MOCK_CANCELLED", ERROR_KINDS.CANCELLED));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Mock provider settings from the environment (null when AI_MOCK_MODE is unset)
+ *
+ *   AI_MOCK_MODE        fixed | keyed | fixtures
+ *   AI_MOCK_RESPONSE    fixed analysis JSON
+ *   AI_MOCK_KEY_FIELD   keyed: field path (default request.type)
+ *   AI_MOCK_RESPONSES   keyed: JSON map of field value → analysis
+ *   AI_MOCK_FIXTURES    fixtures: path to a JSON array of fixtures
+ *   AI_MOCK_LATENCY_MS  delay before every reply
+ *   AI_MOCK_FAILURE     failure injected into every call
+ */
+export function buildMockSettings(env) {
+  const mode = env.AI_MOCK_MODE;
+  if (!mode) return null;
+
+  if (!MOCK_MODES.includes(mode)) {
+    throw new Error(`Unknown AI_MOCK_MODE "${mode}" (expected ${MOCK_MODES.join(", ")})`);
+  }
+  if (env.AI_MOCK_FAILURE && !MOCK_FAILURES.includes(env.AI_MOCK_FAILURE)) {
+    throw new Error(
+      `Unknown AI_MOCK_FAILURE "${env.AI_MOCK_FAILURE}" (expected ${MOCK_FAILURES.join(", ")})`
+    );
+  }
+
+  return {
+    mode,
+    response: env.AI_MOCK_RESPONSE ? JSON.parse(env.AI_MOCK_RESPONSE) : undefined,
+    keyField: env.AI_MOCK_KEY_FIELD || "request.type",
+    responses: env.AI_MOCK_RESPONSES ? JSON.parse(env.AI_MOCK_RESPONSES) : undefined,
+    fixtures:
+      mode === "fixtures"
+        ? JSON.parse(readFileSync(env.AI_MOCK_FIXTURES || "config/ai-fixtures.json", "utf8"))
+        : undefined,
+    latencyMs: parseInt(env.AI_MOCK_LATENCY_MS) || 0,
+    failure: env.AI_MOCK_FAILURE || null,
+  };
+}
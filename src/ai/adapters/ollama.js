@@ -0,0 +1,25 @@
+/**
+ * Ollama adapter (/api/generate, local models)
+ */
+export const ollamaAdapter = {
+  name: "ollama",
+  defaultApiUrl: "http://localhost:11434/api/generate",
+
+  buildRequest(provider, prompt) {
+    return {
+      url: provider.apiUrl,
+      headers: {},
+      body: {
+        model: provider.model,
+        prompt,
+        stream: false,
+        format: "json",
+        options: { temperature: 0.2 },
+      },
+    };
+  },
+
+  extractContent(response) {
+    return response.data?.response || null;
+  },
+};
@@ -0,0 +1,39 @@
+/**
+ * OpenAI-compatible adapter (/v1/chat/completions)
+ * Works with OpenAI, vLLM, LiteLLM and most self-hosted gateways
+ */
+export const openaiAdapter = {
+  name: "openai",
+  defaultApiUrl: "https://api.openai.com/v1/chat/completions",
+
+  buildRequest(provider, prompt) {
+    return {
+      url: provider.apiUrl,
+      // API key is optional - self-hosted gateways often run without one
+      headers: provider.apiKey ? { Authorization: `Bearer ${provider.apiKey}` } : {},
+      body: {
+        model: provider.model,
+        messages: [
+          {
+            role: "system",
+            content:
+              "You are a risk analysis assistant. Always respond with valid JSON only.",
+          },
+          { role: "user", content: prompt },
+        ],
+        temperature: 0.2,
+        max_tokens: 500,
+      },
+    };
+  },
+
+  extractContent(response) {
+    return response.data?.choices?.[0]?.message?.content || null;
+  },
+
+  checkSafetyBlock(response) {
+    return response.data?.choices?.[0]?.finish_reason === "content_filter"
+      ? "content_filter"
+      : null;
+  },
+};
@@ -1,4 +1,17 @@
 import axios from "axios";
+import { getAdapter } from "./adapters/index.js";
+import { ERROR_KINDS, classifyHttpError, providerError } from "./adapters/base.js";
+import * as metrics from "../metrics/prometheus.js";
+import { CircuitBreaker } from "./circuitBreaker.js";
+import { buildPromptContext } from "./redaction.js";
+import { resolvePromptTemplate, renderTemplate } from "./promptTemplates.js";
+import { buildCacheKey } from "./cache.js";
+import { resolveConsensus, aggregateVerdicts } from "./consensus.js";
+import {
+  extractJson,
+  validateAnalysisOutput,
+  PARSE_FAILURE_REASONS,
+} from "./outputSchema.js";
 
 /**
  * ============================================================================
@@ -14,21 +27,61 @@ export class AIAnalyzer {
     this.providers = config.providers || [];
     this.timeout = config.timeout || 5000;
     this.confidenceThreshold = config.confidenceThreshold || 0.7;
+
+    // Optional response cache (see cache.js)
+    this.cache = config.cache || null;
+
+    // Key for the "hash" redaction strategy (see redaction.js)
+    this.redactionHashSecret = config.redactionHashSecret || null;
+
+    // Deadline for the whole provider chain (per-provider timeout still applies)
+    this.totalTimeout = config.totalTimeout || 10000;
+
+    // Hedged requests: start the next provider when the current one is slow
+    this.hedging = {
+      enabled: config.hedging?.enabled || false,
+      percentile: config.hedging?.percentile || 0.95,
+      delayMs: config.hedging?.delayMs || 1000,
+      minDelayMs: config.hedging?.minDelayMs || 50,
+    };
+
+    // One circuit breaker per provider entry (name + model)
+    this.breakers = new Map();
+    if (config.circuitBreaker?.enabled !== false) {
+      for (const provider of this.providers) {
+        const key = providerKey(provider);
+        this.breakers.set(
+          key,
+          new CircuitBreaker({
+            ...config.circuitBreaker,
+            name: key,
+            onStateChange: (_name, _from, to) =>
+              metrics.recordCircuitTransition({
+                provider: provider.name,
+                model: provider.model,
+                state: to,
+              }),
+          })
+        );
+      }
+    }
   }
 
   // ============================================================================
   // Prompt
   // ============================================================================
 
-buildPrompt(input, ruleContext) {
+buildPrompt(input, ruleContext, guidance = null) {
+  const guidanceSection = guidance ? `\nGUIDANCE:\n${guidance.trim()}\n` : "";
+
   return `You are a decision support system analyzing a GREY-ZONE request.
 
 REQUEST:
 ${JSON.stringify(input, null, 2)}
 
 RULE CONTEXT:
-${JSON.stringify(ruleContext.evaluationPath || [], null, 2)}
-
+${JSON.stringify(promptEvaluationPath(ruleContext), null, 2)}
+${guidanceSection}
 Respond ONLY with valid JSON.
 Do not include explanations, markdown, or code fences.
 The response must start with '{' and end with '}'.
@@ -48,146 +101,489 @@ JSON schema:
   // Provider call
   // ============================================================================
 
-  async callProvider(provider, prompt) {
-    let url;
-    let headers = { "Content-Type": "application/json" };
-    let body;
-
-    if (provider.name === "gemini") {
-      url = `${provider.apiUrl}/${provider.model}:generateContent?key=${provider.apiKey}`;
-      body = { contents: [{ parts: [{ text: prompt }] }] };
-    } else if (provider.name === "claude") {
-      url = provider.apiUrl;
-      headers["x-api-key"] = provider.apiKey;
-      headers["anthropic-version"] = "2023-06-01";
-      body = {
-        model: provider.model,
-        max_tokens: 500,
-        messages: [{ role: "user", content: prompt }],
-      };
-    } else {
-      throw new Error(`Unknown provider: ${provider.name}`);
+  async callProvider(provider, prompt, options = {}) {
+    const adapter = getAdapter(provider.adapter || provider.name);
+    if (!adapter) {
+      throw providerError(
+        `Unknown provider adapter: ${provider.adapter || provider.name}`,
+        ERROR_KINDS.BAD_REQUEST
+      );
     }
 
-    const response = await axios.post(url, body, {
-      headers,
-      timeout: this.timeout,
-    });
+    const label = adapter.name.toUpperCase();
+    let response;
 
-    // Gemini safety block
-    if (
-      provider.name === "gemini" &&
-      response.data?.promptFeedback?.blockReason
-    ) {
-      throw new Error(
-        `GEMINI_BLOCKED:${response.data.promptFeedback.blockReason}`
-      );
+    try {
+      if (adapter.invoke) {
+        response = await adapter.invoke(provider, prompt, {
+          signal: options.signal,
+          timeoutMs: this.timeout,
+          input: options.input,
+        });
+      } else {
+        const request = adapter.buildRequest(provider, prompt);
+        response = await axios.post(request.url, request.body, {
+          headers: { "Content-Type": "application/json", ...request.headers },
+          timeout: this.timeout,
+          signal: options.signal,
+        });
+      }
+    } catch (err) {
+      err.kind = (adapter.classifyError || classifyHttpError)(err);
+      throw err;
+    }
+
+    const blockReason = adapter.checkSafetyBlock?.(response);
+    if (blockReason) {
+      throw providerError(`${label}_BLOCKED:${blockReason}`, ERROR_KINDS.SAFETY_BLOCK);
     }
 
-    const content = this.extractContent(provider.name, response);
+    const content = adapter.extractContent(response);
     if (!content) {
-      throw new Error(
-        provider.name === "gemini"
-          ? "GEMINI_EMPTY_RESPONSE"
-          : "EMPTY_AI_RESPONSE"
-      );
+      throw providerError(`${label}_EMPTY_RESPONSE`, ERROR_KINDS.EMPTY_RESPONSE);
     }
 
     return content;
   }
 
-extractContent(providerName, response) {
-  if (providerName === "gemini") {
-    const parts = response.data?.candidates?.[0]?.content?.parts;
-    if (!Array.isArray(parts)) return null;
 
-    const text = parts
-      .map(p => typeof p.text === "string" ? p.text : "")
-      .join("")
-      .trim();
+  // ============================================================================
+  // Parsing
+  // ============================================================================
 
-    return text.length > 0 ? text : null;
-  }
+  /**
+   * Strictly parse a provider answer (see outputSchema.js)
+   * Returns { valid: true, analysis } or { valid: false, reason, errors }
+   */
+  parseResponse(raw) {
+    const extracted = extractJson(raw);
+    if (extracted.error) {
+      return {
+        valid: false,
+        reason: extracted.error,
+        errors: [
+          extracted.error === PARSE_FAILURE_REASONS.NO_JSON
+            ? "no JSON object found in the response"
+            : "the JSON object in the response is malformed",
+        ],
+      };
+    }
+
+    const errors = validateAnalysisOutput(extracted.value);
+    if (errors.length > 0) {
+      return { valid: false, reason: PARSE_FAILURE_REASONS.SCHEMA_VIOLATION, errors };
+    }
 
-  if (providerName === "claude") {
-    return response.data?.content?.[0]?.text || null;
+    const parsed = extracted.value;
+    return {
+      valid: true,
+      analysis: {
+        recommendation: parsed.recommendation,
+        confidence: parsed.confidence,
+        reasoning: parsed.reasoning,
+        riskFactors: parsed.risk_factors || [],
+        mitigatingFactors: parsed.mitigating_factors || [],
+      },
+    };
   }
 
-  return null;
-}
+  /**
+   * Follow-up prompt for the single corrective retry
+   */
+  buildCorrectionPrompt(prompt, raw, errors) {
+    return `${prompt}
 
+Your previous response could not be used:
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Previous response (truncated):
+${String(raw).slice(0, 500)}
+
+Respond again with ONLY the corrected JSON object.`;
+  }
 
   // ============================================================================
-  // Parsing
+  // Main analysis with fallback
   // ============================================================================
 
-  parseResponse(raw) {
-    try {
-      const cleaned = raw.replace(/```json|```/g, "").trim();
-      const parsed = JSON.parse(cleaned);
+  /**
+   * aiConfig: ai_config of the ruleset that produced ruleContext
+   * options.rulesetVersion: part of the cache key
+   */
+  async analyze(input, ruleContext, aiConfig = {}, options = {}) {
+    if (!this.enabled) {
+      return { analyzed: false, meetsConfidenceThreshold: false };
+    }
 
+    const start = Date.now();
+
+    // Only configured, redacted fields leave the platform
+    const { context, disclosure } = buildPromptContext(input, aiConfig, {
+      hashSecret: this.redactionHashSecret,
+    });
+
+    // Domain guidance from the matched rule / request type template
+    const template = resolvePromptTemplate(aiConfig, input, ruleContext);
+    const guidance = template.template
+      ? renderTemplate(template.template, {
+          input: context,
+          rule: { ...ruleContext.matchedRule, outcome: ruleContext.outcome },
+        })
+      : null;
+    const prompt = this.buildPrompt(context, ruleContext, guidance);
+    const promptInfo = { template: template.name, version: template.version };
+    const settings = this.decisionSettings(aiConfig);
+
+    // High-stakes requests (per rule or amount) ask several providers
+    const consensus = resolveConsensus(aiConfig, input, ruleContext);
+
+    // Cache: everything that shapes the prompt, plus the ruleset version
+    const cacheKey = this.cache
+      ? buildCacheKey({
+          context,
+          evaluationPath: promptEvaluationPath(ruleContext),
+          guidance,
+          template: promptInfo,
+          mode: consensus ? "consensus" : "single",
+          rulesetVersion: options.rulesetVersion ?? null,
+        })
+      : null;
+
+    const cached = await this.readCache(cacheKey);
+    if (cached) {
+      disclosure.providers = [];
       return {
-        recommendation: ["ALLOW", "DENY", "REVIEW"].includes(parsed.recommendation)
-          ? parsed.recommendation
-          : "REVIEW",
-        confidence:
-          typeof parsed.confidence === "number"
-            ? Math.max(0, Math.min(1, parsed.confidence))
-            : 0.5,
-        reasoning: parsed.reasoning || "",
-        riskFactors: parsed.risk_factors || [],
-        mitigatingFactors: parsed.mitigating_factors || [],
+        analyzed: true,
+        ...cached.insight,
+        analysisTimeMs: Date.now() - start,
+        meetsConfidenceThreshold: cached.insight.confidence >= settings.confidenceThreshold,
+        cache: { hit: true, ageMs: Date.now() - cached.storedAt },
+        budget: this.describeBudget(start, false),
+        prompt: promptInfo,
+        disclosure,
       };
-    } catch {
+    }
+
+    // Total deadline bounds the whole fallback chain
+    const deadline = new AbortController();
+    const deadlineTimer = setTimeout(() => deadline.abort(), this.totalTimeout);
+
+    let outcome;
+    try {
+      outcome = consensus
+        ? await this.runConsensus(prompt, deadline.signal, consensus, context)
+        : await this.runProviders(prompt, deadline.signal, context);
+    } finally {
+      clearTimeout(deadlineTimer);
+    }
+
+    const budget = this.describeBudget(start, outcome.hedged);
+    disclosure.providers = outcome.attempted.map(providerKey);
+
+    let insight = outcome.insight || null;
+    if (outcome.winner) {
+      const { provider, analysis, repaired } = outcome.winner;
+      insight = { provider: provider.name, model: provider.model, ...analysis, repaired };
+    }
+
+    if (insight) {
+      this.writeCache(cacheKey, insight);
+
       return {
-        recommendation: "REVIEW",
-        confidence: 0,
-        reasoning: "Invalid AI response",
-        riskFactors: [],
-        mitigatingFactors: [],
+        analyzed: true,
+        ...insight,
+        analysisTimeMs: Date.now() - start,
+        meetsConfidenceThreshold: insight.confidence >= settings.confidenceThreshold,
+        cache: this.cache ? { hit: false, ageMs: null } : null,
+        budget,
+        prompt: promptInfo,
+        disclosure,
       };
     }
+
+    let reason = outcome.reason || "ALL_PROVIDERS_FAILED";
+    if (deadline.signal.aborted) {
+      reason = "AI_BUDGET_EXHAUSTED";
+    } else if (outcome.skipped > 0 && outcome.skipped === this.providers.length) {
+      reason = "ALL_PROVIDERS_CIRCUIT_OPEN";
+    }
+
+    return {
+      analyzed: false,
+      meetsConfidenceThreshold: false,
+      reason,
+      analysisTimeMs: Date.now() - start,
+      budget,
+      prompt: promptInfo,
+      disclosure,
+    };
   }
 
   // ============================================================================
-  // Main analysis with fallback
+  // Cache
   // ============================================================================
 
-  async analyze(input, ruleContext) {
-    if (!this.enabled) {
-      return { analyzed: false, meetsConfidenceThreshold: false };
+  async readCache(key) {
+    if (!key) return null;
+
+    try {
+      const cached = await this.cache.get(key);
+      metrics.recordAICacheLookup(cached ? "hit" : "miss");
+      return cached;
+    } catch (err) {
+      metrics.recordAICacheLookup("error");
+      console.warn("[AIAnalyzer] Cache read failed:", err.message);
+      return null;
     }
+  }
 
-    const start = Date.now();
-    const prompt = this.buildPrompt(input, ruleContext);
+  writeCache(key, insight) {
+    if (!key) return;
+
+    this.cache.set(key, { insight, storedAt: Date.now() }).catch((err) => {
+      console.warn("[AIAnalyzer] Cache write failed:", err.message);
+    });
+  }
+
+  /**
+   * Walk the provider chain until one answers.
+   *
+   * A failure starts the next provider immediately. With hedging on, the
+   * next provider is also started when the current one is slower than its
+   * latency percentile; the first response wins and the rest are aborted.
+   * Without hedging this is the plain sequential fallback.
+   */
+  runProviders(prompt, deadlineSignal, input) {
+    return new Promise((resolve) => {
+      const queue = [...this.providers];
+      const inFlight = new Set();
+      const attempted = [];
+      let skipped = 0;
+      let hedged = false;
+      let done = false;
+      let hedgeTimer = null;
+
+      const finish = (winner) => {
+        if (done) return;
+        done = true;
+        clearTimeout(hedgeTimer);
+        deadlineSignal.removeEventListener("abort", onDeadline);
+        for (const controller of inFlight) controller.abort();
+        resolve({ winner, skipped, hedged, attempted });
+      };
+
+      const onDeadline = () => finish(null);
+      deadlineSignal.addEventListener("abort", onDeadline, { once: true });
+
+      const launchNext = (isHedge) => {
+        clearTimeout(hedgeTimer);
+
+        while (queue.length > 0) {
+          const provider = queue.shift();
+
+          // Open breaker: skip without paying the timeout
+          const breaker = this.breakers.get(providerKey(provider));
+          if (breaker && !breaker.canRequest()) {
+            skipped++;
+            continue;
+          }
+
+          if (isHedge) {
+            hedged = true;
+            metrics.recordAIHedge(provider.name);
+          }
+
+          const controller = new AbortController();
+          inFlight.add(controller);
+          attempted.push(provider);
+
+          const attempt = this.attemptProvider(provider, prompt, {
+            signal: controller.signal,
+            breaker,
+            input,
+          });
+
+          attempt.then(
+            (result) => {
+              inFlight.delete(controller);
+              finish({ provider, ...result });
+            },
+            (err) => {
+              inFlight.delete(controller);
+              if (done) return; // aborted loser
+
+              const kind = err.kind || ERROR_KINDS.UNKNOWN;
+              metrics.recordAIProviderError(provider.name, kind);
+              console.warn(
+                `[AIAnalyzer] ${provider.name} (${provider.model}) failed [${kind}] → fallback`,
+                err.message
+              );
+              launchNext(false);
+            }
+          );
+
+          if (this.hedging.enabled && queue.length > 0) {
+            hedgeTimer = setTimeout(() => launchNext(true), this.hedgeDelay(breaker));
+          }
+          return;
+        }
+
+        // Nothing left to start
+        if (inFlight.size === 0) finish(null);
+      };
+
+      launchNext(false);
+    });
+  }
+
+  /**
+   * Consensus: ask the first N available providers in parallel and
+   * aggregate their verdicts (see consensus.js). Every verdict - including
+   * failures - is kept for the response.
+   */
+  async runConsensus(prompt, deadlineSignal, settings, input) {
+    const selected = [];
+    let skipped = 0;
 
     for (const provider of this.providers) {
+      if (selected.length >= settings.providers) break;
+
+      const breaker = this.breakers.get(providerKey(provider));
+      if (breaker && !breaker.canRequest()) {
+        skipped++;
+        continue;
+      }
+      selected.push({ provider, breaker, controller: new AbortController() });
+    }
+
+    const onDeadline = () => selected.forEach((s) => s.controller.abort());
+    deadlineSignal.addEventListener("abort", onDeadline, { once: true });
+
+    const settled = await Promise.allSettled(
+      selected.map(({ provider, breaker, controller }) =>
+        this.attemptProvider(provider, prompt, { signal: controller.signal, breaker, input })
+      )
+    );
+    deadlineSignal.removeEventListener("abort", onDeadline);
+
+    const verdicts = settled.map((result, i) => {
+      const { provider } = selected[i];
+      if (result.status === "fulfilled") {
+        return { provider: provider.name, model: provider.model, ...result.value.analysis };
+      }
+
+      const kind = result.reason.kind || ERROR_KINDS.UNKNOWN;
+      metrics.recordAIProviderError(provider.name, kind);
+      return { provider: provider.name, model: provider.model, error: kind };
+    });
+
+    const aggregate = aggregateVerdicts(verdicts, settings);
+    const attempted = selected.map((s) => s.provider);
+
+    if (!aggregate.quorum) {
+      metrics.recordAIConsensus("quorum_not_met");
+      return {
+        insight: null,
+        reason: "CONSENSUS_QUORUM_NOT_MET",
+        skipped,
+        hedged: false,
+        attempted,
+      };
+    }
+
+    metrics.recordAIConsensus(aggregate.agreed ? "agreed" : "disagreement");
+
+    return {
+      insight: {
+        provider: "consensus",
+        model: null,
+        recommendation: aggregate.recommendation,
+        confidence: aggregate.confidence,
+        reasoning: aggregate.reasoning,
+        riskFactors: aggregate.riskFactors,
+        mitigatingFactors: aggregate.mitigatingFactors,
+        repaired: false,
+        consensus: {
+          strategy: settings.strategy,
+          trigger: settings.trigger,
+          agreed: aggregate.agreed,
+          agreement: aggregate.agreement,
+          responses: aggregate.responses,
+          verdicts,
+        },
+      },
+      skipped,
+      hedged: false,
+      attempted,
+    };
+  }
+
+  /**
+   * One provider attempt: call, validate, and on invalid output make a
+   * single corrective retry to the same provider. Only HTTP outcomes feed
+   * the circuit breaker - a malformed answer still means the provider is up.
+   * input is the redacted context the prompt was built from (for invoke())
+   */
+  async attemptProvider(provider, prompt, { signal, breaker, input }) {
+    const call = async (text) => {
+      const callStart = Date.now();
       try {
-        const raw = await this.callProvider(provider, prompt);
-        const parsed = this.parseResponse(raw);
-
-        return {
-          analyzed: true,
-          provider: provider.name,
-          model: provider.model,
-          analysisTimeMs: Date.now() - start,
-          meetsConfidenceThreshold:
-            parsed.confidence >= this.confidenceThreshold,
-          ...parsed,
-        };
+        const raw = await this.callProvider(provider, text, { signal, input });
+        breaker?.recordSuccess(Date.now() - callStart);
+        return raw;
       } catch (err) {
-        console.warn(
-          `[AIAnalyzer] ${provider.name} (${provider.model}) failed → fallback`,
-          err.message
-        );
+        breaker?.recordFailure(Date.now() - callStart, err.kind || ERROR_KINDS.UNKNOWN);
+        throw err;
       }
-    }
+    };
+
+    const raw = await call(prompt);
+    const first = this.parseResponse(raw);
+    if (first.valid) return { analysis: first.analysis, repaired: false };
+
+    metrics.recordAIParseFailure({
+      provider: provider.name,
+      reason: first.reason,
+      attempt: "initial",
+    });
+    console.warn(
+      `[AIAnalyzer] ${provider.name} (${provider.model}) invalid output [${first.reason}] → corrective retry`,
+      first.errors.join("; ")
+    );
+
+    const retry = this.parseResponse(
+      await call(this.buildCorrectionPrompt(prompt, raw, first.errors))
+    );
+    if (retry.valid) return { analysis: retry.analysis, repaired: true };
+
+    metrics.recordAIParseFailure({
+      provider: provider.name,
+      reason: retry.reason,
+      attempt: "retry",
+    });
+    throw providerError(
+      `INVALID_OUTPUT:${retry.reason} ${retry.errors.join("; ")}`,
+      ERROR_KINDS.INVALID_OUTPUT
+    );
+  }
+
+  /**
+   * Hedge delay: provider's latency percentile, or the configured default
+   * until the breaker window has samples
+   */
+  hedgeDelay(breaker) {
+    const observed = breaker?.latencyPercentile(this.hedging.percentile);
+    return Math.max(this.hedging.minDelayMs, observed ?? this.hedging.delayMs);
+  }
 
+  describeBudget(start, hedged) {
+    const usedMs = Date.now() - start;
     return {
-      analyzed: false,
-      meetsConfidenceThreshold: false,
-      reason: "ALL_PROVIDERS_FAILED",
-      analysisTimeMs: Date.now() - start,
+      totalMs: this.totalTimeout,
+      usedMs,
+      remainingMs: Math.max(0, this.totalTimeout - usedMs),
+      exhausted: usedMs >= this.totalTimeout,
+      hedged,
     };
   }
 
@@ -195,7 +591,31 @@ extractContent(providerName, response) {
   // Decision combine
   // ============================================================================
 
-  combineDecision(ruleOutcome, aiInsight) {
+  /**
+   * Decision settings from a ruleset's ai_config (snake_case in rules.yaml)
+   */
+  decisionSettings(aiConfig = {}) {
+    return {
+      mode: aiConfig.decision_mode || "threshold",
+      confidenceThreshold: aiConfig.confidence_threshold ?? this.confidenceThreshold,
+      recommendationWeight: aiConfig.recommendation_weight ?? 0.5,
+      scoreThresholds: {
+        allow: aiConfig.score_thresholds?.allow ?? 0.3,
+        deny: aiConfig.score_thresholds?.deny ?? 0.7,
+      },
+    };
+  }
+
+  /**
+   * ruleResult.aiPolicy: ai_policy of the matched GREY_ZONE rule (or the
+   * no-match default), enforced on top of either mode
+   * options.aiConfig: ai_config of the ruleset that produced ruleResult
+   * options.ruleRisk: engine.assessRisk() result (weighted mode)
+   */
+  combineDecision(ruleResult, aiInsight, options = {}) {
+    const ruleOutcome = ruleResult.outcome;
+    const settings = this.decisionSettings(options.aiConfig);
+
     if (ruleOutcome === "SAFE_DENY") {
       return { finalDecision: "DENY", source: "RULE_ABSOLUTE" };
     }
@@ -204,18 +624,41 @@ extractContent(providerName, response) {
       if (
         aiInsight?.analyzed &&
         aiInsight.recommendation === "DENY" &&
-        aiInsight.confidence >= this.confidenceThreshold
+        aiInsight.confidence >= settings.confidenceThreshold
       ) {
         return { finalDecision: "REVIEW", source: "AI_FLAGGED_REVIEW" };
       }
       return { finalDecision: "ALLOW", source: "RULE" };
     }
 
+    // GREY_ZONE: the matched rule's ai_policy may rule out AI entirely
+    const policy = ruleResult.aiPolicy;
+    if (policy?.skip_ai) {
+      return { finalDecision: "REVIEW", source: "AI_POLICY_SKIPPED" };
+    }
+
     if (!aiInsight?.analyzed) {
       return { finalDecision: "REVIEW", source: "AI_UNAVAILABLE" };
     }
 
-    if (aiInsight.meetsConfidenceThreshold) {
+    // Consensus mode: providers that cannot agree never auto-decide
+    if (aiInsight.consensus && !aiInsight.consensus.agreed) {
+      return { finalDecision: "REVIEW", source: "AI_DISAGREEMENT" };
+    }
+
+    const decision =
+      settings.mode === "weighted"
+        ? this.combineWeighted(aiInsight, options.ruleRisk, settings)
+        : this.combineThreshold(aiInsight, settings);
+
+    return this.applyPolicy(decision, aiInsight, policy);
+  }
+
+  /**
+   * Threshold mode: follow the AI when it is confident enough
+   */
+  combineThreshold(aiInsight, settings) {
+    if (aiInsight.confidence >= settings.confidenceThreshold) {
       return {
         finalDecision: aiInsight.recommendation,
         source: "AI_RECOMMENDED",
@@ -226,23 +669,115 @@ extractContent(providerName, response) {
     return { finalDecision: "REVIEW", source: "AI_UNCERTAIN" };
   }
 
+  /**
+   * Enforce a GREY_ZONE rule's ai_policy on an AI-driven decision
+   * Anything the policy does not permit is downgraded to REVIEW
+   */
+  applyPolicy(decision, aiInsight, policy) {
+    if (!policy || decision.finalDecision === "REVIEW") return decision;
+
+    if (
+      policy.min_confidence !== undefined &&
+      aiInsight.confidence < policy.min_confidence
+    ) {
+      return { ...decision, finalDecision: "REVIEW", source: "AI_POLICY_LOW_CONFIDENCE" };
+    }
+
+    if (
+      Array.isArray(policy.allowed_outcomes) &&
+      !policy.allowed_outcomes.includes(decision.finalDecision)
+    ) {
+      return { ...decision, finalDecision: "REVIEW", source: "AI_POLICY_BLOCKED" };
+    }
+
+    return decision;
+  }
+
+  /**
+   * Weighted mode: blend AI risk with rule risk into one 0..1 score
+   *   aiRisk = confidence (DENY) | 1 - confidence (ALLOW) | 0.5 (REVIEW)
+   *   score  = weight * aiRisk + (1 - weight) * ruleRisk
+   */
+  combineWeighted(aiInsight, ruleRisk, settings) {
+    const { recommendationWeight: weight, scoreThresholds } = settings;
+
+    let aiRisk = 0.5;
+    if (aiInsight.recommendation === "DENY") aiRisk = aiInsight.confidence;
+    if (aiInsight.recommendation === "ALLOW") aiRisk = 1 - aiInsight.confidence;
+
+    const ruleScore = ruleRisk?.score ?? 0.5;
+    const value = Number((weight * aiRisk + (1 - weight) * ruleScore).toFixed(3));
+
+    let finalDecision = "REVIEW";
+    if (value >= scoreThresholds.deny) finalDecision = "DENY";
+    else if (value <= scoreThresholds.allow) finalDecision = "ALLOW";
+
+    return {
+      finalDecision,
+      source: "WEIGHTED_SCORE",
+      confidence: aiInsight.confidence,
+      scoring: {
+        value,
+        aiRisk: Number(aiRisk.toFixed(3)),
+        ruleRisk: ruleScore,
+        weight,
+        thresholds: scoreThresholds,
+        evidence: ruleRisk || null,
+      },
+    };
+  }
+
   isEnabled() {
     return this.enabled;
   }
 
+  /**
+   * Breaker state per provider (Prometheus source)
+   */
+  getBreakerStatuses() {
+    return this.providers
+      .filter((p) => this.breakers.has(providerKey(p)))
+      .map((p) => ({
+        provider: p.name,
+        model: p.model,
+        ...this.breakers.get(providerKey(p)).getStatus(),
+      }));
+  }
+
   getStatus() {
     return {
       enabled: this.enabled,
       providers: this.providers.map(p => ({
         name: p.name,
+        adapter: p.adapter || p.name,
         model: p.model,
+        circuit: this.breakers.get(providerKey(p))?.getStatus() || null,
       })),
       confidenceThreshold: this.confidenceThreshold,
+      totalTimeoutMs: this.totalTimeout,
+      hedging: this.hedging,
+      cache: this.cache ? this.cache.describe() : { backend: "none" },
     };
   }
 }
 
 
+/**
+ * Evaluation path as sent in the prompt (and hashed into the cache key):
+ * per-leaf condition traces are left out
+ */
+function promptEvaluationPath(ruleContext) {
+  return (ruleContext.evaluationPath || []).map(({ conditions, ...entry }) => entry);
+}
+
+/**
+ * Breaker key - the same provider name can appear with several models
+ */
+function providerKey(provider) {
+  return `${provider.name}/${provider.model}`;
+}
+
+
 // /**
 //  * ============================================================================
 //  * AI ANALYZER - Grey-zone decision support using external LLM
@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AIAnalyzer } from "./analyzer.js";
+import { MemoryAICache } from "./cache.js";
+
+const provider = {
+  name: "mock",
+  model: "mock-fixed",
+  adapter: "mock",
+  mock: {
+    mode: "fixed",
+    response: { recommendation: "DENY", confidence: 0.9, reasoning: "mock" },
+  },
+};
+
+const input = { request: { type: "payment", amount: 10 }, signals: { risk_score: 50 } };
+
+const ruleContext = (conditions) => ({
+  outcome: "GREY_ZONE",
+  matchedRule: { id: "GREY_001", name: "Grey", priority: 1 },
+  evaluationPath: [{ ruleId: "GREY_001", ruleName: "Grey", matched: true, conditions }],
+});
+
+test("cache key ignores leaf traces, which the prompt leaves out", async () => {
+  const analyzer = new AIAnalyzer({ enabled: true, providers: [provider], cache: new MemoryAICache() });
+
+  const first = await analyzer.analyze(input, ruleContext([]));
+  const second = await analyzer.analyze(
+    input,
+    ruleContext([{ path: "condition", field: "signals.risk_score", op: "gte", result: true }])
+  );
+
+  assert.equal(first.cache?.hit ?? false, false);
+  assert.equal(second.cache.hit, true);
+  assert.equal(second.recommendation, "DENY");
+});
+
+test("prompt rule context has no leaf traces", () => {
+  const analyzer = new AIAnalyzer({ enabled: true, providers: [provider] });
+  const prompt = analyzer.buildPrompt(
+    input,
+    ruleContext([{ path: "condition", field: "signals.risk_score", op: "gte", result: true }])
+  );
+
+  assert.match(prompt, /"ruleId": "GREY_001"/);
+  assert.doesNotMatch(prompt, /"conditions"/);
+});
+
+// ----------------------------------------------------------------------------
+// Total deadline and hedged requests
+// ----------------------------------------------------------------------------
+
+const mockProvider = (model, mock) => ({
+  name: "mock",
+  model,
+  adapter: "mock",
+  mock: {
+    mode: "fixed",
+    response: { recommendation: "DENY", confidence: 0.9, reasoning: model },
+    ...mock,
+  },
+});
+
+test("the total deadline cuts the fallback chain short", async () => {
+  const analyzer = new AIAnalyzer({
+    enabled: true,
+    timeout: 5000,
+    totalTimeout: 50,
+    providers: [
+      mockProvider("slow-a", { latencyMs: 5000 }),
+      mockProvider("slow-b", { latencyMs: 5000 }),
+    ],
+  });
+
+  const result = await analyzer.analyze(input, ruleContext([]));
+
+  assert.equal(result.analyzed, false);
+  assert.equal(result.reason, "AI_BUDGET_EXHAUSTED");
+  assert.ok(result.analysisTimeMs < 1000);
+  assert.equal(result.budget.exhausted, true);
+  assert.equal(result.budget.totalMs, 50);
+});
+
+test("without hedging a slow provider is awaited, not raced", async () => {
+  const analyzer = new AIAnalyzer({
+    enabled: true,
+    providers: [mockProvider("slow", { latencyMs: 60 }), mockProvider("fast")],
+  });
+
+  const result = await analyzer.analyze(input, ruleContext([]));
+
+  assert.equal(result.model, "slow");
+  assert.equal(result.budget.hedged, false);
+  assert.deepEqual(result.disclosure.providers, ["mock/slow"]);
+});
+
+test("with hedging the next provider starts after the delay and the first answer wins", async () => {
+  const analyzer = new AIAnalyzer({
+    enabled: true,
+    hedging: { enabled: true, delayMs: 20, minDelayMs: 10 },
+    providers: [mockProvider("slow", { latencyMs: 5000 }), mockProvider("fast")],
+  });
+
+  const result = await analyzer.analyze(input, ruleContext([]));
+
+  assert.equal(result.model, "fast");
+  assert.equal(result.budget.hedged, true);
+  assert.ok(result.analysisTimeMs < 1000);
+  assert.deepEqual(result.disclosure.providers, ["mock/slow", "mock/fast"]);
+
+  // The aborted loser is cancelled, which says nothing about its health
+  const slow = analyzer.getBreakerStatuses().find((s) => s.model === "slow");
+  assert.equal(slow.samples, 0);
+});
+
+test("the hedge delay follows the provider's latency percentile once known", () => {
+  const analyzer = new AIAnalyzer({
+    enabled: true,
+    hedging: { enabled: true, percentile: 0.5, delayMs: 1000, minDelayMs: 50 },
+    providers: [provider],
+  });
+  const breaker = analyzer.breakers.values().next().value;
+
+  assert.equal(analyzer.hedgeDelay(breaker), 1000);
+  for (const latency of [100, 200, 300]) breaker.recordSuccess(latency);
+  assert.equal(analyzer.hedgeDelay(breaker), 200);
+
+  breaker.window = [];
+  breaker.recordSuccess(5);
+  assert.equal(analyzer.hedgeDelay(breaker), 50);
+});
@@ -0,0 +1,285 @@
+/**
+ * ============================================================================
+ * AI RESPONSE CACHE - Skip repeat LLM calls for identical grey-zone prompts
+ * ============================================================================
+ *
+ * Backends (AI_CACHE):
+ * - none   (default) → no cache
+ * - memory → in-process LRU with TTL and max entries
+ * - redis  → any Redis-compatible server (Redis, Valkey, KeyDB, Dragonfly);
+ *            TTL via SET PX, size bound via the server's maxmemory policy
+ *
+ * Design Decisions:
+ * 1. Key = sha256 of the normalized prompt inputs (redacted context, rule
+ *    context, template) plus the ruleset version - a reload never serves
+ *    answers produced under different rules
+ * 2. Only successful analyses are cached
+ * 3. Cache errors are logged and treated as misses - never fail a decision
+ * 4. Redis speaks RESP over node:net, so no client dependency is needed
+ * ============================================================================
+ */
+
+import net from "net";
+import { createHash } from "crypto";
+import { canonicalJson } from "../rules/canonical.js";
+
+export const AI_CACHE_BACKENDS = ["none", "memory", "redis"];
+
+/**
+ * Create the configured cache (null when disabled)
+ */
+export function createAICache(config = {}) {
+  const backend = config.backend || "none";
+
+  if (!AI_CACHE_BACKENDS.includes(backend)) {
+    throw new Error(
+      `Unknown AI_CACHE "${backend}" (expected ${AI_CACHE_BACKENDS.join(", ")})`
+    );
+  }
+
+  if (backend === "none") return null;
+  if (backend === "memory") return new MemoryAICache(config);
+  return new RedisAICache(config);
+}
+
+/**
+ * Cache key for one prompt
+ */
+export function buildCacheKey(parts) {
+  return createHash("sha256")
+    .update(canonicalJson(parts))
+    .digest("hex");
+}
+
+// ============================================================================
+// Memory backend
+// ============================================================================
+
+export class MemoryAICache {
+  constructor(config = {}) {
+    this.backend = "memory";
+    this.ttlMs = config.ttlMs || 300000;
+    this.maxEntries = config.maxEntries || 1000;
+    this.entries = new Map(); // insertion order = LRU order
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Refresh LRU position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async close() {
+    this.entries.clear();
+  }
+
+  describe() {
+    return {
+      backend: this.backend,
+      ttlMs: this.ttlMs,
+      maxEntries: this.maxEntries,
+      entries: this.entries.size,
+    };
+  }
+}
+
+// ============================================================================
+// Redis-compatible backend
+// ============================================================================
+
+export class RedisAICache {
+  constructor(config = {}) {
+    this.backend = "redis";
+    this.ttlMs = config.ttlMs || 300000;
+    this.prefix = config.prefix || "decision-platform:ai:";
+    this.commandTimeoutMs = config.commandTimeoutMs || 250;
+
+    const url = new URL(config.url || "redis://localhost:6379");
+    this.host = url.hostname;
+    this.port = parseInt(url.port) || 6379;
+    this.password = url.password ? decodeURIComponent(url.password) : null;
+    this.db = parseInt(url.pathname.slice(1)) || 0;
+
+    this.socket = null;
+    this.ready = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+  }
+
+  async get(key) {
+    const raw = await this.command(["GET", this.prefix + key]);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value) {
+    await this.command([
+      "SET",
+      this.prefix + key,
+      JSON.stringify(value),
+      "PX",
+      String(this.ttlMs),
+    ]);
+  }
+
+  async close() {
+    this.socket?.end();
+    this.socket = null;
+    this.ready = null;
+  }
+
+  describe() {
+    return {
+      backend: this.backend,
+      ttlMs: this.ttlMs,
+      server: `${this.host}:${this.port}/${this.db}`,
+      connected: this.socket !== null && !this.socket.destroyed,
+    };
+  }
+
+  // --------------------------------------------------------------------------
+  // RESP protocol
+  // --------------------------------------------------------------------------
+
+  async command(args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  connect() {
+    if (this.ready) return this.ready;
+
+    this.ready = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setTimeout(this.commandTimeoutMs * 4);
+
+      socket.once("connect", async () => {
+        socket.setTimeout(0); // connect timeout only - keep idle connections
+        try {
+          if (this.password) await this.send(["AUTH", this.password]);
+          if (this.db) await this.send(["SELECT", String(this.db)]);
+          resolve();
+        } catch (error) {
+          // Drop the half-set-up connection so the next command reconnects
+          if (this.socket === socket) {
+            this.socket = null;
+            this.ready = null;
+          }
+          socket.destroy();
+          reject(error);
+        }
+      });
+
+      socket.on("data", (chunk) => this.onData(chunk));
+      socket.on("timeout", () => socket.destroy(new Error("Redis connection timeout")));
+      socket.on("error", (error) => {
+        reject(error);
+        this.failPending(error);
+      });
+      socket.on("close", () => {
+        this.failPending(new Error("Redis connection closed"));
+        if (this.socket === socket) {
+          this.socket = null;
+          this.ready = null; // reconnect on next command
+        }
+      });
+
+      this.socket = socket;
+      this.buffer = Buffer.alloc(0);
+    });
+
+    return this.ready;
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const index = this.pending.indexOf(entry);
+        if (index !== -1) this.pending[index] = { resolve() {}, reject() {} };
+        reject(new Error(`Redis ${args[0]} timed out`));
+      }, this.commandTimeoutMs);
+
+      const entry = {
+        resolve: (value) => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      };
+
+      this.pending.push(entry);
+      this.socket.write(
+        `*${args.length}\r\n` +
+          args.map((a) => `$${Buffer.byteLength(a)}\r\n${a}\r\n`).join("")
+      );
+    });
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let reply;
+    while (this.pending.length > 0 && (reply = this.parseReply()) !== undefined) {
+      const entry = this.pending.shift();
+      if (reply instanceof Error) entry.reject(reply);
+      else entry.resolve(reply);
+    }
+  }
+
+  /**
+   * Parse one simple/error/integer/bulk reply from the buffer
+   * Returns undefined when the reply is not complete yet
+   */
+  parseReply() {
+    const lineEnd = this.buffer.indexOf("\r\n");
+    if (lineEnd === -1) return undefined;
+
+    const type = String.fromCharCode(this.buffer[0]);
+    const line = this.buffer.toString("utf8", 1, lineEnd);
+
+    if (type === "$") {
+      const length = parseInt(line);
+      if (length === -1) {
+        this.buffer = this.buffer.subarray(lineEnd + 2);
+        return null;
+      }
+      const end = lineEnd + 2 + length;
+      if (this.buffer.length < end + 2) return undefined;
+
+      const value = this.buffer.toString("utf8", lineEnd + 2, end);
+      this.buffer = this.buffer.subarray(end + 2);
+      return value;
+    }
+
+    this.buffer = this.buffer.subarray(lineEnd + 2);
+    if (type === "-") return new Error(line);
+    if (type === ":") return parseInt(line);
+    return line; // "+" simple string
+  }
+
+  failPending(error) {
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach((entry) => entry.reject(error));
+  }
+}
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { MemoryAICache, RedisAICache, buildCacheKey } from "./cache.js";
+
+test("buildCacheKey does not depend on key order", () => {
+  assert.equal(buildCacheKey({ a: 1, b: { c: 2, d: 3 } }), buildCacheKey({ b: { d: 3, c: 2 }, a: 1 }));
+  assert.notEqual(buildCacheKey({ a: 1 }), buildCacheKey({ a: 2 }));
+});
+
+test("memory cache evicts the least recently used entry", async () => {
+  const cache = new MemoryAICache({ maxEntries: 2 });
+  await cache.set("a", 1);
+  await cache.set("b", 2);
+  await cache.get("a");
+  await cache.set("c", 3);
+
+  assert.equal(await cache.get("b"), null);
+  assert.equal(await cache.get("a"), 1);
+});
+
+test("redis cache reconnects after a failed AUTH", async (t) => {
+  // Minimal RESP server: first connection rejects AUTH, later ones accept it
+  let connections = 0;
+  const server = net.createServer((socket) => {
+    const rejectAuth = ++connections === 1;
+    socket.on("data", (chunk) => {
+      const command = chunk.toString().split("\r\n")[2];
+      if (command === "AUTH") {
+        socket.write(rejectAuth ? "-ERR invalid password\r\n" : "+OK\r\n");
+      } else if (command === "GET") {
+        socket.write("$-1\r\n");
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  const cache = new RedisAICache({ url: `redis://:pw@127.0.0.1:${server.address().port}` });
+  t.after(() => cache.close());
+
+  await assert.rejects(cache.get("k"), /invalid password/);
+  assert.equal(await cache.get("k"), null);
+  assert.equal(connections, 2);
+});
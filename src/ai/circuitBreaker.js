@@ -0,0 +1,181 @@
+/**
+ * ============================================================================
+ * CIRCUIT BREAKER - Per-provider health tracking for AI calls
+ * ============================================================================
+ *
+ * States:
+ * - CLOSED:    calls flow normally; outcomes recorded in a rolling window
+ * - OPEN:      provider is skipped until the cooldown elapses
+ * - HALF_OPEN: a single probe call is let through; success closes the
+ *              breaker, failure re-opens it for another cooldown
+ *
+ * Design Decisions:
+ * 1. Rolling window of the last N calls (count-based, no timers)
+ * 2. Trips on error rate, or on slow-call rate when slowCallMs is set
+ * 3. Safety blocks and cancelled calls say nothing about provider health
+ *    and are not recorded
+ * ============================================================================
+ */
+
+import { ERROR_KINDS } from "./adapters/base.js";
+
+export const BREAKER_STATES = {
+  CLOSED: "CLOSED",
+  OPEN: "OPEN",
+  HALF_OPEN: "HALF_OPEN",
+};
+
+const IGNORED_ERROR_KINDS = [ERROR_KINDS.SAFETY_BLOCK, ERROR_KINDS.CANCELLED];
+
+export class CircuitBreaker {
+  constructor(options = {}) {
+    this.name = options.name || "provider";
+    this.windowSize = options.windowSize || 20;
+    this.minRequests = options.minRequests || 5;
+    this.errorRateThreshold = options.errorRateThreshold ?? 0.5;
+    this.slowCallMs = options.slowCallMs || 0; // 0 = latency never trips
+    this.cooldownMs = options.cooldownMs || 30000;
+    this.onStateChange = options.onStateChange || null;
+
+    this.state = BREAKER_STATES.CLOSED;
+    this.window = []; // [{ success, latencyMs }]
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether a call may be made now
+   * Moves OPEN → HALF_OPEN once the cooldown has elapsed
+   */
+  canRequest() {
+    if (this.state === BREAKER_STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.cooldownMs) return false;
+      this.transition(BREAKER_STATES.HALF_OPEN);
+    }
+
+    if (this.state === BREAKER_STATES.HALF_OPEN) {
+      if (this.probeInFlight) return false;
+      this.probeInFlight = true;
+    }
+
+    return true;
+  }
+
+  recordSuccess(latencyMs) {
+    if (this.state === BREAKER_STATES.HALF_OPEN) {
+      this.window = [];
+      this.transition(BREAKER_STATES.CLOSED);
+    }
+    this.push({ success: true, latencyMs });
+  }
+
+  recordFailure(latencyMs, kind = ERROR_KINDS.UNKNOWN) {
+    if (IGNORED_ERROR_KINDS.includes(kind)) {
+      this.probeInFlight = false;
+      return;
+    }
+
+    this.lastError = { kind, at: new Date().toISOString() };
+
+    if (this.state === BREAKER_STATES.HALF_OPEN) {
+      this.push({ success: false, latencyMs });
+      this.trip();
+      return;
+    }
+
+    this.push({ success: false, latencyMs });
+  }
+
+  // ============================================================================
+  // Internals
+  // ============================================================================
+
+  push(sample) {
+    this.probeInFlight = false;
+    this.window.push(sample);
+    if (this.window.length > this.windowSize) this.window.shift();
+
+    if (this.state === BREAKER_STATES.CLOSED && this.shouldTrip()) {
+      this.trip();
+    }
+  }
+
+  shouldTrip() {
+    if (this.window.length < this.minRequests) return false;
+    const { errorRate, slowRate } = this.rates();
+    return (
+      errorRate >= this.errorRateThreshold ||
+      (this.slowCallMs > 0 && slowRate >= this.errorRateThreshold)
+    );
+  }
+
+  trip() {
+    this.openedAt = Date.now();
+    this.transition(BREAKER_STATES.OPEN);
+  }
+
+  transition(next) {
+    if (this.state === next) return;
+    const previous = this.state;
+    this.state = next;
+    if (next !== BREAKER_STATES.HALF_OPEN) this.probeInFlight = false;
+
+    console.log(`[CircuitBreaker] ${this.name}: ${previous} → ${next}`);
+    this.onStateChange?.(this.name, previous, next);
+  }
+
+  rates() {
+    const total = this.window.length;
+    if (total === 0) return { errorRate: 0, slowRate: 0 };
+
+    const failures = this.window.filter((s) => !s.success).length;
+    const slow = this.slowCallMs
+      ? this.window.filter((s) => s.latencyMs >= this.slowCallMs).length
+      : 0;
+
+    return { errorRate: failures / total, slowRate: slow / total };
+  }
+
+  /**
+   * Latency percentile over the rolling window (successful calls only)
+   */
+  latencyPercentile(p) {
+    const latencies = this.window
+      .filter((s) => s.success)
+      .map((s) => s.latencyMs)
+      .sort((a, b) => a - b);
+    if (latencies.length === 0) return null;
+
+    const index = Math.min(latencies.length - 1, Math.ceil(p * latencies.length) - 1);
+    return latencies[Math.max(0, index)];
+  }
+
+  /**
+   * Health score 0..1: success rate, penalised by slow-call rate
+   */
+  healthScore() {
+    if (this.state === BREAKER_STATES.OPEN) return 0;
+    const { errorRate, slowRate } = this.rates();
+    return Number(((1 - errorRate) * (1 - slowRate / 2)).toFixed(3));
+  }
+
+  getStatus() {
+    const { errorRate, slowRate } = this.rates();
+    return {
+      state: this.state,
+      healthScore: this.healthScore(),
+      errorRate: Number(errorRate.toFixed(3)),
+      slowRate: Number(slowRate.toFixed(3)),
+      samples: this.window.length,
+      p50LatencyMs: this.latencyPercentile(0.5),
+      p95LatencyMs: this.latencyPercentile(0.95),
+      lastError: this.lastError,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextProbeAt:
+        this.state === BREAKER_STATES.OPEN
+          ? new Date(this.openedAt + this.cooldownMs).toISOString()
+          : null,
+    };
+  }
+}
@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CircuitBreaker, BREAKER_STATES } from "./circuitBreaker.js";
+import { ERROR_KINDS } from "./adapters/base.js";
+import { AIAnalyzer } from "./analyzer.js";
+
+const { CLOSED, OPEN, HALF_OPEN } = BREAKER_STATES;
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createBreaker(options = {}) {
+  const transitions = [];
+  const breaker = new CircuitBreaker({
+    name: "p",
+    windowSize: 4,
+    minRequests: 4,
+    errorRateThreshold: 0.5,
+    cooldownMs: 20,
+    onStateChange: (_name, from, to) => transitions.push(`${from}→${to}`),
+    ...options,
+  });
+  return { breaker, transitions };
+}
+
+test("opens once the error rate reaches the threshold over minRequests calls", () => {
+  const { breaker, transitions } = createBreaker();
+
+  breaker.recordFailure(10, ERROR_KINDS.SERVER);
+  breaker.recordFailure(10, ERROR_KINDS.TIMEOUT);
+  breaker.recordSuccess(10);
+  assert.equal(breaker.state, CLOSED); // below minRequests
+
+  breaker.recordSuccess(10);
+  assert.equal(breaker.state, OPEN); // 2 of 4 failed
+  assert.equal(breaker.canRequest(), false);
+  assert.equal(breaker.healthScore(), 0);
+  assert.equal(breaker.getStatus().lastError.kind, ERROR_KINDS.TIMEOUT);
+  assert.deepEqual(transitions, ["CLOSED→OPEN"]);
+});
+
+test("lets one probe through after the cooldown; success closes the breaker", async () => {
+  const { breaker, transitions } = createBreaker();
+  for (let i = 0; i < 4; i++) breaker.recordFailure(10, ERROR_KINDS.SERVER);
+  assert.equal(breaker.state, OPEN);
+
+  await delay(30);
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.state, HALF_OPEN);
+  assert.equal(breaker.canRequest(), false); // probe already in flight
+
+  breaker.recordSuccess(10);
+  assert.equal(breaker.state, CLOSED);
+  assert.equal(breaker.getStatus().samples, 1);
+  assert.deepEqual(transitions, ["CLOSED→OPEN", "OPEN→HALF_OPEN", "HALF_OPEN→CLOSED"]);
+});
+
+test("a failed probe re-opens the breaker for another cooldown", async () => {
+  const { breaker } = createBreaker();
+  for (let i = 0; i < 4; i++) breaker.recordFailure(10, ERROR_KINDS.SERVER);
+
+  await delay(30);
+  assert.equal(breaker.canRequest(), true);
+  breaker.recordFailure(10, ERROR_KINDS.NETWORK);
+
+  assert.equal(breaker.state, OPEN);
+  assert.equal(breaker.canRequest(), false);
+});
+
+test("cancelled calls and safety blocks are not recorded", async () => {
+  const { breaker } = createBreaker();
+
+  for (let i = 0; i < 4; i++) {
+    breaker.recordFailure(10, ERROR_KINDS.CANCELLED);
+    breaker.recordFailure(10, ERROR_KINDS.SAFETY_BLOCK);
+  }
+  assert.equal(breaker.state, CLOSED);
+  assert.equal(breaker.getStatus().samples, 0);
+  assert.equal(breaker.getStatus().lastError, null);
+
+  // An ignored outcome still frees the half-open probe slot
+  for (let i = 0; i < 4; i++) breaker.recordFailure(10, ERROR_KINDS.SERVER);
+  await delay(30);
+  assert.equal(breaker.canRequest(), true);
+  breaker.recordFailure(10, ERROR_KINDS.CANCELLED);
+  assert.equal(breaker.state, HALF_OPEN);
+  assert.equal(breaker.canRequest(), true);
+});
+
+test("slow calls trip the breaker only when slowCallMs is set", () => {
+  const fast = createBreaker().breaker;
+  const slow = createBreaker({ slowCallMs: 100 }).breaker;
+
+  for (const breaker of [fast, slow]) {
+    for (const latency of [150, 200, 20, 30]) breaker.recordSuccess(latency);
+  }
+
+  assert.equal(fast.state, CLOSED);
+  assert.equal(fast.healthScore(), 1);
+  assert.equal(slow.state, OPEN);
+});
+
+test("reports latency percentiles and a health score from the window", () => {
+  const { breaker } = createBreaker({ windowSize: 10, minRequests: 10, slowCallMs: 100 });
+  for (const latency of [10, 20, 30, 200]) breaker.recordSuccess(latency);
+  breaker.recordFailure(40, ERROR_KINDS.SERVER);
+
+  const status = breaker.getStatus();
+  assert.equal(status.state, CLOSED);
+  assert.equal(status.p50LatencyMs, 20);
+  assert.equal(status.p95LatencyMs, 200);
+  assert.equal(status.errorRate, 0.2);
+  assert.equal(status.slowRate, 0.2);
+  assert.equal(status.healthScore, 0.72);
+});
+
+test("the analyzer skips a provider whose breaker is open", async () => {
+  const failing = {
+    name: "mock",
+    model: "down",
+    adapter: "mock",
+    mock: { mode: "fixed", failure: "server_error" },
+  };
+  const analyzer = new AIAnalyzer({
+    enabled: true,
+    providers: [failing],
+    circuitBreaker: { windowSize: 2, minRequests: 2, cooldownMs: 60000 },
+  });
+  const ruleContext = { outcome: "GREY_ZONE", matchedRule: null, evaluationPath: [] };
+
+  for (let i = 0; i < 2; i++) {
+    const result = await analyzer.analyze({ request: {} }, ruleContext);
+    assert.equal(result.reason, "ALL_PROVIDERS_FAILED");
+  }
+
+  const skipped = await analyzer.analyze({ request: {} }, ruleContext);
+  assert.equal(skipped.reason, "ALL_PROVIDERS_CIRCUIT_OPEN");
+  assert.deepEqual(skipped.disclosure.providers, []);
+  assert.equal(analyzer.getBreakerStatuses()[0].state, OPEN);
+});
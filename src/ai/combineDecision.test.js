@@ -0,0 +1,175 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AIAnalyzer } from "./analyzer.js";
+import { RuleEngine } from "../rules/engine.js";
+
+const analyzer = new AIAnalyzer({ enabled: true, confidenceThreshold: 0.7 });
+
+const grey = (aiPolicy = null) => ({ outcome: "GREY_ZONE", aiPolicy });
+const ai = (recommendation, confidence, extra = {}) => ({
+  analyzed: true,
+  recommendation,
+  confidence,
+  ...extra,
+});
+
+test("threshold mode", () => {
+  const cases = [
+    // [ruleResult, aiInsight, aiConfig, final, source]
+    [{ outcome: "SAFE_DENY" }, ai("ALLOW", 1), {}, "DENY", "RULE_ABSOLUTE"],
+    [{ outcome: "SAFE_ALLOW" }, null, {}, "ALLOW", "RULE"],
+    [{ outcome: "SAFE_ALLOW" }, ai("DENY", 0.9), {}, "REVIEW", "AI_FLAGGED_REVIEW"],
+    [{ outcome: "SAFE_ALLOW" }, ai("DENY", 0.5), {}, "ALLOW", "RULE"],
+    [grey(), { analyzed: false }, {}, "REVIEW", "AI_UNAVAILABLE"],
+    [grey(), ai("DENY", 0.9), {}, "DENY", "AI_RECOMMENDED"],
+    [grey(), ai("ALLOW", 0.7), {}, "ALLOW", "AI_RECOMMENDED"],
+    [grey(), ai("ALLOW", 0.69), {}, "REVIEW", "AI_UNCERTAIN"],
+    [grey(), ai("ALLOW", 0.69), { confidence_threshold: 0.6 }, "ALLOW", "AI_RECOMMENDED"],
+    [
+      grey(),
+      ai("DENY", 0.9, { consensus: { agreed: false } }),
+      {},
+      "REVIEW",
+      "AI_DISAGREEMENT",
+    ],
+  ];
+
+  for (const [ruleResult, aiInsight, aiConfig, final, source] of cases) {
+    const decision = analyzer.combineDecision(ruleResult, aiInsight, { aiConfig });
+    assert.deepEqual(
+      [decision.finalDecision, decision.source],
+      [final, source],
+      JSON.stringify({ ruleResult, aiInsight, aiConfig })
+    );
+  }
+});
+
+test("weighted mode blends AI risk with rule risk against score_thresholds", () => {
+  const cases = [
+    // [aiInsight, ruleRisk, aiConfig, final, value]
+    [ai("DENY", 0.8), { score: 0.5 }, {}, "REVIEW", 0.65],
+    [ai("DENY", 0.9), { score: 0.5 }, {}, "DENY", 0.7],
+    [ai("DENY", 0.9), { score: 0.7 }, {}, "DENY", 0.8],
+    [ai("ALLOW", 0.9), { score: 0.3 }, {}, "ALLOW", 0.2],
+    [ai("REVIEW", 0.9), undefined, {}, "REVIEW", 0.5],
+    [ai("DENY", 0.9), { score: 0.1 }, { recommendation_weight: 1 }, "DENY", 0.9],
+    [ai("DENY", 0.9), { score: 0.1 }, { recommendation_weight: 0 }, "ALLOW", 0.1],
+    [
+      ai("DENY", 0.6),
+      { score: 0.5 },
+      { score_thresholds: { allow: 0.2, deny: 0.55 } },
+      "DENY",
+      0.55,
+    ],
+    [
+      ai("ALLOW", 0.6),
+      { score: 0.5 },
+      { score_thresholds: { allow: 0.45, deny: 0.9 } },
+      "ALLOW",
+      0.45,
+    ],
+  ];
+
+  for (const [aiInsight, ruleRisk, config, final, value] of cases) {
+    const aiConfig = { decision_mode: "weighted", ...config };
+    const decision = analyzer.combineDecision(grey(), aiInsight, { aiConfig, ruleRisk });
+    const label = JSON.stringify({ aiInsight, ruleRisk, config });
+
+    assert.equal(decision.source, "WEIGHTED_SCORE", label);
+    assert.equal(decision.finalDecision, final, label);
+    assert.equal(decision.scoring.value, value, label);
+  }
+});
+
+test("weighted mode ignores a low confidence threshold - the score decides", () => {
+  const decision = analyzer.combineDecision(grey(), ai("DENY", 0.3), {
+    aiConfig: { decision_mode: "weighted", confidence_threshold: 0.9 },
+    ruleRisk: { score: 0.9 },
+  });
+  assert.equal(decision.finalDecision, "REVIEW");
+  assert.equal(decision.scoring.value, 0.6);
+});
+
+test("risk_weight of the matched GREY rule sets the rule risk base", () => {
+  const engine = RuleEngine.fromSource({
+    version: "1.0",
+    rules: [
+      {
+        id: "GREY_HIGH",
+        name: "Risky grey",
+        condition: { field: "signals.risk_score", op: "gte", value: 50 },
+        outcome: "GREY_ZONE",
+        priority: 10,
+        risk_weight: 0.9,
+      },
+    ],
+    defaults: { no_match_outcome: "GREY_ZONE" },
+    ai_config: { decision_mode: "weighted", proximity_weight: 0 },
+  });
+
+  const assess = (risk) => {
+    const input = { request: {}, signals: { risk_score: risk } };
+    return engine.assessRisk(input, engine.evaluate(input));
+  };
+
+  const matched = assess(60);
+  assert.equal(matched.base, 0.9);
+  assert.equal(matched.score, 0.9);
+  assert.equal(matched.matchedRuleId, "GREY_HIGH");
+  assert.equal(assess(10).base, 0.5);
+
+  const decision = analyzer.combineDecision(grey(), ai("REVIEW", 0.9), {
+    aiConfig: engine.getAIConfig(),
+    ruleRisk: matched,
+  });
+  assert.equal(decision.finalDecision, "DENY");
+  assert.equal(decision.scoring.value, 0.7);
+});
+
+test("ai_policy downgrades what it does not permit to REVIEW", () => {
+  const policy = { allowed_outcomes: ["DENY", "REVIEW"], min_confidence: 0.8 };
+  const cases = [
+    // [policy, aiInsight, aiConfig, final, source]
+    [{ skip_ai: true }, ai("DENY", 0.99), {}, "REVIEW", "AI_POLICY_SKIPPED"],
+    [{ skip_ai: true }, { analyzed: false }, {}, "REVIEW", "AI_POLICY_SKIPPED"],
+    [policy, ai("DENY", 0.9), {}, "DENY", "AI_RECOMMENDED"],
+    [policy, ai("DENY", 0.75), {}, "REVIEW", "AI_POLICY_LOW_CONFIDENCE"],
+    [policy, ai("ALLOW", 0.95), {}, "REVIEW", "AI_POLICY_BLOCKED"],
+    [policy, ai("ALLOW", 0.5), {}, "REVIEW", "AI_UNCERTAIN"],
+    [{ allowed_outcomes: [] }, ai("DENY", 0.9), {}, "REVIEW", "AI_POLICY_BLOCKED"],
+    [{ min_confidence: 0.95 }, ai("ALLOW", 0.9), {}, "REVIEW", "AI_POLICY_LOW_CONFIDENCE"],
+    [
+      { allowed_outcomes: ["DENY"] },
+      ai("ALLOW", 0.9),
+      { decision_mode: "weighted" },
+      "REVIEW",
+      "AI_POLICY_BLOCKED",
+    ],
+  ];
+
+  for (const [aiPolicy, aiInsight, aiConfig, final, source] of cases) {
+    const decision = analyzer.combineDecision(grey(aiPolicy), aiInsight, {
+      aiConfig,
+      ruleRisk: { score: 0.1 },
+    });
+    assert.deepEqual(
+      [decision.finalDecision, decision.source],
+      [final, source],
+      JSON.stringify({ aiPolicy, aiInsight, aiConfig })
+    );
+  }
+});
+
+test("applyPolicy leaves REVIEW and policy-free decisions alone", () => {
+  const review = { finalDecision: "REVIEW", source: "AI_UNCERTAIN" };
+  const deny = { finalDecision: "DENY", source: "AI_RECOMMENDED" };
+
+  assert.equal(analyzer.applyPolicy(review, ai("DENY", 0.1), { min_confidence: 0.9 }), review);
+  assert.equal(analyzer.applyPolicy(deny, ai("DENY", 0.1), null), deny);
+  assert.deepEqual(
+    analyzer.applyPolicy({ ...deny, scoring: { value: 0.9 } }, ai("DENY", 0.9), {
+      allowed_outcomes: ["REVIEW"],
+    }),
+    { finalDecision: "REVIEW", source: "AI_POLICY_BLOCKED", scoring: { value: 0.9 } }
+  );
+});
@@ -0,0 +1,97 @@
+/**
+ * ============================================================================
+ * AI CONSENSUS - Aggregate verdicts from several providers
+ * ============================================================================
+ *
+ * Configured in ai_config.consensus:
+ *
+ *   consensus:
+ *     providers: 3                   # providers queried in parallel
+ *     strategy: "majority"           # majority | confidence_weighted
+ *     min_agreement: 0.6             # share the winning verdict needs
+ *     min_responses: 2               # valid answers needed for a vote
+ *     amount_threshold: 10000        # consensus when amount >= threshold
+ *     amount_field: "request.amount"
+ *
+ * A GREY_ZONE rule can also opt in with `ai_mode: "consensus"`, or opt out
+ * (even above amount_threshold) with `ai_mode: "single"`.
+ *
+ * Strategies:
+ * - majority:            share = votes for the verdict / valid answers
+ * - confidence_weighted: share = confidence behind the verdict / total
+ *
+ * The winning verdict needs a strict majority (share > 0.5) and at least
+ * min_agreement; otherwise the providers disagree → REVIEW.
+ * ============================================================================
+ */
+
+import { getValue } from "../rules/path.js";
+
+export const CONSENSUS_STRATEGIES = ["majority", "confidence_weighted"];
+export const AI_MODES = ["single", "consensus"];
+
+/**
+ * Consensus settings for a request, or null for single-provider mode
+ */
+export function resolveConsensus(aiConfig = {}, input, ruleContext = {}) {
+  const config = aiConfig.consensus;
+  if (!config || ruleContext.aiMode === "single") return null;
+
+  const byRule = ruleContext.aiMode === "consensus";
+  const amount = getValue(input, config.amount_field || "request.amount");
+  const byAmount =
+    typeof config.amount_threshold === "number" &&
+    typeof amount === "number" &&
+    amount >= config.amount_threshold;
+
+  if (!byRule && !byAmount) return null;
+
+  return {
+    providers: config.providers || 3,
+    strategy: config.strategy || "majority",
+    minAgreement: config.min_agreement ?? 0,
+    minResponses: config.min_responses || 2,
+    trigger: byRule ? "rule" : "amount",
+  };
+}
+
+/**
+ * Aggregate provider verdicts
+ * verdicts: [{ provider, model, recommendation, confidence, ... } | { error }]
+ */
+export function aggregateVerdicts(verdicts, settings) {
+  const valid = verdicts.filter((v) => !v.error);
+
+  if (valid.length < settings.minResponses) {
+    return { quorum: false, responses: valid.length };
+  }
+
+  const tally = new Map();
+  for (const verdict of valid) {
+    const weight = settings.strategy === "confidence_weighted" ? verdict.confidence : 1;
+    tally.set(verdict.recommendation, (tally.get(verdict.recommendation) || 0) + weight);
+  }
+
+  const total = [...tally.values()].reduce((sum, w) => sum + w, 0);
+  const [recommendation, weight] = [...tally.entries()].sort((a, b) => b[1] - a[1])[0];
+  const agreement = total > 0 ? Number((weight / total).toFixed(3)) : 0;
+  const agreed = agreement > 0.5 && agreement >= settings.minAgreement;
+
+  const supporting = valid.filter((v) => v.recommendation === recommendation);
+  const confidence =
+    supporting.reduce((sum, v) => sum + v.confidence, 0) / supporting.length;
+
+  return {
+    quorum: true,
+    agreed,
+    recommendation: agreed ? recommendation : "REVIEW",
+    confidence: agreed ? Number(confidence.toFixed(3)) : 0,
+    agreement,
+    responses: valid.length,
+    reasoning: agreed
+      ? `${supporting.length}/${valid.length} providers recommend ${recommendation}`
+      : `Providers disagree (${[...tally.keys()].join(" vs ")})`,
+    riskFactors: [...new Set(valid.flatMap((v) => v.riskFactors || []))],
+    mitigatingFactors: [...new Set(valid.flatMap((v) => v.mitigatingFactors || []))],
+  };
+}
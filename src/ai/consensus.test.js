@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveConsensus, aggregateVerdicts } from "./consensus.js";
+
+const aiConfig = { consensus: { amount_threshold: 1000, min_agreement: 0.6 } };
+const input = (amount) => ({ request: { amount } });
+
+test("consensus is triggered by the rule or the amount threshold", () => {
+  assert.equal(resolveConsensus(aiConfig, input(10)), null);
+  assert.equal(resolveConsensus(aiConfig, input(5000)).trigger, "amount");
+  assert.equal(resolveConsensus(aiConfig, input(10), { aiMode: "consensus" }).trigger, "rule");
+  assert.equal(resolveConsensus({}, input(5000), { aiMode: "consensus" }), null);
+});
+
+test("ai_mode single opts out of the amount trigger", () => {
+  assert.equal(resolveConsensus(aiConfig, input(5000), { aiMode: "single" }), null);
+});
+
+test("aggregates majority and confidence-weighted votes", () => {
+  const verdicts = [
+    { recommendation: "DENY", confidence: 0.9 },
+    { recommendation: "DENY", confidence: 0.7 },
+    { recommendation: "ALLOW", confidence: 0.95 },
+    { error: "TIMEOUT" },
+  ];
+
+  const majority = aggregateVerdicts(verdicts, { strategy: "majority", minResponses: 2, minAgreement: 0.6 });
+  assert.equal(majority.agreed, true);
+  assert.equal(majority.recommendation, "DENY");
+  assert.equal(majority.agreement, 0.667);
+  assert.equal(majority.confidence, 0.8);
+  assert.equal(majority.responses, 3);
+
+  const weighted = aggregateVerdicts(verdicts, {
+    strategy: "confidence_weighted",
+    minResponses: 2,
+    minAgreement: 0.7,
+  });
+  assert.equal(weighted.agreed, false);
+  assert.equal(weighted.recommendation, "REVIEW");
+});
+
+test("reports a missed quorum", () => {
+  assert.deepEqual(
+    aggregateVerdicts([{ recommendation: "DENY", confidence: 1 }, { error: "x" }], {
+      strategy: "majority",
+      minResponses: 2,
+    }),
+    { quorum: false, responses: 1 }
+  );
+});
@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import { mockAdapter, buildMockSettings } from "./adapters/mock.js";
+import { ERROR_KINDS } from "./adapters/base.js";
+import { AIAnalyzer } from "./analyzer.js";
+
+const deny = { recommendation: "DENY", confidence: 0.9, reasoning: "deny" };
+const allow = { recommendation: "ALLOW", confidence: 0.8, reasoning: "allow" };
+
+const invoke = (mock, input, options = {}) =>
+  mockAdapter.invoke({ name: "mock", mock }, "prompt text", { input, ...options });
+
+const content = (response) => JSON.parse(mockAdapter.extractContent(response));
+
+const ruleContext = {
+  outcome: "GREY_ZONE",
+  matchedRule: { id: "GREY_001", name: "Grey", priority: 1 },
+  evaluationPath: [],
+};
+
+test("fixed mode returns the scripted response, or a REVIEW default", async () => {
+  assert.deepEqual(content(await invoke({ mode: "fixed", response: deny }, {})), deny);
+  assert.equal(content(await invoke({ mode: "fixed" }, {})).recommendation, "REVIEW");
+});
+
+test("keyed mode reads the key from the structured input", async () => {
+  const mock = { mode: "keyed", keyField: "request.type", responses: { payment: deny, "*": allow } };
+
+  assert.deepEqual(content(await invoke(mock, { request: { type: "payment" } })), deny);
+  assert.deepEqual(content(await invoke(mock, { request: { type: "refund" } })), allow);
+  assert.deepEqual(content(await invoke(mock, undefined)), allow);
+});
+
+test("fixtures mode returns the first matching fixture", async () => {
+  const mock = {
+    mode: "fixtures",
+    fixtures: [
+      { match: { "request.type": "payment", "signals.risk_score": 50 }, response: deny },
+      { match: { "request.type": "garbled" }, raw: "probably ALLOW" },
+      { match: { "request.type": "refund" }, failure: "safety_block" },
+    ],
+  };
+
+  const payment = { request: { type: "payment" }, signals: { risk_score: 50 } };
+  assert.deepEqual(content(await invoke(mock, payment)), deny);
+  assert.equal(
+    mockAdapter.extractContent(await invoke(mock, { request: { type: "garbled" } })),
+    "probably ALLOW"
+  );
+  assert.equal(
+    mockAdapter.checkSafetyBlock(await invoke(mock, { request: { type: "refund" } })),
+    "MOCK_SAFETY"
+  );
+  await assert.rejects(invoke(mock, { request: { type: "other" } }), {
+    kind: ERROR_KINDS.BAD_REQUEST,
+  });
+});
+
+test("injected failures map to provider error kinds and content", async () => {
+  await assert.rejects(invoke({ mode: "fixed", failure: "server_error" }, {}), {
+    kind: ERROR_KINDS.SERVER,
+  });
+  await assert.rejects(invoke({ mode: "fixed", failure: "timeout" }, {}, { timeoutMs: 5 }), {
+    kind: ERROR_KINDS.TIMEOUT,
+  });
+  assert.equal(mockAdapter.extractContent(await invoke({ mode: "fixed", failure: "empty" }, {})), null);
+
+  const malformed = await invoke({ mode: "fixed", failure: "malformed" }, {});
+  assert.throws(() => JSON.parse(mockAdapter.extractContent(malformed)), SyntaxError);
+});
+
+test("latency is abortable", async () => {
+  const controller = new AbortController();
+  const call = invoke({ mode: "fixed", latencyMs: 60000 }, {}, { signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(call, { kind: ERROR_KINDS.CANCELLED });
+});
+
+test("the analyzer passes the redacted context, not the raw input", async () => {
+  const analyzer = new AIAnalyzer({
+    enabled: true,
+    providers: [
+      {
+        name: "mock",
+        model: "keyed",
+        adapter: "mock",
+        mock: { mode: "keyed", keyField: "user.email", responses: { "j***@example.com": deny, "*": allow } },
+      },
+    ],
+  });
+
+  const result = await analyzer.analyze(
+    { user: { email: "jane@example.com" } },
+    ruleContext,
+    { redaction: [{ field: "user.email", strategy: "mask_email" }] }
+  );
+  assert.equal(result.recommendation, "DENY");
+});
+
+test("buildMockSettings validates the mode and failure and loads fixtures", () => {
+  assert.equal(buildMockSettings({}), null);
+  assert.throws(() => buildMockSettings({ AI_MOCK_MODE: "random" }), /Unknown AI_MOCK_MODE/);
+  assert.throws(
+    () => buildMockSettings({ AI_MOCK_MODE: "fixed", AI_MOCK_FAILURE: "flaky" }),
+    /Unknown AI_MOCK_FAILURE/
+  );
+
+  const path = join(fs.mkdtempSync(join(os.tmpdir(), "mock-fixtures-")), "fixtures.json");
+  fs.writeFileSync(path, JSON.stringify([{ response: deny }]));
+  const settings = buildMockSettings({
+    AI_MOCK_MODE: "fixtures",
+    AI_MOCK_FIXTURES: path,
+    AI_MOCK_LATENCY_MS: "25",
+  });
+  assert.deepEqual(settings.fixtures, [{ response: deny }]);
+  assert.equal(settings.latencyMs, 25);
+  assert.equal(settings.keyField, "request.type");
+});
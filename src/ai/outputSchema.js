@@ -0,0 +1,125 @@
+/**
+ * ============================================================================
+ * AI OUTPUT SCHEMA - Strict validation of provider answers
+ * ============================================================================
+ *
+ * Expected shape:
+ * {
+ *   "recommendation": "ALLOW" | "DENY" | "REVIEW",
+ *   "confidence": 0.0-1.0,
+ *   "reasoning": "short explanation",
+ *   "risk_factors": ["..."],         // optional, strings only
+ *   "mitigating_factors": ["..."]    // optional, strings only
+ * }
+ *
+ * Failure reasons (Prometheus label):
+ * - NO_JSON:          no JSON object anywhere in the answer
+ * - INVALID_JSON:     something object-like, but it does not parse
+ * - SCHEMA_VIOLATION: parses, but fails the checks below
+ * ============================================================================
+ */
+
+export const PARSE_FAILURE_REASONS = {
+  NO_JSON: "NO_JSON",
+  INVALID_JSON: "INVALID_JSON",
+  SCHEMA_VIOLATION: "SCHEMA_VIOLATION",
+};
+
+const RECOMMENDATIONS = ["ALLOW", "DENY", "REVIEW"];
+
+/**
+ * Find a JSON object in raw model output
+ * Tries the whole text first, then every balanced {...} block in order,
+ * so answers wrapped in prose or code fences still parse
+ */
+export function extractJson(raw) {
+  const text = String(raw).replace(/```(?:json)?/gi, "").trim();
+
+  try {
+    return { value: JSON.parse(text) };
+  } catch {
+    // fall through to embedded objects
+  }
+
+  let sawObject = false;
+  for (let start = text.indexOf("{"); start !== -1; start = text.indexOf("{", start + 1)) {
+    const end = findObjectEnd(text, start);
+    if (end === -1) continue;
+
+    sawObject = true;
+    try {
+      return { value: JSON.parse(text.slice(start, end + 1)) };
+    } catch {
+      // try the next candidate
+    }
+  }
+
+  return {
+    error: sawObject ? PARSE_FAILURE_REASONS.INVALID_JSON : PARSE_FAILURE_REASONS.NO_JSON,
+  };
+}
+
+/**
+ * Index of the brace closing the object opened at `start` (-1 if none)
+ */
+function findObjectEnd(text, start) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (ch === "\\") i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') inString = true;
+    else if (ch === "{") depth++;
+    else if (ch === "}" && --depth === 0) return i;
+  }
+
+  return -1;
+}
+
+/**
+ * Check a parsed answer against the schema; returns a list of problems
+ */
+export function validateAnalysisOutput(value) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    return ["response must be a JSON object"];
+  }
+
+  const errors = [];
+
+  if (!RECOMMENDATIONS.includes(value.recommendation)) {
+    errors.push(
+      `recommendation must be one of ${RECOMMENDATIONS.join(", ")} (got ${JSON.stringify(value.recommendation)})`
+    );
+  }
+
+  if (
+    typeof value.confidence !== "number" ||
+    !Number.isFinite(value.confidence) ||
+    value.confidence < 0 ||
+    value.confidence > 1
+  ) {
+    errors.push(
+      `confidence must be a number between 0 and 1 (got ${JSON.stringify(value.confidence)})`
+    );
+  }
+
+  if (typeof value.reasoning !== "string") {
+    errors.push("reasoning must be a string");
+  }
+
+  for (const key of ["risk_factors", "mitigating_factors"]) {
+    if (value[key] === undefined) continue;
+    if (!Array.isArray(value[key]) || !value[key].every((f) => typeof f === "string")) {
+      errors.push(`${key} must be an array of strings`);
+    }
+  }
+
+  return errors;
+}
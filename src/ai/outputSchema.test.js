@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractJson, validateAnalysisOutput, PARSE_FAILURE_REASONS } from "./outputSchema.js";
+import { registerAdapter } from "./adapters/index.js";
+import { AIAnalyzer } from "./analyzer.js";
+
+const valid = { recommendation: "DENY", confidence: 0.9, reasoning: "ok" };
+
+const ruleContext = { outcome: "GREY_ZONE", matchedRule: null, evaluationPath: [] };
+
+test("extractJson finds the object in plain, fenced and prose answers", () => {
+  const cases = [
+    JSON.stringify(valid),
+    "```json\n" + JSON.stringify(valid) + "\n```",
+    "```\n" + JSON.stringify(valid) + "\n```",
+    `Here is my analysis: ${JSON.stringify(valid)} Let me know if you need more.`,
+    `Note {not json} then ${JSON.stringify(valid)}`,
+  ];
+  for (const raw of cases) {
+    assert.deepEqual(extractJson(raw), { value: valid }, raw);
+  }
+
+  const braces = { ...valid, reasoning: 'says "}" and {x}' };
+  assert.deepEqual(extractJson(`prefix ${JSON.stringify(braces)} suffix`), { value: braces });
+});
+
+test("extractJson reports NO_JSON and INVALID_JSON", () => {
+  assert.deepEqual(extractJson("I think ALLOW."), { error: PARSE_FAILURE_REASONS.NO_JSON });
+  assert.deepEqual(extractJson('{"recommendation": "DENY", "confidence": '), {
+    error: PARSE_FAILURE_REASONS.NO_JSON,
+  });
+  assert.deepEqual(extractJson("answer: {recommendation: DENY}"), {
+    error: PARSE_FAILURE_REASONS.INVALID_JSON,
+  });
+});
+
+test("validateAnalysisOutput rejects schema violations", () => {
+  assert.deepEqual(validateAnalysisOutput(valid), []);
+  assert.deepEqual(
+    validateAnalysisOutput({ ...valid, risk_factors: ["a"], mitigating_factors: [] }),
+    []
+  );
+
+  const cases = [
+    [null, /JSON object/],
+    [[valid], /JSON object/],
+    [{ ...valid, recommendation: "BLOCK" }, /recommendation must be one of/],
+    [{ ...valid, confidence: 1.5 }, /confidence must be a number between 0 and 1/],
+    [{ ...valid, confidence: "0.9" }, /confidence/],
+    [{ ...valid, reasoning: undefined }, /reasoning must be a string/],
+    [{ ...valid, risk_factors: "high" }, /risk_factors must be an array of strings/],
+    [{ ...valid, mitigating_factors: [1] }, /mitigating_factors must be an array of strings/],
+  ];
+  for (const [value, pattern] of cases) {
+    const errors = validateAnalysisOutput(value);
+    assert.equal(errors.length, 1, JSON.stringify(value));
+    assert.match(errors[0], pattern);
+  }
+});
+
+/**
+ * Provider that replies with the scripted answers in turn (last one repeats)
+ */
+function scriptedProvider(name, answers) {
+  const prompts = [];
+  registerAdapter({
+    name,
+    buildRequest: () => ({ url: "", headers: {}, body: {} }),
+    extractContent: (response) => response.content,
+    async invoke(_provider, prompt) {
+      prompts.push(prompt);
+      return { content: answers[Math.min(prompts.length - 1, answers.length - 1)] };
+    },
+  });
+  return { provider: { name, adapter: name, model: "m" }, prompts };
+}
+
+test("an invalid answer gets one corrective retry to the same provider", async () => {
+  const { provider, prompts } = scriptedProvider("retry-once", [
+    '{"recommendation": "BLOCK", "confidence": 0.9, "reasoning": "x"}',
+    JSON.stringify(valid),
+  ]);
+  const analyzer = new AIAnalyzer({ enabled: true, providers: [provider] });
+
+  const result = await analyzer.analyze({ request: {} }, ruleContext);
+
+  assert.equal(result.analyzed, true);
+  assert.equal(result.repaired, true);
+  assert.equal(result.recommendation, "DENY");
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /Your previous response could not be used/);
+  assert.match(prompts[1], /recommendation must be one of/);
+});
+
+test("a second invalid answer falls through to the next provider, then AI_UNAVAILABLE", async () => {
+  const garbled = scriptedProvider("always-garbled", ["probably fine, ALLOW"]);
+  const backup = scriptedProvider("backup", [JSON.stringify(valid)]);
+
+  const withBackup = new AIAnalyzer({
+    enabled: true,
+    providers: [garbled.provider, backup.provider],
+  });
+  const recovered = await withBackup.analyze({ request: {} }, ruleContext);
+  assert.equal(recovered.provider, "backup");
+  assert.equal(recovered.repaired, false);
+  assert.equal(garbled.prompts.length, 2);
+
+  const alone = new AIAnalyzer({ enabled: true, providers: [garbled.provider] });
+  const failed = await alone.analyze({ request: {} }, ruleContext);
+  assert.equal(failed.analyzed, false);
+  assert.equal(failed.reason, "ALL_PROVIDERS_FAILED");
+  assert.equal(garbled.prompts.length, 4);
+
+  const decision = alone.combineDecision(ruleContext, failed);
+  assert.deepEqual(decision, { finalDecision: "REVIEW", source: "AI_UNAVAILABLE" });
+});
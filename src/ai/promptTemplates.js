@@ -0,0 +1,68 @@
+/**
+ * ============================================================================
+ * PROMPT TEMPLATES - Domain guidance for grey-zone prompts
+ * ============================================================================
+ *
+ * Defined in ai_config.prompt_templates:
+ *
+ *   prompt_templates:
+ *     payments:
+ *       version: "2"
+ *       template: |
+ *         Payment of {{input.request.amount}} flagged by {{rule.name}}.
+ *         Consider chargeback history and velocity.
+ *   prompt_template_by_type:
+ *     payment: "payments"
+ *
+ * Resolution order:
+ * 1. prompt_template of the matched GREY_ZONE rule
+ * 2. prompt_template_by_type[request.type]
+ * 3. the template named "default", if defined
+ * 4. no guidance (built-in prompt only)
+ *
+ * Variables read the redacted prompt context ({{input.*}}), so only
+ * context_fields can appear in the rendered text, plus {{rule.*}}.
+ * ============================================================================
+ */
+
+import { getValue } from "../rules/path.js";
+
+const VARIABLE = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+export const BUILTIN_TEMPLATE = { name: "builtin", version: null, template: null };
+
+/**
+ * Pick the template for a request
+ */
+export function resolvePromptTemplate(aiConfig = {}, input, ruleContext = {}) {
+  const templates = aiConfig.prompt_templates || {};
+  const byType = aiConfig.prompt_template_by_type || {};
+  const type = getValue(input, "request.type");
+
+  // Own keys only: "constructor" / "toString" must not resolve to functions
+  const candidates = [
+    ruleContext.promptTemplate,
+    typeof type === "string" && Object.hasOwn(byType, type) ? byType[type] : null,
+    "default",
+  ];
+
+  const name = candidates.find((n) => n && Object.hasOwn(templates, n));
+  if (!name) return BUILTIN_TEMPLATE;
+
+  return {
+    name,
+    version: templates[name].version !== undefined ? String(templates[name].version) : null,
+    template: templates[name].template,
+  };
+}
+
+/**
+ * Replace {{path}} variables; unknown paths render as empty strings
+ */
+export function renderTemplate(template, variables) {
+  return template.replace(VARIABLE, (_, path) => {
+    const value = getValue(variables, path);
+    if (value === undefined || value === null) return "";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  });
+}
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BUILTIN_TEMPLATE, resolvePromptTemplate, renderTemplate } from "./promptTemplates.js";
+import { validateRuleset } from "../rules/validator.js";
+
+const aiConfig = {
+  prompt_templates: {
+    payments: { version: 2, template: "Payment of {{input.request.amount}}" },
+    default: { version: "1", template: "Generic" },
+  },
+  prompt_template_by_type: { payment: "payments" },
+};
+
+test("rule template wins over request type, then default", () => {
+  const payment = { request: { type: "payment" } };
+  assert.equal(resolvePromptTemplate(aiConfig, payment, { promptTemplate: "default" }).name, "default");
+  assert.deepEqual(resolvePromptTemplate(aiConfig, payment), {
+    name: "payments",
+    version: "2",
+    template: "Payment of {{input.request.amount}}",
+  });
+  assert.equal(resolvePromptTemplate(aiConfig, { request: { type: "login" } }).name, "default");
+  assert.equal(resolvePromptTemplate({}, payment), BUILTIN_TEMPLATE);
+});
+
+test("inherited keys never resolve to a template", () => {
+  const input = { request: { type: "constructor" } };
+  assert.equal(resolvePromptTemplate({}, input, { promptTemplate: "toString" }), BUILTIN_TEMPLATE);
+  assert.equal(resolvePromptTemplate({}, input), BUILTIN_TEMPLATE);
+});
+
+test("validator rejects inherited template names", () => {
+  const { valid, errors } = validateRuleset({
+    version: "1",
+    rules: [
+      {
+        id: "GREY_1",
+        name: "Grey",
+        outcome: "GREY_ZONE",
+        prompt_template: "constructor",
+        condition: { field: "signals.risk_score", op: "gte", value: 50 },
+      },
+    ],
+    ai_config: { prompt_templates: {}, prompt_template_by_type: { payment: "toString" } },
+  });
+
+  assert.equal(valid, false);
+  assert.deepEqual(
+    errors.map((e) => e.path).sort(),
+    ["ai_config.prompt_template_by_type.payment", "rules[0].prompt_template"]
+  );
+});
+
+test("renderTemplate fills variables and blanks unknown ones", () => {
+  assert.equal(
+    renderTemplate("{{input.a}} / {{input.b}} / {{missing}}", { input: { a: 1, b: { c: 2 } } }),
+    '1 / {"c":2} / '
+  );
+});
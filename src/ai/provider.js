@@ -4,10 +4,21 @@
  * ============================================================================
  * Builds ordered AI provider list from environment variables
  *
- * Priority:
+ * Default priority:
  * 1. Gemini 3 Flash
  * 2. Gemini 2.5 Flash
  * 3. Claude
+ * 4. OpenAI-compatible endpoint (OpenAI, vLLM, LiteLLM, self-hosted gateways)
+ * 5. Ollama (local models)
+ * 6. Mock (AI_MOCK_MODE - scripted, no network; see adapters/mock.js)
+ *
+ * AI_CUSTOM_PROVIDERS (JSON array) appends providers backed by any
+ * registered adapter, including custom ones from AI_ADAPTER_MODULES:
+ *   [{ "name": "inhouse", "adapter": "inhouse", "model": "risk-v2",
+ *      "apiUrl": "http://...", "apiKeyEnv": "INHOUSE_API_KEY" }]
+ *
+ * AI_PROVIDER_ORDER (e.g. "openai,ollama,claude") overrides the order;
+ * provider names missing from the list are left out entirely.
  *
  * Responsibility:
  * - Read env
@@ -16,6 +27,9 @@
  * ============================================================================
  */
 
+import { getAdapter } from "./adapters/index.js";
+import { buildMockSettings } from "./adapters/mock.js";
+
 export function buildAIProviders(env) {
   const providers = [];
 
@@ -27,7 +41,8 @@ export function buildAIProviders(env) {
       name: "gemini",
       model: env.GEMINI_PRIMARY_MODEL,
       apiKey: env.GEMINI_API_KEY,
-      apiUrl: "https://generativelanguage.googleapis.com/v1/models"
+      adapter: "gemini",
+      apiUrl: getAdapter("gemini").defaultApiUrl
     });
   }
 
@@ -43,7 +58,8 @@ export function buildAIProviders(env) {
       name: "gemini",
       model: env.GEMINI_FALLBACK_MODEL,
       apiKey: env.GEMINI_API_KEY,
-      apiUrl: "https://generativelanguage.googleapis.com/v1/models"
+      adapter: "gemini",
+      apiUrl: getAdapter("gemini").defaultApiUrl
     });
   }
 
@@ -55,9 +71,107 @@ export function buildAIProviders(env) {
       name: "claude",
       model: env.CLAUDE_MODEL,
       apiKey: env.CLAUDE_API_KEY,
-      apiUrl: "https://api.anthropic.com/v1/messages"
+      adapter: "claude",
+      apiUrl: getAdapter("claude").defaultApiUrl
+    });
+  }
+
+  // --------------------------------------------------------------------------
+  // OpenAI-compatible (/v1/chat/completions)
+  // API key is optional - self-hosted gateways often run without one
+  // --------------------------------------------------------------------------
+  if (env.OPENAI_COMPAT_MODEL) {
+    providers.push({
+      name: "openai",
+      model: env.OPENAI_COMPAT_MODEL,
+      apiKey: env.OPENAI_COMPAT_API_KEY || "",
+      adapter: "openai",
+      apiUrl: env.OPENAI_COMPAT_API_URL || getAdapter("openai").defaultApiUrl
+    });
+  }
+
+  // --------------------------------------------------------------------------
+  // Ollama (local models, /api/generate)
+  // --------------------------------------------------------------------------
+  if (env.OLLAMA_MODEL) {
+    providers.push({
+      name: "ollama",
+      model: env.OLLAMA_MODEL,
+      apiKey: "",
+      adapter: "ollama",
+      apiUrl: env.OLLAMA_API_URL || getAdapter("ollama").defaultApiUrl
     });
   }
 
-  return providers;
+  // --------------------------------------------------------------------------
+  // Mock (local development / CI - no keys, no network)
+  // --------------------------------------------------------------------------
+  const mock = buildMockSettings(env);
+  if (mock) {
+    providers.push({
+      name: "mock",
+      model: env.AI_MOCK_MODEL || `mock-${mock.mode}`,
+      apiKey: "",
+      adapter: "mock",
+      apiUrl: "",
+      mock
+    });
+  }
+
+  // --------------------------------------------------------------------------
+  // Custom providers (any registered adapter)
+  // --------------------------------------------------------------------------
+  providers.push(...buildCustomProviders(env));
+
+  return orderProviders(providers, env.AI_PROVIDER_ORDER);
+}
+
+/**
+ * Parse AI_CUSTOM_PROVIDERS, skipping entries with unknown adapters
+ */
+function buildCustomProviders(env) {
+  if (!env.AI_CUSTOM_PROVIDERS) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(env.AI_CUSTOM_PROVIDERS);
+  } catch (err) {
+    console.error("[AIProviders] Invalid AI_CUSTOM_PROVIDERS JSON:", err.message);
+    return [];
+  }
+
+  return (Array.isArray(entries) ? entries : []).flatMap((entry) => {
+    const adapterName = entry.adapter || entry.name;
+    const adapter = getAdapter(adapterName);
+
+    if (!entry.name || !entry.model || !adapter) {
+      console.warn(
+        `[AIProviders] Skipping custom provider "${entry.name}": ` +
+          (adapter ? "name and model are required" : `unknown adapter "${adapterName}"`)
+      );
+      return [];
+    }
+
+    return [{
+      ...entry,
+      adapter: adapterName,
+      apiKey: entry.apiKeyEnv ? env[entry.apiKeyEnv] || "" : "",
+      apiUrl: entry.apiUrl || adapter.defaultApiUrl || ""
+    }];
+  });
+}
+
+/**
+ * Apply AI_PROVIDER_ORDER (comma-separated provider names)
+ * Stable: providers sharing a name keep their relative order
+ */
+function orderProviders(providers, order) {
+  if (!order) return providers;
+
+  const names = order
+    .split(",")
+    .map((n) => n.trim())
+    .filter(Boolean);
+
+  return names.flatMap((name) => providers.filter((p) => p.name === name));
 }
@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { buildAIProviders } from "./provider.js";
+import { openaiAdapter } from "./adapters/openai.js";
+import { ollamaAdapter } from "./adapters/ollama.js";
+import { AIAnalyzer } from "./analyzer.js";
+
+const answer = { recommendation: "DENY", confidence: 0.9, reasoning: "fake" };
+
+const ruleContext = {
+  outcome: "GREY_ZONE",
+  matchedRule: { id: "GREY_001", name: "Grey", priority: 1 },
+  evaluationPath: [],
+};
+
+/**
+ * Local HTTP server standing in for a provider endpoint
+ * handler(body) → [status, json]
+ */
+async function fakeEndpoint(t, handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const body = JSON.parse(raw);
+      requests.push({ headers: req.headers, body });
+      const [status, json] = handler(body);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+test("openai adapter builds a chat completion and reads the first choice", () => {
+  const request = openaiAdapter.buildRequest(
+    { apiUrl: "http://gw/v1/chat/completions", apiKey: "sk-1", model: "gpt-x" },
+    "PROMPT"
+  );
+
+  assert.equal(request.url, "http://gw/v1/chat/completions");
+  assert.deepEqual(request.headers, { Authorization: "Bearer sk-1" });
+  assert.equal(request.body.model, "gpt-x");
+  assert.deepEqual(request.body.messages.at(-1), { role: "user", content: "PROMPT" });
+
+  // Self-hosted gateways often run without a key
+  assert.deepEqual(openaiAdapter.buildRequest({ apiKey: "" }, "p").headers, {});
+
+  const response = { data: { choices: [{ message: { content: "{}" }, finish_reason: "stop" }] } };
+  assert.equal(openaiAdapter.extractContent(response), "{}");
+  assert.equal(openaiAdapter.extractContent({ data: {} }), null);
+  assert.equal(openaiAdapter.checkSafetyBlock(response), null);
+  assert.equal(
+    openaiAdapter.checkSafetyBlock({ data: { choices: [{ finish_reason: "content_filter" }] } }),
+    "content_filter"
+  );
+});
+
+test("ollama adapter builds a non-streaming JSON generate request", () => {
+  const request = ollamaAdapter.buildRequest(
+    { apiUrl: "http://localhost:11434/api/generate", model: "llama3" },
+    "PROMPT"
+  );
+
+  assert.deepEqual(request.headers, {});
+  assert.equal(request.body.model, "llama3");
+  assert.equal(request.body.prompt, "PROMPT");
+  assert.equal(request.body.stream, false);
+  assert.equal(request.body.format, "json");
+  assert.equal(ollamaAdapter.extractContent({ data: { response: "{}" } }), "{}");
+  assert.equal(ollamaAdapter.extractContent({ data: {} }), null);
+});
+
+test("buildAIProviders adds openai and ollama from env and applies AI_PROVIDER_ORDER", () => {
+  const env = {
+    OPENAI_COMPAT_MODEL: "gpt-x",
+    OPENAI_COMPAT_API_URL: "http://gw/v1/chat/completions",
+    OLLAMA_MODEL: "llama3",
+  };
+
+  const providers = buildAIProviders(env);
+  assert.deepEqual(
+    providers.map((p) => [p.name, p.model, p.adapter]),
+    [
+      ["openai", "gpt-x", "openai"],
+      ["ollama", "llama3", "ollama"],
+    ]
+  );
+  assert.equal(providers[0].apiUrl, "http://gw/v1/chat/completions");
+  assert.equal(providers[0].apiKey, "");
+  assert.equal(providers[1].apiUrl, ollamaAdapter.defaultApiUrl);
+
+  const ordered = buildAIProviders({ ...env, AI_PROVIDER_ORDER: "ollama" });
+  assert.deepEqual(ordered.map((p) => p.name), ["ollama"]);
+});
+
+test("an openai-compatible server error falls back to ollama over HTTP", async (t) => {
+  const openai = await fakeEndpoint(t, () => [500, { error: "down" }]);
+  const ollama = await fakeEndpoint(t, () => [200, { response: JSON.stringify(answer) }]);
+
+  const analyzer = new AIAnalyzer({
+    enabled: true,
+    circuitBreaker: { enabled: false },
+    providers: [
+      { name: "openai", adapter: "openai", model: "gpt-x", apiKey: "sk-1", apiUrl: openai.url },
+      { name: "ollama", adapter: "ollama", model: "llama3", apiKey: "", apiUrl: ollama.url },
+    ],
+  });
+
+  const result = await analyzer.analyze({ request: { type: "payment" } }, ruleContext);
+
+  assert.equal(result.analyzed, true);
+  assert.equal(result.provider, "ollama");
+  assert.equal(result.recommendation, "DENY");
+  assert.equal(openai.requests[0].headers.authorization, "Bearer sk-1");
+  assert.equal(ollama.requests[0].body.model, "llama3");
+  assert.deepEqual(result.disclosure.providers, ["openai/gpt-x", "ollama/llama3"]);
+});
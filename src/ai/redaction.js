@@ -0,0 +1,167 @@
+/**
+ * ============================================================================
+ * PROMPT CONTEXT - Minimal, redacted view of a request for external LLMs
+ * ============================================================================
+ *
+ * Driven by ai_config in rules.yaml:
+ *
+ *   context_fields:            # only these paths are sent
+ *     - "request.amount"
+ *     - "user"
+ *   redaction:                 # applied to the selected fields
+ *     - field: "user.email"
+ *       strategy: "mask_email" # j***@example.com
+ *     - field: "user.name"
+ *       strategy: "redact"     # [REDACTED]
+ *   pii_scan: ["email", "card_number"]   # mask matches in any string value
+ *
+ * Design Decisions:
+ * 1. Paths resolve exactly like rule conditions (src/rules/path.js)
+ * 2. Without context_fields the full input is sent (legacy behaviour)
+ * 3. Every call returns a disclosure record of what left the platform
+ * 4. "hash" is a keyed HMAC: a plain digest of a low-entropy value (email,
+ *    card number) is reversible by brute force. Without REDACTION_HASH_SECRET
+ *    the value is redacted instead
+ * 5. Card numbers must pass the Luhn check, so order ids and phone numbers
+ *    of the same length are left alone
+ * ============================================================================
+ */
+
+import { createHmac } from "crypto";
+import { getValue, setValue, deleteValue } from "../rules/path.js";
+
+export const REDACTION_STRATEGIES = ["redact", "mask", "mask_email", "hash", "drop"];
+
+export const PII_PATTERNS = {
+  email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+  card_number: /\b(?:\d[ -]?){12,18}\d\b/g,
+};
+
+const maskEmail = (value) => {
+  const [local, domain] = String(value).split("@");
+  return domain ? `${local.charAt(0)}***@${domain}` : "[REDACTED]";
+};
+
+/**
+ * Luhn checksum over a string of digits
+ */
+export function isLuhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+const maskCard = (match) => {
+  const digits = match.replace(/\D/g, "");
+  return isLuhnValid(digits) ? maskTail(digits) : match;
+};
+
+const maskTail = (value, keepLast = 4) => {
+  const text = String(value);
+  const kept = keepLast > 0 ? text.slice(-keepLast) : "";
+  return "*".repeat(Math.max(0, text.length - kept.length)) + kept;
+};
+
+/**
+ * Apply one redaction strategy to a value
+ * hashSecret keys the "hash" strategy; without it the value is redacted
+ */
+export function redactValue(value, strategy, options = {}, hashSecret = null) {
+  switch (strategy) {
+    case "mask":
+      return maskTail(value, options.keep_last ?? 4);
+    case "mask_email":
+      return maskEmail(value);
+    case "hash":
+      if (!hashSecret) return "[REDACTED]";
+      return `hmac:${createHmac("sha256", hashSecret).update(String(value)).digest("hex").slice(0, 16)}`;
+    case "redact":
+    default:
+      return "[REDACTED]";
+  }
+}
+
+/**
+ * Build the prompt context and its disclosure record
+ * options.hashSecret: key for the "hash" strategy
+ */
+export function buildPromptContext(input, aiConfig = {}, options = {}) {
+  const fields = aiConfig.context_fields;
+  const disclosure = { fields: [], missing: [], redacted: [] };
+
+  // Legacy: no field list configured → whole input
+  let context;
+  if (Array.isArray(fields) && fields.length > 0) {
+    context = {};
+    for (const field of fields) {
+      const value = getValue(input, field);
+      if (value === undefined) {
+        disclosure.missing.push(field);
+        continue;
+      }
+      setValue(context, field, structuredClone(value));
+      disclosure.fields.push(field);
+    }
+  } else {
+    context = structuredClone(input);
+    disclosure.fields.push("*");
+  }
+
+  // Field rules
+  for (const rule of aiConfig.redaction || []) {
+    const value = getValue(context, rule.field);
+    if (value === undefined) continue;
+
+    if (rule.strategy === "drop") {
+      deleteValue(context, rule.field);
+    } else {
+      setValue(
+        context,
+        rule.field,
+        redactValue(value, rule.strategy, rule, options.hashSecret)
+      );
+    }
+    disclosure.redacted.push({ field: rule.field, strategy: rule.strategy });
+  }
+
+  // Pattern scan over every remaining string
+  const patterns = (aiConfig.pii_scan || []).filter((name) => PII_PATTERNS[name]);
+  if (patterns.length > 0) {
+    scanStrings(context, "", (text, path) => {
+      let result = text;
+      for (const name of patterns) {
+        const next = result.replace(PII_PATTERNS[name], (match) =>
+          name === "email" ? maskEmail(match) : maskCard(match)
+        );
+        if (next !== result) {
+          disclosure.redacted.push({ field: path, strategy: `pii_scan:${name}` });
+          result = next;
+        }
+      }
+      return result;
+    });
+  }
+
+  return { context, disclosure };
+}
+
+/**
+ * Replace every string in a (cloned) object tree in place
+ */
+function scanStrings(node, path, replace) {
+  for (const [key, value] of Object.entries(node)) {
+    const childPath = path ? `${path}.${key}` : key;
+    if (typeof value === "string") {
+      node[key] = replace(value, childPath);
+    } else if (value && typeof value === "object") {
+      scanStrings(value, childPath, replace);
+    }
+  }
+}
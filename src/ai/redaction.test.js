@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPromptContext, isLuhnValid, redactValue } from "./redaction.js";
+
+const input = {
+  request: { amount: 120, note: "Refund to jane@example.com, card 4111 1111 1111 1111" },
+  user: { email: "jane@example.com", name: "Jane Doe", card: "4111111111111111" },
+  device: { id: "dev_1" },
+};
+
+test("redactValue applies each strategy", () => {
+  assert.equal(redactValue("Jane Doe", "redact"), "[REDACTED]");
+  assert.equal(redactValue("4111111111111111", "mask"), "************1111");
+  assert.equal(redactValue("4111111111111111", "mask", { keep_last: 0 }), "*".repeat(16));
+  assert.equal(redactValue("jane@example.com", "mask_email"), "j***@example.com");
+  assert.equal(redactValue("not-an-email", "mask_email"), "[REDACTED]");
+  assert.equal(redactValue("anything", "unknown"), "[REDACTED]");
+});
+
+test("hash is a keyed HMAC and redacts without a secret", () => {
+  const hashed = redactValue("jane@example.com", "hash", {}, "secret-a");
+
+  assert.match(hashed, /^hmac:[0-9a-f]{16}$/);
+  assert.equal(redactValue("jane@example.com", "hash", {}, "secret-a"), hashed);
+  assert.notEqual(redactValue("jane@example.com", "hash", {}, "secret-b"), hashed);
+  assert.equal(redactValue("jane@example.com", "hash"), "[REDACTED]");
+});
+
+test("isLuhnValid accepts card numbers and rejects other digit runs", () => {
+  assert.equal(isLuhnValid("4111111111111111"), true);
+  assert.equal(isLuhnValid("5500005555555559"), true);
+  assert.equal(isLuhnValid("4111111111111112"), false);
+  assert.equal(isLuhnValid("1234567890123"), false);
+});
+
+test("context_fields selects paths and records missing ones", () => {
+  const { context, disclosure } = buildPromptContext(input, {
+    context_fields: ["request.amount", "user.email", "user.phone"],
+  });
+
+  assert.deepEqual(context, { request: { amount: 120 }, user: { email: "jane@example.com" } });
+  assert.deepEqual(disclosure, {
+    fields: ["request.amount", "user.email"],
+    missing: ["user.phone"],
+    redacted: [],
+  });
+});
+
+test("without context_fields the whole input is sent as a copy", () => {
+  const { context, disclosure } = buildPromptContext(input, {});
+
+  assert.deepEqual(context, input);
+  assert.notEqual(context.user, input.user);
+  assert.deepEqual(disclosure.fields, ["*"]);
+});
+
+test("redaction rules rewrite or drop fields and are disclosed", () => {
+  const { context, disclosure } = buildPromptContext(
+    input,
+    {
+      context_fields: ["user", "device"],
+      redaction: [
+        { field: "user.email", strategy: "mask_email" },
+        { field: "user.name", strategy: "hash" },
+        { field: "user.card", strategy: "mask", keep_last: 4 },
+        { field: "device.id", strategy: "drop" },
+        { field: "user.phone", strategy: "redact" },
+      ],
+    },
+    { hashSecret: "k" }
+  );
+
+  assert.equal(context.user.email, "j***@example.com");
+  assert.match(context.user.name, /^hmac:/);
+  assert.equal(context.user.card, "************1111");
+  assert.deepEqual(context.device, {});
+  assert.deepEqual(disclosure.redacted, [
+    { field: "user.email", strategy: "mask_email" },
+    { field: "user.name", strategy: "hash" },
+    { field: "user.card", strategy: "mask" },
+    { field: "device.id", strategy: "drop" },
+  ]);
+  assert.equal(input.user.email, "jane@example.com");
+});
+
+test("pii_scan masks emails and Luhn-valid card numbers in any string", () => {
+  const { context, disclosure } = buildPromptContext(
+    { note: "Refund jane@example.com, card 4111 1111 1111 1111, order 1234567890123" },
+    { pii_scan: ["email", "card_number", "unknown"] }
+  );
+
+  assert.equal(
+    context.note,
+    "Refund j***@example.com, card ************1111, order 1234567890123"
+  );
+  assert.deepEqual(disclosure.redacted, [
+    { field: "note", strategy: "pii_scan:email" },
+    { field: "note", strategy: "pii_scan:card_number" },
+  ]);
+});
+
+test("pii_scan leaves strings without a Luhn-valid number undisclosed", () => {
+  const { context, disclosure } = buildPromptContext(
+    { order: { ref: "1234567890123" } },
+    { pii_scan: ["card_number"] }
+  );
+
+  assert.deepEqual(context, { order: { ref: "1234567890123" } });
+  assert.deepEqual(disclosure.redacted, []);
+});
@@ -0,0 +1,95 @@
+/**
+ * ============================================================================
+ * JSONL AUDIT STORE - Append-only JSON Lines file
+ * ============================================================================
+ * One decision per line. Writes are serialized through a promise chain so
+ * concurrent decisions never interleave partial lines. Queries scan the
+ * file - fine for compliance lookups, use sqlite for heavy querying.
+ * ============================================================================
+ */
+
+import fs from "fs";
+
+/**
+ * In-memory filter applied while scanning the file
+ * Filters: from, to (ISO timestamps), outcome, source, ruleId
+ */
+function matchesFilters(record, filters) {
+  if (filters.from && record.timestamp < filters.from) return false;
+  if (filters.to && record.timestamp > filters.to) return false;
+  if (filters.outcome && record.decision?.final !== filters.outcome) return false;
+  if (filters.source && record.decision?.source !== filters.source) return false;
+  if (
+    filters.ruleId &&
+    record.ruleEvaluation?.matchedRule?.id !== filters.ruleId
+  ) {
+    return false;
+  }
+  return true;
+}
+
+export class JsonlAuditStore {
+  constructor(path) {
+    this.path = path;
+    this.backend = "jsonl";
+    this.writeChain = Promise.resolve();
+  }
+
+  append(record) {
+    const line = JSON.stringify(record) + "\n";
+    // A failed write must not poison the chain for every later append;
+    // the caller still gets this write's own result
+    const write = this.writeChain
+      .catch(() => {})
+      .then(() => fs.promises.appendFile(this.path, line, "utf8"));
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+
+  async readAll() {
+    // Wait for pending writes so a lookup right after a decision finds it
+    await this.writeChain;
+
+    let content;
+    try {
+      content = await fs.promises.readFile(this.path, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // A torn last line (crash mid-write) must not break the whole log
+        console.warn(`[JsonlAuditStore] Skipping unreadable line in ${this.path}`);
+      }
+    }
+    return records;
+  }
+
+  async query(filters = {}) {
+    const { limit = 50, offset = 0 } = filters;
+    const records = await this.readAll();
+
+    return records
+      .filter((r) => matchesFilters(r, filters))
+      .reverse()
+      .slice(offset, offset + limit);
+  }
+
+  async get(requestId) {
+    const records = await this.readAll();
+    for (let i = records.length - 1; i >= 0; i--) {
+      if (records[i].requestId === requestId) return records[i];
+    }
+    return null;
+  }
+
+  async close() {
+    await this.writeChain;
+  }
+}
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import { JsonlAuditStore } from "./jsonlStore.js";
+
+function tempDir() {
+  return fs.mkdtempSync(join(os.tmpdir(), "jsonl-audit-"));
+}
+
+test("appends records and reads them back newest first", async () => {
+  const store = new JsonlAuditStore(join(tempDir(), "audit.jsonl"));
+
+  await Promise.all([
+    store.append({ requestId: "a", timestamp: "2024-01-01T00:00:00Z" }),
+    store.append({ requestId: "b", timestamp: "2024-01-02T00:00:00Z" }),
+  ]);
+
+  assert.deepEqual((await store.query()).map((r) => r.requestId), ["b", "a"]);
+  assert.equal((await store.get("a")).timestamp, "2024-01-01T00:00:00Z");
+});
+
+test("a failed write rejects only its own append", async () => {
+  const dir = join(tempDir(), "missing");
+  const store = new JsonlAuditStore(join(dir, "audit.jsonl"));
+
+  await assert.rejects(store.append({ requestId: "lost" }), { code: "ENOENT" });
+
+  fs.mkdirSync(dir);
+  await store.append({ requestId: "kept" });
+
+  assert.deepEqual((await store.query()).map((r) => r.requestId), ["kept"]);
+  await store.close();
+});
+
+test("skips a torn last line", async () => {
+  const path = join(tempDir(), "audit.jsonl");
+  fs.writeFileSync(path, '{"requestId":"a"}\n{"requestId":');
+  const store = new JsonlAuditStore(path);
+
+  assert.deepEqual((await store.readAll()).map((r) => r.requestId), ["a"]);
+});
@@ -0,0 +1,107 @@
+/**
+ * ============================================================================
+ * SQLITE AUDIT STORE - node:sqlite backed decision log
+ * ============================================================================
+ * Filter columns (timestamp, outcome, source, rule_id) are indexed; the full
+ * record is kept as JSON. Rows are never replaced - a duplicate request id
+ * is rejected. Uses the built-in node:sqlite module (Node 22+),
+ * so no native dependency is needed.
+ * ============================================================================
+ */
+
+import { DatabaseSync } from "node:sqlite";
+
+export class SqliteAuditStore {
+  constructor(path) {
+    this.path = path;
+    this.backend = "sqlite";
+    this.db = new DatabaseSync(path);
+
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      CREATE TABLE IF NOT EXISTS decisions (
+        request_id TEXT PRIMARY KEY,
+        timestamp  TEXT NOT NULL,
+        outcome    TEXT,
+        source     TEXT,
+        rule_id    TEXT,
+        record     TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_decisions_timestamp ON decisions (timestamp);
+      CREATE INDEX IF NOT EXISTS idx_decisions_outcome ON decisions (outcome);
+      CREATE INDEX IF NOT EXISTS idx_decisions_rule_id ON decisions (rule_id);
+    `);
+
+    this.insertStmt = this.db.prepare(
+      `INSERT INTO decisions (request_id, timestamp, outcome, source, rule_id, record)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    );
+    this.getStmt = this.db.prepare(
+      "SELECT record FROM decisions WHERE request_id = ?"
+    );
+  }
+
+  async append(record) {
+    try {
+      this.insertStmt.run(
+        record.requestId,
+        record.timestamp,
+        record.decision?.final ?? null,
+        record.decision?.source ?? null,
+        record.ruleEvaluation?.matchedRule?.id ?? null,
+        JSON.stringify(record)
+      );
+    } catch (error) {
+      // Append-only: a duplicate request id is an error, never an overwrite
+      if (/UNIQUE constraint/.test(error.message)) {
+        throw new Error(`Audit record ${record.requestId} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  async query(filters = {}) {
+    const { limit = 50, offset = 0 } = filters;
+    const where = [];
+    const params = [];
+
+    if (filters.from) {
+      where.push("timestamp >= ?");
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      where.push("timestamp <= ?");
+      params.push(filters.to);
+    }
+    if (filters.outcome) {
+      where.push("outcome = ?");
+      params.push(filters.outcome);
+    }
+    if (filters.source) {
+      where.push("source = ?");
+      params.push(filters.source);
+    }
+    if (filters.ruleId) {
+      where.push("rule_id = ?");
+      params.push(filters.ruleId);
+    }
+
+    const sql = `SELECT record FROM decisions
+      ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY timestamp DESC LIMIT ? OFFSET ?`;
+
+    return this.db
+      .prepare(sql)
+      .all(...params, limit, offset)
+      .map((row) => JSON.parse(row.record));
+  }
+
+  async get(requestId) {
+    const row = this.getStmt.get(requestId);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// node:sqlite only exists on Node 22+
+const sqlite = await import("./sqliteStore.js").catch(() => null);
+
+test("rejects a duplicate request id instead of overwriting", { skip: !sqlite }, async () => {
+  const store = new sqlite.SqliteAuditStore(":memory:");
+
+  await store.append({ requestId: "a", timestamp: "2024-01-01T00:00:00Z" });
+  await assert.rejects(
+    store.append({ requestId: "a", timestamp: "2024-01-02T00:00:00Z" }),
+    /Audit record a already exists/
+  );
+
+  assert.equal((await store.get("a")).timestamp, "2024-01-01T00:00:00Z");
+  await store.close();
+});
@@ -0,0 +1,73 @@
+/**
+ * ============================================================================
+ * AUDIT STORE - Pluggable persistence for decision records
+ * ============================================================================
+ *
+ * Every store implements the same async interface:
+ *   append(record)        - persist one decision record
+ *   query(filters)        - newest-first list matching filters
+ *   get(requestId)        - single record or null
+ *   close()               - release file handles / connections
+ *
+ * Backends:
+ * - jsonl:  append-only JSON Lines file (zero dependencies)
+ * - sqlite: node:sqlite database with indexed filter columns (Node 22+)
+ * - none:   audit disabled (default)
+ * ============================================================================
+ */
+
+import fs from "fs";
+import { dirname } from "path";
+import { JsonlAuditStore } from "./jsonlStore.js";
+
+export const AUDIT_BACKENDS = ["none", "jsonl", "sqlite"];
+
+/**
+ * Create the configured audit store
+ * Async because the sqlite backend is loaded on demand
+ */
+export async function createAuditStore(config = {}) {
+  const backend = config.backend || "none";
+
+  if (backend === "none") {
+    return null;
+  }
+
+  if (!AUDIT_BACKENDS.includes(backend)) {
+    throw new Error(
+      `Unknown audit store "${backend}" (expected ${AUDIT_BACKENDS.join(", ")})`
+    );
+  }
+
+  fs.mkdirSync(dirname(config.path), { recursive: true });
+
+  if (backend === "jsonl") {
+    return new JsonlAuditStore(config.path);
+  }
+
+  // node:sqlite only exists on Node 22+, so keep it out of the static graph
+  const { SqliteAuditStore } = await import("./sqliteStore.js");
+  return new SqliteAuditStore(config.path);
+}
+
+/**
+ * Build the persisted record for a completed decision
+ */
+export function buildAuditRecord({ input, ruleResult, response, aiInsight }) {
+  return {
+    requestId: response.meta.requestId,
+    timestamp: response.meta.timestamp,
+    version: response.meta.version,
+    rulesetVersion: response.meta.rulesetVersion,
+    rulesetHash: response.meta.rulesetHash,
+    input,
+    decision: response.decision,
+    ruleEvaluation: response.ruleEvaluation,
+    evaluationPath: ruleResult.evaluationPath,
+    aiAnalysis: response.aiAnalysis,
+    // What was sent to which AI provider (present even if every call failed)
+    aiDisclosure: aiInsight?.disclosure ?? null,
+    reviewId: response.review?.id ?? null,
+    processingTimeMs: response.meta.processingTimeMs,
+  };
+}
@@ -9,6 +9,8 @@
  * 3. Metrics recording is integrated but non-blocking
  * 4. Full audit trail in response for debugging/compliance
  * 5. Graceful degradation if AI fails
+ * 6. Rulesets are versioned - reload builds a new engine off to the side
+ *    and swaps it in atomically; every response names the ruleset version
  *
  * Flow:
  * Input → Rule Engine → [If GREY_ZONE && v2] → AI Analyzer → Combine → Output
@@ -16,9 +18,14 @@
  */
 
 import { RuleEngine, OUTCOMES } from "./rules/engine.js";
+import { explainSentence } from "./rules/explain.js";
+import { RulesetRegistry } from "./rules/registry.js";
+import { RulesWatcher } from "./rules/watcher.js";
 import { AIAnalyzer } from "./ai/analyzer.js";
 import * as metrics from "./metrics/prometheus.js";
 import { buildAIProviders } from "./ai/provider.js";
+import { createLimiter } from "./utils/concurrency.js";
+import { buildAuditRecord } from "./audit/store.js";
 
 /**
  * DecisionService class - main orchestrator
@@ -29,9 +36,41 @@ export class DecisionService {
     const aiProviders = buildAIProviders(process.env)
     this.version = config.version || "v1";
 
-    // Initialize rule engine
-    this.ruleEngine = new RuleEngine(config.rulesConfigPath);
-    this.ruleEngine.loadRules();
+    // Batch limits (POST /decide/batch)
+    this.batchMaxSize = config.batchMaxSize || 500;
+    this.batchAIConcurrency = config.batchAIConcurrency || 4;
+
+    // Explain mode for every decision (per request: { "explain": true })
+    this.explainDecisions = config.explainDecisions || false;
+
+    // Optional decision audit store (see src/audit/store.js)
+    this.auditStore = config.auditStore || null;
+
+    // Optional webhook dispatcher (async callbacks + subscriptions)
+    this.webhooks = config.webhooks || null;
+
+    // Optional human review queue for REVIEW decisions
+    this.reviewQueue = config.reviewQueue || null;
+    if (this.reviewQueue) {
+      metrics.setReviewQueueSource(() => this.reviewQueue.counts());
+      this.reviewQueue.on("resolved", (item) => {
+        metrics.recordReviewResolution(item.resolution.decision);
+        this.notifyReviewResolved(item);
+      });
+    }
+
+    // Initialize rule engine (version 1 of the ruleset history)
+    this.rulesConfigPath = config.rulesConfigPath;
+    this.engineOptions = { fieldIndex: config.rulesFieldIndex || false };
+    this.rulesetRegistry = new RulesetRegistry({
+      historyLimit: config.rulesetHistoryLimit,
+    });
+    this.rulesWatcher = null;
+    this.lastReload = null;
+
+    const engine = new RuleEngine(this.rulesConfigPath, this.engineOptions);
+    engine.loadRules();
+    this.activateRuleset(this.rulesetRegistry.register(engine, "startup"));
 
     // Initialize AI analyzer (only active in v2)
     this.aiAnalyzer = new AIAnalyzer({
@@ -42,15 +81,16 @@ export class DecisionService {
       model: config.aiModel,
       providers: aiProviders,
       timeout: config.aiTimeout,
-      ...this.ruleEngine.getAIConfig(),
+      totalTimeout: config.aiTotalTimeout,
+      hedging: config.aiHedging,
+      circuitBreaker: config.aiCircuitBreaker,
+      cache: config.aiCache,
+      redactionHashSecret: config.redactionHashSecret,
     });
+    metrics.setCircuitBreakerSource(() => this.aiAnalyzer.getBreakerStatuses());
 
     // Update engine info metrics
-    metrics.updateEngineInfo(
-      this.version,
-      this.ruleEngine.getRules().length,
-      this.aiAnalyzer.isEnabled()
-    );
+    this.updateEngineMetrics();
 
     console.log(
       `[DecisionService] Initialized - Version: ${
@@ -58,15 +98,24 @@ export class DecisionService {
       }, AI Enabled: ${this.aiAnalyzer.isEnabled()}`
     );
 
-    console.log("[DecisionService] AI Providers:", aiProviders);
+    console.log(
+      "[DecisionService] AI Providers:",
+      aiProviders.map((p) => `${p.name}/${p.model} (${p.adapter})`)
+    );
 
   }
 
   /**
    * Main decision method
    * Takes input, returns complete decision with audit trail
+   *
+   * Options:
+   * - aiLimiter:   optional limiter wrapping the AI call (used by batches)
+   * - callbackUrl: when set and AI is needed, respond PENDING immediately
+   *                and POST the final decision to this URL when AI finishes
+   * - explain:     add condition trees and decision.explanation
    */
-  async decide(input, requestId = "unknown") {
+  async decide(input, requestId = "unknown", options = {}) {
     const startTime = Date.now();
     metrics.activeRequests.inc();
 
@@ -78,7 +127,10 @@ export class DecisionService {
       }
 
       // Step 1: Evaluate rules
-      const ruleResult = this.ruleEngine.evaluate(input);
+      // Capture the active ruleset once so a concurrent reload cannot
+      // change the rules halfway through this decision
+      const ruleset = this.rulesetRegistry.getActive();
+      const ruleResult = ruleset.engine.evaluate(input);
 
       // Step 2: Determine if AI analysis is needed
       let aiInsight = {
@@ -93,49 +145,32 @@ export class DecisionService {
       };
       const needsAI =
         ruleResult.outcome === OUTCOMES.GREY_ZONE &&
+        !ruleResult.aiPolicy?.skip_ai &&
         this.version === "v2" &&
         this.aiAnalyzer.isEnabled();
 
-      if (needsAI) {
-        aiInsight = await this.aiAnalyzer.analyze(input, ruleResult);
-
-        // Record AI metrics
-        if (aiInsight.analyzed) {
-          metrics.recordAIInvocation({
-            success: aiInsight.analyzed,
-            provider: aiInsight.provider,
-            durationMs: aiInsight.analysisTimeMs || 0,
-          });
-        }
-      }
-
-      // Step 3: Combine rule outcome with AI insight (if available)
-      const combinedDecision = this.aiAnalyzer.combineDecision(
-        ruleResult.outcome,
-        aiInsight
-      );
-
-      // Build response
-      const response = this.buildResponse({
+      const context = {
+        input,
         ruleResult,
-        aiInsight,
-        combinedDecision,
+        ruleset,
         startTime,
         requestId,
-      });
+        needsAI,
+        callbackUrl: options.callbackUrl || null,
+        explain: options.explain || this.explainDecisions,
+      };
 
-      // Record metrics
-      metrics.recordDecision({
-        outcome: response.decision.final,
-        source: response.decision.source,
-        version: this.version,
-        aiUsed: needsAI && aiInsight?.analyzed,
-        durationMs: response.meta.processingTimeMs,
-        evaluationPath: ruleResult.evaluationPath,
-        matchedRuleId: ruleResult.matchedRule?.id,
-      });
+      // Async mode: don't hold the caller while the LLM thinks
+      if (needsAI && context.callbackUrl) {
+        this.completeAsync(context, options);
+        return this.buildPendingResponse(context);
+      }
+
+      if (needsAI) {
+        aiInsight = await this.runAnalysis(context, options);
+      }
 
-      return response;
+      return this.completeDecision(context, aiInsight);
     } catch (error) {
       console.error("[DecisionService] Decision error:", error);
       metrics.recordError("decision_error", "/decide");
@@ -145,6 +180,210 @@ export class DecisionService {
     }
   }
 
+  /**
+   * Run the AI analyzer (optionally through a limiter) and record metrics
+   */
+  async runAnalysis(context, options = {}) {
+    const { input, ruleResult, ruleset } = context;
+    const analyze = () =>
+      this.aiAnalyzer.analyze(input, ruleResult, ruleset.engine.getAIConfig(), {
+        rulesetVersion: ruleset.version,
+      });
+    const aiInsight = options.aiLimiter
+      ? await options.aiLimiter(analyze)
+      : await analyze();
+
+    // Record AI metrics (cache hits never reached a provider)
+    if (aiInsight.analyzed && !aiInsight.cache?.hit) {
+      metrics.recordAIInvocation({
+        success: aiInsight.analyzed,
+        provider: aiInsight.provider,
+        durationMs: aiInsight.analysisTimeMs || 0,
+      });
+    }
+
+    return aiInsight;
+  }
+
+  /**
+   * Step 3: Combine rule outcome with AI insight, then record the decision
+   * (metrics, review queue, audit log)
+   */
+  completeDecision(context, aiInsight) {
+    const { input, ruleResult, ruleset, startTime, requestId, needsAI } = context;
+
+    // Weighted mode blends the AI verdict with rule-derived risk
+    const aiConfig = ruleset.engine.getAIConfig();
+    const ruleRisk =
+      aiConfig.decision_mode === "weighted" && ruleResult.outcome === OUTCOMES.GREY_ZONE
+        ? ruleset.engine.assessRisk(input, ruleResult)
+        : null;
+
+    const combinedDecision = this.aiAnalyzer.combineDecision(ruleResult, aiInsight, {
+      aiConfig,
+      ruleRisk,
+    });
+
+    // Explain mode: condition trees for every evaluated rule
+    const explanation = context.explain ? ruleset.engine.explain(input, ruleResult) : null;
+
+    // Build response
+    const response = this.buildResponse({
+      ruleResult,
+      aiInsight,
+      combinedDecision,
+      explanation,
+      startTime,
+      requestId,
+      ruleset,
+    });
+
+    // Record metrics
+    metrics.recordDecision({
+      outcome: response.decision.final,
+      source: response.decision.source,
+      version: this.version,
+      aiUsed: needsAI && aiInsight?.analyzed,
+      durationMs: response.meta.processingTimeMs,
+      evaluationPath: ruleResult.evaluationPath,
+      matchedRuleId: ruleResult.matchedRule?.id,
+    });
+
+    this.enqueueReview({ input, response, callbackUrl: context.callbackUrl });
+    this.recordAudit({ input, ruleResult, response, aiInsight });
+
+    return response;
+  }
+
+  /**
+   * Finish an async decision in the background and deliver it via webhook
+   */
+  completeAsync(context, options) {
+    this.runAnalysis(context, options)
+      .then((aiInsight) => this.completeDecision(context, aiInsight))
+      .catch((error) => {
+        console.error("[DecisionService] Async decision error:", error);
+        metrics.recordError("decision_error", "/decide");
+        return this.buildErrorResponse(
+          error.message,
+          context.startTime,
+          context.requestId
+        );
+      })
+      .then((response) => {
+        this.webhooks?.dispatch("decision.completed", response, {
+          callbackUrl: context.callbackUrl,
+        });
+      });
+  }
+
+  /**
+   * Batch decision method
+   * Runs every item through decide() and returns results in input order.
+   * Failed items are reported individually - they never fail the batch.
+   * GREY_ZONE items share one limiter so AI fan-out stays bounded.
+   */
+  async decideBatch(items, batchId = "unknown") {
+    const startTime = Date.now();
+    const aiLimiter = createLimiter(this.batchAIConcurrency);
+
+    const results = await Promise.all(
+      items.map(async (item, index) => {
+        const requestId = `${batchId}_${index}`;
+        const result = await this.decide(item, requestId, { aiLimiter });
+
+        return {
+          index,
+          requestId,
+          status: result.decision.final === "ERROR" ? "error" : "ok",
+          ...result,
+        };
+      })
+    );
+
+    const failed = results.filter((r) => r.status === "error").length;
+
+    return {
+      results,
+      summary: {
+        total: results.length,
+        succeeded: results.length - failed,
+        failed,
+      },
+      meta: {
+        version: this.version,
+        processingTimeMs: Date.now() - startTime,
+        timestamp: new Date().toISOString(),
+        requestId: batchId,
+      },
+    };
+  }
+
+  /**
+   * Hand REVIEW decisions to the human review queue
+   * The review id is returned so callers can follow up on it
+   */
+  enqueueReview({ input, response, callbackUrl }) {
+    if (!this.reviewQueue || response.decision.final !== "REVIEW") return;
+
+    const item = this.reviewQueue.enqueue({
+      requestId: response.meta.requestId,
+      callbackUrl,
+      input,
+      decision: response.decision,
+      ruleEvaluation: response.ruleEvaluation,
+      aiAnalysis: response.aiAnalysis,
+      meta: response.meta,
+    });
+    if (!item) {
+      metrics.recordError("review_queue_full", "/decide");
+      return;
+    }
+    response.review = { id: item.id, status: item.status };
+  }
+
+  /**
+   * Tell the original caller (callbackUrl) and subscribers that a human
+   * resolved a REVIEW decision
+   */
+  notifyReviewResolved(item) {
+    if (!this.webhooks) return;
+
+    this.webhooks.dispatch(
+      "review.resolved",
+      {
+        requestId: item.requestId,
+        reviewId: item.id,
+        decision: {
+          final: item.resolution.decision,
+          source: "HUMAN_REVIEW",
+          confidence: null,
+        },
+        resolution: item.resolution,
+        originalDecision: item.context.decision,
+      },
+      { callbackUrl: item.callbackUrl }
+    );
+  }
+
+  /**
+   * Persist a decision to the audit store
+   * Fire-and-forget: a failing store must never fail the decision
+   */
+  recordAudit({ input, ruleResult, response, aiInsight }) {
+    if (!this.auditStore) return;
+
+    this.auditStore
+      .append(buildAuditRecord({ input, ruleResult, response, aiInsight }))
+      .catch((error) => {
+        console.error(
+          `[DecisionService] Audit write failed for ${response.meta.requestId}:`,
+          error.message
+        );
+        metrics.recordError("audit_write_error", "/decide");
+      });
+  }
+
   /**
    * Validate input structure
    */
@@ -171,10 +410,16 @@ export class DecisionService {
     ruleResult,
     aiInsight,
     combinedDecision,
+    explanation = null,
     startTime,
     requestId,
+    ruleset,
   }) {
     const processingTimeMs = Date.now() - startTime;
+    const decision = {
+      final: combinedDecision.finalDecision,
+      source: combinedDecision.source,
+    };
 
     const aiAnalysis =
       aiInsight && aiInsight.analyzed
@@ -184,21 +429,30 @@ export class DecisionService {
             reasoning: aiInsight.reasoning,
             riskFactors: aiInsight.riskFactors || [],
             mitigatingFactors: aiInsight.mitigatingFactors || [],
-            analysisTimeMs: aiInsight.analysisTimeMs || null,
+            analysisTimeMs: aiInsight.analysisTimeMs ?? null,
+            repaired: aiInsight.repaired || false,
+            cached: aiInsight.cache?.hit || false,
+            consensus: aiInsight.consensus || null,
+            budget: aiInsight.budget || null,
+            prompt: aiInsight.prompt || null,
             error: aiInsight.error || null,
           }
         : null;
 
     return {
       decision: {
-        final: combinedDecision.finalDecision,
-        source: combinedDecision.source,
+        ...decision,
         confidence: combinedDecision.confidence || null,
+        scoring: combinedDecision.scoring || null,
+        explanation: explanation ? explainSentence(explanation, ruleResult, decision) : null,
       },
       ruleEvaluation: {
         outcome: ruleResult.outcome,
         matchedRule: ruleResult.matchedRule,
+        aiPolicy: ruleResult.aiPolicy || null,
+        score: ruleResult.score || null,
         evaluationTimeMs: ruleResult.evaluationTimeMs,
+        explain: explanation,
       },
       aiAnalysis,
       // aiAnalysis: aiInsight ? {
@@ -213,6 +467,8 @@ export class DecisionService {
       // } : null,
       meta: {
         version: this.version,
+        rulesetVersion: ruleset.version,
+        rulesetHash: ruleset.hash,
         processingTimeMs,
         timestamp: new Date().toISOString(),
         requestId,
@@ -220,10 +476,45 @@ export class DecisionService {
     };
   }
 
+  /**
+   * Build the immediate response for an async (callbackUrl) decision
+   * The final decision follows as a decision.completed webhook
+   */
+  buildPendingResponse({ ruleResult, ruleset, startTime, requestId, callbackUrl }) {
+    return {
+      decision: {
+        final: "PENDING",
+        source: "AI_PENDING",
+        confidence: null,
+      },
+      ruleEvaluation: {
+        outcome: ruleResult.outcome,
+        matchedRule: ruleResult.matchedRule,
+        aiPolicy: ruleResult.aiPolicy || null,
+        score: ruleResult.score || null,
+        evaluationTimeMs: ruleResult.evaluationTimeMs,
+      },
+      aiAnalysis: null,
+      callback: {
+        url: callbackUrl,
+        event: "decision.completed",
+      },
+      meta: {
+        version: this.version,
+        rulesetVersion: ruleset.version,
+        rulesetHash: ruleset.hash,
+        processingTimeMs: Date.now() - startTime,
+        timestamp: new Date().toISOString(),
+        requestId,
+      },
+    };
+  }
+
   /**
    * Build error response
    */
   buildErrorResponse(error, startTime, requestId) {
+    const ruleset = this.rulesetRegistry.getActive();
     return {
       decision: {
         final: "ERROR",
@@ -236,6 +527,8 @@ export class DecisionService {
       },
       meta: {
         version: this.version,
+        rulesetVersion: ruleset?.version ?? null,
+        rulesetHash: ruleset?.hash ?? null,
         processingTimeMs: Date.now() - startTime,
         timestamp: new Date().toISOString(),
         requestId,
@@ -252,19 +545,185 @@ export class DecisionService {
 
   /**
    * Reload rules configuration (for hot-reload)
+   * The new ruleset is built and validated off to the side, then swapped
+   * in atomically. On any failure the active ruleset stays untouched.
    */
-  reloadRules() {
+  reloadRules(source = "reload") {
+    const result = this.performReload(source);
+
+    this.lastReload = {
+      trigger: source,
+      result: !result.success ? "failed" : result.unchanged ? "unchanged" : "reloaded",
+      error: result.error || null,
+      rulesetVersion: result.ruleset?.version ?? null,
+      timestamp: new Date().toISOString(),
+    };
+    metrics.recordRulesReload({
+      trigger: source,
+      result: this.lastReload.result,
+    });
+
+    return result;
+  }
+
+  performReload(source) {
     try {
-      this.ruleEngine.loadRules();
-      metrics.updateEngineInfo(
-        this.version,
-        this.ruleEngine.getRules().length,
-        this.aiAnalyzer.isEnabled()
+      const engine = new RuleEngine(this.rulesConfigPath, this.engineOptions);
+      engine.loadRules();
+
+      const active = this.rulesetRegistry.getActive();
+      if (active && active.hash === engine.contentHash) {
+        return {
+          success: true,
+          unchanged: true,
+          rulesCount: active.rulesCount,
+          ruleset: this.rulesetRegistry.describe(active),
+        };
+      }
+
+      // Content seen before (e.g. re-applying after a rollback) keeps its
+      // original version number instead of creating a duplicate
+      const known = this.rulesetRegistry.findByHash(engine.contentHash);
+      const entry = this.activateRuleset(
+        known || this.rulesetRegistry.register(engine, source)
       );
-      return { success: true, rulesCount: this.ruleEngine.getRules().length };
+      return {
+        success: true,
+        rulesCount: entry.rulesCount,
+        ruleset: this.rulesetRegistry.describe(entry),
+      };
+    } catch (error) {
+      return { success: false, error: error.message, errors: error.errors };
+    }
+  }
+
+  /**
+   * Start watching the rules file (opt-in, see RULES_WATCH_ENABLED)
+   * Changes go through the same validated reload as POST /reload
+   */
+  startRulesWatcher(options = {}) {
+    if (this.rulesWatcher) return;
+
+    this.rulesWatcher = new RulesWatcher({
+      configPath: this.rulesConfigPath,
+      debounceMs: options.debounceMs,
+      onChange: () => {
+        const result = this.reloadRules("watch");
+        if (!result.success) {
+          console.error(`[DecisionService] Watched reload rejected: ${result.error}`);
+        } else if (!result.unchanged) {
+          console.log(
+            `[DecisionService] Watched reload applied ruleset v${result.ruleset.version}`
+          );
+        }
+      },
+    });
+    this.rulesWatcher.start();
+  }
+
+  stopRulesWatcher() {
+    if (this.rulesWatcher) {
+      this.rulesWatcher.stop();
+    }
+  }
+
+  /**
+   * Restore a previously loaded ruleset version
+   * Defaults to the version loaded just before the active one
+   */
+  rollbackRules(version) {
+    const target =
+      version === undefined
+        ? this.rulesetRegistry.getPrevious()
+        : this.rulesetRegistry.get(version);
+
+    if (!target) {
+      return {
+        success: false,
+        error:
+          version === undefined
+            ? "No previous ruleset version to roll back to"
+            : `Ruleset version ${version} not found in history`,
+      };
+    }
+
+    const previous = this.rulesetRegistry.getActive();
+    this.activateRuleset(target);
+
+    return {
+      success: true,
+      from: this.rulesetRegistry.describe(previous),
+      ruleset: this.rulesetRegistry.describe(target),
+    };
+  }
+
+  /**
+   * Swap the live engine for a registered ruleset version
+   */
+  activateRuleset(entry) {
+    this.rulesetRegistry.activate(entry.version);
+    this.ruleEngine = entry.engine;
+
+    if (this.aiAnalyzer) {
+      this.updateEngineMetrics();
+    }
+
+    console.log(
+      `[DecisionService] Active ruleset v${entry.version} (${entry.hash.slice(0, 12)}, ${entry.rulesCount} rules)`
+    );
+    return entry;
+  }
+
+  updateEngineMetrics() {
+    const active = this.rulesetRegistry.getActive();
+    metrics.updateEngineInfo(
+      this.version,
+      active.rulesCount,
+      this.aiAnalyzer.isEnabled()
+    );
+    metrics.updateRulesetInfo(active.version, active.hash);
+  }
+
+  /**
+   * Dry-run a candidate ruleset against sample inputs
+   * Builds a throwaway engine - the live engine is never touched
+   */
+  dryRun(ruleset, samples) {
+    let engine;
+    try {
+      engine = RuleEngine.fromSource(ruleset, this.engineOptions);
     } catch (error) {
-      return { success: false, error: error.message };
+      return {
+        success: false,
+        error: `Invalid ruleset: ${error.message}`,
+        errors: error.errors,
+      };
     }
+
+    const results = samples.map((sample, index) => {
+      const validation = this.validateInput(sample);
+      if (!validation.valid) {
+        return { index, error: validation.error };
+      }
+
+      const ruleResult = engine.evaluate(sample);
+      return {
+        index,
+        outcome: ruleResult.outcome,
+        matchedRule: ruleResult.matchedRule,
+        aiPolicy: ruleResult.aiPolicy || null,
+        score: ruleResult.score || null,
+        evaluationPath: ruleResult.evaluationPath,
+        evaluationTimeMs: ruleResult.evaluationTimeMs,
+      };
+    });
+
+    return {
+      success: true,
+      ruleset: engine.getMetadata(),
+      rules: engine.getRules(),
+      results,
+    };
   }
 
   /**
@@ -274,7 +733,27 @@ export class DecisionService {
     return {
       version: this.version,
       ruleEngine: this.ruleEngine.getMetadata(),
+      ruleset: this.rulesetRegistry.describe(this.rulesetRegistry.getActive()),
+      reload: {
+        last: this.lastReload,
+        watcher: this.rulesWatcher ? this.rulesWatcher.getStatus() : { enabled: false },
+      },
       aiAnalyzer: this.aiAnalyzer.getStatus(),
+      reviewQueue: this.reviewQueue
+        ? { enabled: true, ...this.reviewQueue.counts() }
+        : { enabled: false },
+      webhooks: this.webhooks
+        ? {
+            enabled: true,
+            callbacks: this.webhooks.supportsCallbacks(),
+            subscriptions: this.webhooks.listSubscriptions().length,
+            deliveries: this.webhooks.counts(),
+          }
+        : { enabled: false },
+      audit: {
+        enabled: this.auditStore !== null,
+        backend: this.auditStore?.backend || "none",
+      },
       rules: this.ruleEngine.getRules(),
     };
   }
@@ -92,6 +92,121 @@ export const aiLatency = new client.Histogram({
   registers: [register]
 });
 
+/**
+ * AI provider error counter
+ * Tracks failed provider calls by adapter error classification
+ */
+export const aiProviderErrorCounter = new client.Counter({
+  name: 'decision_platform_ai_provider_errors_total',
+  help: 'Total number of failed AI provider calls by error kind',
+  labelNames: ['provider', 'kind'],
+  registers: [register]
+});
+
+/**
+ * AI output parse failure counter
+ * Labels: reason (NO_JSON, INVALID_JSON, SCHEMA_VIOLATION),
+ *         attempt (initial, retry)
+ */
+export const aiParseFailureCounter = new client.Counter({
+  name: 'decision_platform_ai_parse_failures_total',
+  help: 'Total number of AI responses that failed output validation',
+  labelNames: ['provider', 'reason', 'attempt'],
+  registers: [register]
+});
+
+/**
+ * AI cache lookup counter
+ * Labels: result (hit, miss, error)
+ */
+export const aiCacheCounter = new client.Counter({
+  name: 'decision_platform_ai_cache_requests_total',
+  help: 'Total number of AI response cache lookups',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+/**
+ * AI consensus counter
+ * Labels: result (agreed, disagreement, quorum_not_met)
+ */
+export const aiConsensusCounter = new client.Counter({
+  name: 'decision_platform_ai_consensus_total',
+  help: 'Total number of multi-provider consensus analyses',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+/**
+ * AI hedge counter
+ * Counts hedged calls, labelled with the provider that was started early
+ */
+export const aiHedgeCounter = new client.Counter({
+  name: 'decision_platform_ai_hedged_requests_total',
+  help: 'Total number of hedged AI provider calls',
+  labelNames: ['provider'],
+  registers: [register]
+});
+
+/**
+ * AI circuit breaker gauges
+ * Read from the analyzer at scrape time (see setCircuitBreakerSource)
+ * state: 1 for the breaker's current state (CLOSED, OPEN, HALF_OPEN), else 0
+ */
+const BREAKER_STATE_LABELS = ['CLOSED', 'OPEN', 'HALF_OPEN'];
+let circuitBreakerSource = null;
+
+export const aiCircuitState = new client.Gauge({
+  name: 'decision_platform_ai_circuit_state',
+  help: 'AI provider circuit breaker state (1 = current state)',
+  labelNames: ['provider', 'model', 'state'],
+  registers: [register],
+  collect() {
+    if (!circuitBreakerSource) return;
+    for (const breaker of circuitBreakerSource()) {
+      for (const state of BREAKER_STATE_LABELS) {
+        this.set(
+          { provider: breaker.provider, model: breaker.model, state },
+          breaker.state === state ? 1 : 0
+        );
+      }
+    }
+  }
+});
+
+export const aiProviderHealth = new client.Gauge({
+  name: 'decision_platform_ai_provider_health_score',
+  help: 'AI provider health score (0-1) over the rolling breaker window',
+  labelNames: ['provider', 'model'],
+  registers: [register],
+  collect() {
+    if (!circuitBreakerSource) return;
+    for (const breaker of circuitBreakerSource()) {
+      this.set({ provider: breaker.provider, model: breaker.model }, breaker.healthScore);
+    }
+  }
+});
+
+export const aiProviderErrorRate = new client.Gauge({
+  name: 'decision_platform_ai_provider_error_rate',
+  help: 'AI provider error rate over the rolling breaker window',
+  labelNames: ['provider', 'model'],
+  registers: [register],
+  collect() {
+    if (!circuitBreakerSource) return;
+    for (const breaker of circuitBreakerSource()) {
+      this.set({ provider: breaker.provider, model: breaker.model }, breaker.errorRate);
+    }
+  }
+});
+
+export const aiCircuitTransitionCounter = new client.Counter({
+  name: 'decision_platform_ai_circuit_transitions_total',
+  help: 'Total number of AI provider circuit breaker state changes',
+  labelNames: ['provider', 'model', 'state'],
+  registers: [register]
+});
+
 /**
  * Error counter
  * Tracks errors by type
@@ -135,6 +250,94 @@ export const engineInfo = new client.Gauge({
   registers: [register]
 });
 
+/**
+ * Active ruleset gauge
+ * Value is the ruleset version number; hash exposed as a label
+ */
+export const rulesetInfo = new client.Gauge({
+  name: 'decision_platform_ruleset_version',
+  help: 'Version number of the active ruleset',
+  labelNames: ['hash'],
+  registers: [register]
+});
+
+/**
+ * Rules reload counter
+ * Labels: trigger (reload, watch), result (reloaded, unchanged, failed)
+ */
+export const rulesReloadCounter = new client.Counter({
+  name: 'decision_platform_rules_reloads_total',
+  help: 'Total number of rules reload attempts',
+  labelNames: ['trigger', 'result'],
+  registers: [register]
+});
+
+/**
+ * Last reload gauges
+ * Alert when last_reload_success stays 0 - the pod is serving stale rules
+ */
+export const rulesLastReloadTimestamp = new client.Gauge({
+  name: 'decision_platform_rules_last_reload_timestamp_seconds',
+  help: 'Unix time of the last rules reload attempt',
+  registers: [register]
+});
+
+export const rulesLastReloadSuccess = new client.Gauge({
+  name: 'decision_platform_rules_last_reload_success',
+  help: 'Whether the last rules reload attempt succeeded (1) or failed (0)',
+  registers: [register]
+});
+
+/**
+ * Review queue depth gauge
+ * Read from the queue at scrape time (see setReviewQueueSource)
+ * Labels: status (PENDING, CLAIMED, RESOLVED)
+ */
+let reviewQueueSource = null;
+
+export const reviewQueueDepth = new client.Gauge({
+  name: 'decision_platform_review_queue_items',
+  help: 'Number of items in the human review queue',
+  labelNames: ['status'],
+  registers: [register],
+  collect() {
+    if (!reviewQueueSource) return;
+    for (const [status, count] of Object.entries(reviewQueueSource())) {
+      this.set({ status }, count);
+    }
+  }
+});
+
+/**
+ * Review resolution counter
+ * Labels: decision (ALLOW, DENY)
+ */
+export const reviewResolutionCounter = new client.Counter({
+  name: 'decision_platform_review_resolutions_total',
+  help: 'Total number of human review resolutions',
+  labelNames: ['decision'],
+  registers: [register]
+});
+
+/**
+ * Webhook delivery counters
+ * deliveries: final result per delivery (delivered, failed)
+ * attempts:   every HTTP attempt, including retries
+ */
+export const webhookDeliveryCounter = new client.Counter({
+  name: 'decision_platform_webhook_deliveries_total',
+  help: 'Total number of finished webhook deliveries',
+  labelNames: ['event', 'result'],
+  registers: [register]
+});
+
+export const webhookAttemptCounter = new client.Counter({
+  name: 'decision_platform_webhook_attempts_total',
+  help: 'Total number of webhook delivery attempts',
+  labelNames: ['event', 'success'],
+  registers: [register]
+});
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -186,6 +389,57 @@ export function recordAIInvocation(params) {
   }
 }
 
+/**
+ * Record a failed AI provider call
+ */
+export function recordAIProviderError(provider, kind) {
+  aiProviderErrorCounter.inc({ provider, kind });
+}
+
+/**
+ * Record an AI response that failed output validation
+ */
+export function recordAIParseFailure(params) {
+  const { provider, reason, attempt } = params;
+  aiParseFailureCounter.inc({ provider, reason, attempt });
+}
+
+/**
+ * Record an AI response cache lookup
+ */
+export function recordAICacheLookup(result) {
+  aiCacheCounter.inc({ result });
+}
+
+/**
+ * Record a consensus analysis result
+ */
+export function recordAIConsensus(result) {
+  aiConsensusCounter.inc({ result });
+}
+
+/**
+ * Record a hedged AI provider call
+ */
+export function recordAIHedge(provider) {
+  aiHedgeCounter.inc({ provider });
+}
+
+/**
+ * Register the function that reports AI circuit breaker statuses
+ */
+export function setCircuitBreakerSource(source) {
+  circuitBreakerSource = source;
+}
+
+/**
+ * Record an AI circuit breaker state change
+ */
+export function recordCircuitTransition(params) {
+  const { provider, model, state } = params;
+  aiCircuitTransitionCounter.inc({ provider, model, state });
+}
+
 /**
  * Record an error
  */
@@ -205,6 +459,55 @@ export function updateEngineInfo(version, rulesCount, aiEnabled) {
   );
 }
 
+/**
+ * Update active ruleset info (call on reload and rollback)
+ */
+export function updateRulesetInfo(version, hash) {
+  rulesetInfo.reset();
+  rulesetInfo.set({ hash }, version);
+}
+
+/**
+ * Record a rules reload attempt
+ */
+export function recordRulesReload(params) {
+  const { trigger, result } = params;
+
+  rulesReloadCounter.inc({ trigger, result });
+  rulesLastReloadTimestamp.set(Date.now() / 1000);
+  rulesLastReloadSuccess.set(result === 'failed' ? 0 : 1);
+}
+
+/**
+ * Register the function that reports review queue counts by status
+ */
+export function setReviewQueueSource(source) {
+  reviewQueueSource = source;
+}
+
+/**
+ * Record a human review resolution
+ */
+export function recordReviewResolution(decision) {
+  reviewResolutionCounter.inc({ decision });
+}
+
+/**
+ * Record a single webhook HTTP attempt
+ */
+export function recordWebhookAttempt(params) {
+  const { event, success } = params;
+  webhookAttemptCounter.inc({ event, success: String(success) });
+}
+
+/**
+ * Record the final result of a webhook delivery
+ */
+export function recordWebhookDelivery(params) {
+  const { event, result } = params;
+  webhookDeliveryCounter.inc({ event, result });
+}
+
 /**
  * Get metrics in Prometheus format
  */
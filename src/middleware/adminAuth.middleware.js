@@ -0,0 +1,85 @@
+/**
+ * Admin Auth Middleware
+ * Bearer-token guard for endpoints that change live state or expose
+ * stored data. A route whose token is not configured is disabled (403)
+ * rather than left open. Reviewer tokens also carry the reviewer's
+ * identity, which review actions record instead of a body field.
+ */
+
+import { timingSafeEqual } from "crypto";
+
+/**
+ * Constant-time comparison of the Authorization header with a token
+ */
+export function hasBearerToken(req, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(req.get("authorization") || "");
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Require "Authorization: Bearer <token>"
+ * disabledMessage is returned (403) when no token is configured
+ */
+export function requireAdmin(token, disabledMessage) {
+  return (req, res, next) => {
+    if (!token) {
+      return res.status(403).json({ error: disabledMessage });
+    }
+    if (!hasBearerToken(req, token)) {
+      return res.status(401).json({ error: "Invalid or missing admin token" });
+    }
+    next();
+  };
+}
+
+/**
+ * Parse REVIEWER_TOKENS: a JSON object of { "<token>": "<reviewer name>" }
+ * Invalid JSON or entries are logged and skipped, like WEBHOOK_SUBSCRIPTIONS
+ */
+export function parseReviewerTokens(raw) {
+  const tokens = new Map();
+  if (!raw) return tokens;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    console.error("[AdminAuth] Invalid REVIEWER_TOKENS JSON:", error.message);
+    return tokens;
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    console.error("[AdminAuth] REVIEWER_TOKENS must be a JSON object of token → reviewer");
+    return tokens;
+  }
+
+  for (const [token, reviewer] of Object.entries(parsed)) {
+    if (token === "" || typeof reviewer !== "string" || reviewer.trim() === "") {
+      console.warn("[AdminAuth] Skipping REVIEWER_TOKENS entry without a token or reviewer name");
+      continue;
+    }
+    tokens.set(token, reviewer.trim());
+  }
+  return tokens;
+}
+
+/**
+ * Require a reviewer (or the admin) bearer token and set req.reviewer
+ * from it, so the recorded identity cannot be chosen by the caller
+ */
+export function requireReviewer(reviewerTokens, adminToken, disabledMessage) {
+  const identities = [...reviewerTokens];
+  if (adminToken) identities.push([adminToken, "admin"]);
+
+  return (req, res, next) => {
+    if (identities.length === 0) {
+      return res.status(403).json({ error: disabledMessage });
+    }
+    const match = identities.find(([token]) => hasBearerToken(req, token));
+    if (!match) {
+      return res.status(401).json({ error: "Invalid or missing reviewer token" });
+    }
+    req.reviewer = match[1];
+    next();
+  };
+}
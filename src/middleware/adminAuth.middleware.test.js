@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { parseReviewerTokens, requireAdmin } from "./adminAuth.middleware.js";
+
+/**
+ * Serve one guarded route on an ephemeral port, return its URL
+ */
+async function serve(t, token) {
+  const app = express();
+  app.post("/guarded", requireAdmin(token, "Disabled (set ADMIN_TOKEN)"), (req, res) =>
+    res.json({ ok: true })
+  );
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}/guarded`;
+}
+
+const post = (url, authorization) =>
+  fetch(url, { method: "POST", headers: authorization ? { authorization } : {} });
+
+test("rejects missing or wrong tokens, accepts the configured one", async (t) => {
+  const url = await serve(t, "s3cret");
+
+  assert.equal((await post(url)).status, 401);
+  assert.equal((await post(url, "Bearer wrong")).status, 401);
+  assert.equal((await post(url, "s3cret")).status, 401);
+
+  const ok = await post(url, "Bearer s3cret");
+  assert.equal(ok.status, 200);
+  assert.deepEqual(await ok.json(), { ok: true });
+});
+
+test("is disabled when no token is configured", async (t) => {
+  const url = await serve(t, null);
+  const response = await post(url, "Bearer anything");
+
+  assert.equal(response.status, 403);
+  assert.deepEqual(await response.json(), { error: "Disabled (set ADMIN_TOKEN)" });
+});
+
+test("parseReviewerTokens keeps valid entries and ignores bad input", () => {
+  assert.deepEqual(
+    [...parseReviewerTokens('{"t1": " alice ", "t2": "", "t3": 7}')],
+    [["t1", "alice"]]
+  );
+  assert.equal(parseReviewerTokens("{not json").size, 0);
+  assert.equal(parseReviewerTokens('["t1"]').size, 0);
+  assert.equal(parseReviewerTokens(undefined).size, 0);
+});
@@ -0,0 +1,279 @@
+/**
+ * ============================================================================
+ * REVIEW QUEUE - Human follow-up for REVIEW decisions
+ * ============================================================================
+ *
+ * Design Decisions:
+ * 1. Every REVIEW decision is enqueued with its full context (input, rule
+ *    evaluation, AI analysis) so a reviewer never has to reconstruct it
+ * 2. Lifecycle: PENDING → CLAIMED → RESOLVED (ALLOW | DENY + note)
+ * 3. Claims expire after claimTtlMs so abandoned items return to the pool
+ * 4. Items link back to the original decision via requestId
+ * 5. In-memory by default; optional JSON file persistence survives restarts.
+ *    Writes are debounced (persistDebounceMs) so a busy queue is serialized
+ *    once per window, not on every enqueue / claim / resolve
+ * 6. Emits "resolved" so other subsystems (webhooks) can react
+ * 7. At most maxPending unresolved items; beyond that enqueue refuses (null)
+ *    so an unattended queue cannot grow without bound
+ * ============================================================================
+ */
+
+import { EventEmitter } from "events";
+import fs from "fs";
+import { dirname } from "path";
+
+export const REVIEW_STATUS = {
+  PENDING: "PENDING",
+  CLAIMED: "CLAIMED",
+  RESOLVED: "RESOLVED",
+};
+
+export const REVIEW_RESOLUTIONS = ["ALLOW", "DENY"];
+
+export class ReviewQueue extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.persistPath = config.persistPath || null;
+    this.claimTtlMs = config.claimTtlMs || 30 * 60 * 1000;
+    this.maxResolved = config.maxResolved || 1000;
+    this.maxPending = config.maxPending || 10000;
+    this.persistDebounceMs = config.persistDebounceMs ?? 1000;
+    this.items = new Map();
+    this.unresolved = 0;
+    this.persistTimer = null;
+    this.writeChain = Promise.resolve();
+
+    if (this.persistPath) {
+      this.load();
+    }
+  }
+
+  // ============================================================================
+  // Queue operations
+  // ============================================================================
+
+  /**
+   * Add a REVIEW decision to the queue
+   * Returns null when maxPending unresolved items are already queued
+   */
+  enqueue({ requestId, callbackUrl, input, decision, ruleEvaluation, aiAnalysis, meta }) {
+    if (this.unresolved >= this.maxPending) {
+      console.warn(
+        `[ReviewQueue] Queue full (${this.maxPending} unresolved), not enqueuing ${requestId}`
+      );
+      return null;
+    }
+
+    const item = {
+      id: `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      requestId,
+      callbackUrl: callbackUrl || null,
+      status: REVIEW_STATUS.PENDING,
+      enqueuedAt: new Date().toISOString(),
+      context: { input, decision, ruleEvaluation, aiAnalysis, meta },
+      claim: null,
+      resolution: null,
+    };
+
+    this.items.set(item.id, item);
+    this.unresolved++;
+    this.persist();
+    return item;
+  }
+
+  /**
+   * Claim an item for review
+   * Re-claiming your own item is a no-op; expired claims can be taken over
+   */
+  claim(id, reviewer) {
+    const item = this.items.get(id);
+    if (!item) {
+      return { success: false, code: "NOT_FOUND", error: `Review ${id} not found` };
+    }
+
+    if (item.status === REVIEW_STATUS.RESOLVED) {
+      return { success: false, code: "CONFLICT", error: `Review ${id} is already resolved` };
+    }
+
+    if (
+      item.status === REVIEW_STATUS.CLAIMED &&
+      item.claim.reviewer !== reviewer &&
+      !this.isClaimExpired(item)
+    ) {
+      return {
+        success: false,
+        code: "CONFLICT",
+        error: `Review ${id} is claimed by ${item.claim.reviewer}`,
+      };
+    }
+
+    item.status = REVIEW_STATUS.CLAIMED;
+    item.claim = { reviewer, claimedAt: new Date().toISOString() };
+    this.persist();
+    return { success: true, item };
+  }
+
+  /**
+   * Resolve a claimed item to ALLOW or DENY
+   */
+  resolve(id, { reviewer, decision, note }) {
+    const item = this.items.get(id);
+    if (!item) {
+      return { success: false, code: "NOT_FOUND", error: `Review ${id} not found` };
+    }
+
+    if (item.status === REVIEW_STATUS.RESOLVED) {
+      return { success: false, code: "CONFLICT", error: `Review ${id} is already resolved` };
+    }
+
+    if (
+      item.status !== REVIEW_STATUS.CLAIMED ||
+      item.claim.reviewer !== reviewer ||
+      this.isClaimExpired(item)
+    ) {
+      return {
+        success: false,
+        code: "CONFLICT",
+        error: `Review ${id} must be claimed by ${reviewer} before resolving`,
+      };
+    }
+
+    item.status = REVIEW_STATUS.RESOLVED;
+    this.unresolved--;
+    item.resolution = {
+      decision,
+      note,
+      reviewer,
+      requestId: item.requestId,
+      resolvedAt: new Date().toISOString(),
+    };
+
+    this.pruneResolved();
+    this.persist();
+    this.emit("resolved", item);
+    return { success: true, item };
+  }
+
+  // ============================================================================
+  // Lookups
+  // ============================================================================
+
+  get(id) {
+    return this.items.get(id) || null;
+  }
+
+  findByRequestId(requestId) {
+    for (const item of this.items.values()) {
+      if (item.requestId === requestId) return item;
+    }
+    return null;
+  }
+
+  /**
+   * List items, oldest first (FIFO work order)
+   * Expired claims are reported as PENDING
+   */
+  list({ status, limit = 50 } = {}) {
+    const items = [];
+    for (const item of this.items.values()) {
+      if (status && this.effectiveStatus(item) !== status) continue;
+      items.push(this.describe(item));
+      if (items.length >= limit) break;
+    }
+    return items;
+  }
+
+  counts() {
+    const counts = { PENDING: 0, CLAIMED: 0, RESOLVED: 0 };
+    for (const item of this.items.values()) {
+      counts[this.effectiveStatus(item)]++;
+    }
+    return counts;
+  }
+
+  describe(item) {
+    return { ...item, status: this.effectiveStatus(item) };
+  }
+
+  effectiveStatus(item) {
+    return item.status === REVIEW_STATUS.CLAIMED && this.isClaimExpired(item)
+      ? REVIEW_STATUS.PENDING
+      : item.status;
+  }
+
+  isClaimExpired(item) {
+    return (
+      item.claim !== null &&
+      Date.now() - new Date(item.claim.claimedAt).getTime() > this.claimTtlMs
+    );
+  }
+
+  // ============================================================================
+  // Persistence
+  // ============================================================================
+
+  /**
+   * Keep at most maxResolved resolved items (oldest dropped first)
+   */
+  pruneResolved() {
+    const resolved = [...this.items.values()].filter(
+      (i) => i.status === REVIEW_STATUS.RESOLVED
+    );
+    for (const item of resolved.slice(0, Math.max(0, resolved.length - this.maxResolved))) {
+      this.items.delete(item.id);
+    }
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.persistPath, "utf8"));
+      for (const item of saved.items || []) {
+        this.items.set(item.id, item);
+        if (item.status !== REVIEW_STATUS.RESOLVED) this.unresolved++;
+      }
+      console.log(
+        `[ReviewQueue] Restored ${this.items.size} items from ${this.persistPath}`
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`[ReviewQueue] Failed to restore queue: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Schedule a write of the whole queue (debounced)
+   */
+  persist() {
+    if (!this.persistPath || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.flush();
+    }, this.persistDebounceMs);
+    this.persistTimer.unref();
+  }
+
+  flush() {
+    const snapshot = JSON.stringify({ items: [...this.items.values()] });
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(dirname(this.persistPath), { recursive: true });
+        // Write-then-rename so a crash never leaves a truncated file
+        await fs.promises.writeFile(`${this.persistPath}.tmp`, snapshot, "utf8");
+        await fs.promises.rename(`${this.persistPath}.tmp`, this.persistPath);
+      })
+      .catch((error) => {
+        console.error(`[ReviewQueue] Failed to persist queue: ${error.message}`);
+      });
+  }
+
+  async close() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+      this.flush();
+    }
+    await this.writeChain;
+  }
+}
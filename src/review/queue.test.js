@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import { ReviewQueue, REVIEW_STATUS } from "./queue.js";
+
+test("refuses new items once maxPending are unresolved", () => {
+  const queue = new ReviewQueue({ maxPending: 2 });
+
+  const first = queue.enqueue({ requestId: "a" });
+  queue.enqueue({ requestId: "b" });
+  assert.equal(queue.enqueue({ requestId: "c" }), null);
+
+  queue.claim(first.id, "alice");
+  queue.resolve(first.id, { reviewer: "alice", decision: "ALLOW", note: "ok" });
+  assert.equal(queue.enqueue({ requestId: "c" }).status, REVIEW_STATUS.PENDING);
+});
+
+test("debounces writes and flushes on close", async () => {
+  const path = join(fs.mkdtempSync(join(os.tmpdir(), "review-queue-")), "queue.json");
+  const queue = new ReviewQueue({ persistPath: path, persistDebounceMs: 60000 });
+
+  const item = queue.enqueue({ requestId: "a" });
+  queue.claim(item.id, "alice");
+  assert.equal(fs.existsSync(path), false);
+
+  await queue.close();
+
+  const restored = new ReviewQueue({ persistPath: path, maxPending: 1 });
+  assert.equal(restored.get(item.id).status, REVIEW_STATUS.CLAIMED);
+  assert.equal(restored.enqueue({ requestId: "b" }), null);
+});
@@ -0,0 +1,110 @@
+import { Router } from "express";
+import * as metrics from "../metrics/prometheus.js";
+import { requireAdmin } from "../middleware/adminAuth.middleware.js";
+
+const MAX_QUERY_LIMIT = 500;
+
+/**
+ * Parse and validate GET /decisions query filters
+ * Returns { filters } or { error }
+ */
+function parseFilters(query) {
+  const filters = {};
+
+  for (const key of ["from", "to"]) {
+    if (query[key] !== undefined) {
+      const date = new Date(query[key]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `"${key}" must be an ISO-8601 timestamp` };
+      }
+      filters[key] = date.toISOString();
+    }
+  }
+
+  if (query.outcome !== undefined) {
+    if (!["ALLOW", "DENY", "REVIEW"].includes(query.outcome)) {
+      return { error: '"outcome" must be one of ALLOW, DENY, REVIEW' };
+    }
+    filters.outcome = query.outcome;
+  }
+
+  if (query.source !== undefined) filters.source = String(query.source);
+  if (query.ruleId !== undefined) filters.ruleId = String(query.ruleId);
+
+  const limit = query.limit !== undefined ? parseInt(query.limit) : 50;
+  const offset = query.offset !== undefined ? parseInt(query.offset) : 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+    return { error: `"limit" must be between 1 and ${MAX_QUERY_LIMIT}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: '"offset" must be a non-negative integer' };
+  }
+  filters.limit = limit;
+  filters.offset = offset;
+
+  return { filters };
+}
+
+export function auditRoutes(decisionService, ADMIN_TOKEN) {
+  const router = Router();
+
+  // Records hold the unredacted request input, so reads are admin-only
+  router.use(
+    "/decisions",
+    requireAdmin(ADMIN_TOKEN, "Decision audit queries are disabled (set ADMIN_TOKEN)")
+  );
+
+  // Both endpoints need an audit store
+  router.use("/decisions", (req, res, next) => {
+    if (!decisionService.auditStore) {
+      return res.status(503).json({
+        error: "Decision audit log is disabled (set AUDIT_STORE)",
+      });
+    }
+    next();
+  });
+
+  /**
+   * GET /decisions - Query the audit log (newest first)
+   * Filters: from, to, outcome, source, ruleId, limit, offset
+   */
+  router.get("/decisions", async (req, res) => {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const decisions = await decisionService.auditStore.query(filters);
+      res.json({ count: decisions.length, filters, decisions });
+    } catch (err) {
+      console.error(`[${req.requestId}] Audit query error`, err);
+      metrics.recordError("audit_query_error", "/decisions");
+      res.status(500).json({ error: "Failed to query audit log" });
+    }
+  });
+
+  /**
+   * GET /decisions/:requestId - Full audit record for one decision
+   */
+  router.get("/decisions/:requestId", async (req, res) => {
+    try {
+      const record = await decisionService.auditStore.get(req.params.requestId);
+      if (!record) {
+        return res.status(404).json({
+          error: "Decision not found",
+          requestId: req.params.requestId,
+        });
+      }
+      // Link the human review (if any) back to the original decision
+      const review = decisionService.reviewQueue?.findByRequestId(record.requestId);
+      res.json(review ? { ...record, review } : record);
+    } catch (err) {
+      console.error(`[${req.requestId}] Audit lookup error`, err);
+      metrics.recordError("audit_query_error", "/decisions/:requestId");
+      res.status(500).json({ error: "Failed to read audit log" });
+    }
+  });
+
+  return router;
+}
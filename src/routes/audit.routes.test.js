@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { auditRoutes } from "./audit.routes.js";
+
+const record = { requestId: "req_1", input: { email: "a@b.c" }, decision: { final: "DENY" } };
+
+/**
+ * Serve the audit routes over an in-memory store on an ephemeral port
+ */
+async function serve(t, adminToken) {
+  const auditStore = {
+    query: async () => [record],
+    get: async (requestId) => (requestId === record.requestId ? record : null),
+  };
+  const app = express();
+  app.use(auditRoutes({ auditStore }, adminToken));
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => server.close());
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return (path, token) =>
+    fetch(`${base}${path}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+}
+
+test("requires the admin token to read audit records", async (t) => {
+  const get = await serve(t, "root-token");
+
+  assert.equal((await get("/decisions")).status, 401);
+  assert.equal((await get("/decisions/req_1", "wrong")).status, 401);
+
+  const listed = await get("/decisions", "root-token");
+  assert.equal((await listed.json()).count, 1);
+  const single = await get("/decisions/req_1", "root-token");
+  assert.deepEqual(await single.json(), record);
+});
+
+test("disables audit reads when ADMIN_TOKEN is unset", async (t) => {
+  const get = await serve(t, null);
+  assert.equal((await get("/decisions", "anything")).status, 403);
+});
@@ -1,15 +1,68 @@
 import { Router } from "express";
 import * as metrics from "../metrics/prometheus.js"
+import { validateWebhookUrl } from "../webhooks/dispatcher.js";
 
 export function decisionRoutes(decisionService, ENGINE_VERSION) {
   const router = Router();
 
+  /**
+   * POST /decide - Main decision endpoint
+   *
+   * Optional "callbackUrl" in the body: GREY_ZONE requests that need AI are
+   * answered 202 PENDING right away, and the final decision is POSTed to the
+   * URL (decision.completed). REVIEW outcomes also notify it once resolved.
+   *
+   * Optional "explain": true adds the evaluated condition trees
+   * (ruleEvaluation.explain) and a sentence in decision.explanation.
+   */
   router.post("/decide", async (req, res) => {
     try {
-      const input = req.body;
-      const result = await decisionService.decide(input, req.requestId);
+      let input = req.body;
+      let callbackUrl = null;
+      let explain = false;
 
-      const statusCode = result.decision.final === "ERROR" ? 500 : 200;
+      if (input && typeof input === "object" && "explain" in input) {
+        ({ explain, ...input } = input);
+        explain = explain === true;
+      }
+
+      if (input && typeof input === "object" && "callbackUrl" in input) {
+        ({ callbackUrl, ...input } = input);
+
+        const urlError = validateWebhookUrl(callbackUrl);
+        if (urlError) {
+          return res.status(400).json({
+            error: `Invalid callbackUrl: ${urlError}`,
+            requestId: req.requestId,
+          });
+        }
+        if (!decisionService.webhooks?.supportsCallbacks()) {
+          return res.status(400).json({
+            error: "Callbacks are disabled (set WEBHOOK_SIGNING_SECRET)",
+            requestId: req.requestId,
+          });
+        }
+
+        const targetError = await decisionService.webhooks.checkTarget(callbackUrl);
+        if (targetError) {
+          return res.status(400).json({
+            error: `Invalid callbackUrl: ${targetError}`,
+            requestId: req.requestId,
+          });
+        }
+      }
+
+      const result = await decisionService.decide(input, req.requestId, {
+        callbackUrl,
+        explain,
+      });
+
+      const statusCode =
+        result.decision.final === "ERROR"
+          ? 500
+          : result.decision.final === "PENDING"
+            ? 202
+            : 200;
 
       res.status(statusCode).json(result);
     } catch (error) {
@@ -33,5 +86,52 @@ export function decisionRoutes(decisionService, ENGINE_VERSION) {
     }
   });
 
+  /**
+   * POST /decide/batch - Evaluate many inputs in one round trip
+   *
+   * Request body: { "items": [{ "request": {...}, "signals": {...} }, ...] }
+   * (a bare array is accepted as well)
+   *
+   * Always 200 once the batch runs - per-item failures are reported in
+   * results[i].status and summary.failed.
+   */
+  router.post("/decide/batch", async (req, res) => {
+    const items = Array.isArray(req.body) ? req.body : req.body?.items;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'Batch body must contain a non-empty "items" array',
+        requestId: req.requestId,
+      });
+    }
+
+    if (items.length > decisionService.batchMaxSize) {
+      return res.status(413).json({
+        error: `Batch size ${items.length} exceeds maximum of ${decisionService.batchMaxSize}`,
+        maxBatchSize: decisionService.batchMaxSize,
+        requestId: req.requestId,
+      });
+    }
+
+    try {
+      const result = await decisionService.decideBatch(items, req.requestId);
+      res.status(200).json(result);
+    } catch (error) {
+      console.error(`[${req.requestId}] Batch decision error`, error);
+      metrics.recordError("unhandled_error", "/decide/batch");
+
+      res.status(500).json({
+        error: {
+          message: "Internal server error",
+          requestId: req.requestId,
+        },
+        meta: {
+          version: ENGINE_VERSION,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+  });
+
   return router;
 }
@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import express from "express";
+import { DecisionService } from "../decisionService.js";
+import { AIAnalyzer } from "../ai/analyzer.js";
+import { registerAdapter } from "../ai/adapters/index.js";
+import { decisionRoutes } from "./decision.routes.js";
+
+const RULES_YAML = `
+version: "1.0"
+rules:
+  - id: "DENY_1"
+    name: "High risk"
+    condition: { field: "signals.risk_score", op: "gte", value: 90 }
+    outcome: "SAFE_DENY"
+    priority: 100
+defaults:
+  no_match_outcome: "GREY_ZONE"
+`;
+
+// Adapter that records how many calls are in flight at once
+const inFlight = { active: 0, max: 0 };
+registerAdapter({
+  name: "counting",
+  buildRequest: () => ({ url: "", headers: {}, body: {} }),
+  extractContent: (response) => response.content,
+  async invoke() {
+    inFlight.active++;
+    inFlight.max = Math.max(inFlight.max, inFlight.active);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    inFlight.active--;
+    return {
+      content: JSON.stringify({ recommendation: "DENY", confidence: 0.9, reasoning: "counted" }),
+    };
+  },
+});
+
+function createService(config = {}) {
+  const rulesConfigPath = join(fs.mkdtempSync(join(os.tmpdir(), "batch-rules-")), "rules.yaml");
+  fs.writeFileSync(rulesConfigPath, RULES_YAML);
+
+  const service = new DecisionService({ version: "v2", rulesConfigPath, ...config });
+  service.aiAnalyzer = new AIAnalyzer({
+    enabled: true,
+    providers: [{ name: "counting", adapter: "counting", model: "c" }],
+  });
+  return service;
+}
+
+const item = (risk) => ({ request: { type: "payment" }, signals: { risk_score: risk } });
+
+/**
+ * Serve the decision routes on an ephemeral port, return a POST helper
+ */
+async function serve(t, service) {
+  const app = express();
+  app.use(express.json());
+  app.use(decisionRoutes(service, "v2"));
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => server.close());
+
+  return (body) =>
+    fetch(`http://127.0.0.1:${server.address().port}/decide/batch`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+}
+
+test("decideBatch returns one result per item in input order", async () => {
+  const service = createService();
+  const batch = await service.decideBatch([item(95), item(50)], "batch_1");
+
+  assert.deepEqual(
+    batch.results.map((r) => [r.index, r.requestId, r.status, r.decision.final]),
+    [
+      [0, "batch_1_0", "ok", "DENY"],
+      [1, "batch_1_1", "ok", "DENY"],
+    ]
+  );
+  assert.equal(batch.results[0].decision.source, "RULE_ABSOLUTE");
+  assert.equal(batch.results[1].decision.source, "AI_RECOMMENDED");
+  assert.equal(batch.results[1].aiAnalysis.reasoning, "counted");
+  assert.deepEqual(batch.summary, { total: 2, succeeded: 2, failed: 0 });
+  assert.equal(batch.meta.requestId, "batch_1");
+});
+
+test("a failed item is reported as status error without failing the batch", async () => {
+  const service = createService();
+  const batch = await service.decideBatch([item(95), { request: {} }], "batch_2");
+
+  assert.equal(batch.results[0].status, "ok");
+  assert.equal(batch.results[1].status, "error");
+  assert.equal(batch.results[1].decision.final, "ERROR");
+  assert.deepEqual(batch.summary, { total: 2, succeeded: 1, failed: 1 });
+});
+
+test("AI calls across a batch stay within the limiter bound", async () => {
+  const service = createService({ batchAIConcurrency: 2 });
+  inFlight.max = 0;
+
+  const batch = await service.decideBatch(
+    Array.from({ length: 6 }, () => item(50)),
+    "batch_3"
+  );
+
+  assert.equal(batch.summary.succeeded, 6);
+  assert.equal(inFlight.max, 2);
+});
+
+test("POST /decide/batch answers 200, 400 for no items and 413 above the maximum", async (t) => {
+  const post = await serve(t, createService({ batchMaxSize: 2 }));
+
+  const ok = await post({ items: [item(95), { request: {} }] });
+  assert.equal(ok.status, 200);
+  assert.deepEqual(
+    (await ok.json()).results.map((r) => r.status),
+    ["ok", "error"]
+  );
+
+  const bare = await post([item(95)]);
+  assert.equal(bare.status, 200);
+
+  assert.equal((await post({ items: [] })).status, 400);
+  assert.equal((await post({})).status, 400);
+
+  const tooLarge = await post({ items: [item(1), item(2), item(3)] });
+  assert.equal(tooLarge.status, 413);
+  assert.equal((await tooLarge.json()).maxBatchSize, 2);
+});
@@ -9,8 +9,17 @@ export function reloadRoutes(decisionService) {
 
     if (result.success) {
       res.json({
-        status: "reloaded",
+        status: result.unchanged ? "unchanged" : "reloaded",
         rulesCount: result.rulesCount,
+        ruleset: result.ruleset,
+        timestamp: new Date().toISOString(),
+      });
+    } else if (result.errors) {
+      // Schema validation failed - nothing was loaded
+      res.status(422).json({
+        status: "rejected",
+        error: result.error,
+        errors: result.errors,
         timestamp: new Date().toISOString(),
       });
     } else {
@@ -0,0 +1,112 @@
+import { Router } from "express";
+import { REVIEW_STATUS, REVIEW_RESOLUTIONS } from "../review/queue.js";
+import { requireReviewer } from "../middleware/adminAuth.middleware.js";
+
+const STATUS_CODES = { NOT_FOUND: 404, CONFLICT: 409 };
+
+export function reviewRoutes(decisionService, REVIEWER_TOKENS, ADMIN_TOKEN) {
+  const router = Router();
+  const requireReviewerToken = requireReviewer(
+    REVIEWER_TOKENS,
+    ADMIN_TOKEN,
+    "Review actions are disabled (set REVIEWER_TOKENS or ADMIN_TOKEN)"
+  );
+
+  router.use("/reviews", (req, res, next) => {
+    if (!decisionService.reviewQueue) {
+      return res.status(503).json({ error: "Review queue is disabled" });
+    }
+    next();
+  });
+
+  /**
+   * GET /reviews - List queue items (oldest first)
+   * Query: status (PENDING | CLAIMED | RESOLVED, default PENDING), requestId, limit
+   */
+  router.get("/reviews", requireReviewerToken, (req, res) => {
+    const queue = decisionService.reviewQueue;
+    const status = req.query.status || REVIEW_STATUS.PENDING;
+
+    if (status !== "ALL" && !Object.values(REVIEW_STATUS).includes(status)) {
+      return res.status(400).json({
+        error: `"status" must be one of ${Object.values(REVIEW_STATUS).join(", ")}, ALL`,
+      });
+    }
+
+    if (req.query.requestId) {
+      const item = queue.findByRequestId(req.query.requestId);
+      return res.json({ count: item ? 1 : 0, items: item ? [queue.describe(item)] : [] });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const items = queue.list({
+      status: status === "ALL" ? undefined : status,
+      limit,
+    });
+
+    res.json({ count: items.length, counts: queue.counts(), items });
+  });
+
+  /**
+   * GET /reviews/me - Reviewer identity behind the bearer token
+   */
+  router.get("/reviews/me", requireReviewerToken, (req, res) => {
+    res.json({ reviewer: req.reviewer });
+  });
+
+  /**
+   * GET /reviews/:id - Single queue item with full decision context
+   */
+  router.get("/reviews/:id", requireReviewerToken, (req, res) => {
+    const item = decisionService.reviewQueue.get(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: `Review ${req.params.id} not found` });
+    }
+    res.json(decisionService.reviewQueue.describe(item));
+  });
+
+  /**
+   * POST /reviews/:id/claim - Claim an item as the token's reviewer
+   */
+  router.post("/reviews/:id/claim", requireReviewerToken, (req, res) => {
+    const result = decisionService.reviewQueue.claim(req.params.id, req.reviewer);
+    if (!result.success) {
+      return res.status(STATUS_CODES[result.code] || 400).json({ error: result.error });
+    }
+    res.json(result.item);
+  });
+
+  /**
+   * POST /reviews/:id/resolve - Resolve an item claimed by the token's reviewer
+   * Body: { "decision": "ALLOW" | "DENY", "note": "..." }
+   */
+  router.post("/reviews/:id/resolve", requireReviewerToken, (req, res) => {
+    const { decision, note } = req.body || {};
+    const reviewer = req.reviewer;
+
+    if (!REVIEW_RESOLUTIONS.includes(decision)) {
+      return res.status(400).json({
+        error: `"decision" must be one of ${REVIEW_RESOLUTIONS.join(", ")}`,
+      });
+    }
+    if (typeof note !== "string" || note.trim() === "") {
+      return res.status(400).json({ error: '"note" is required' });
+    }
+
+    const result = decisionService.reviewQueue.resolve(req.params.id, {
+      reviewer,
+      decision,
+      note: note.trim(),
+    });
+    if (!result.success) {
+      return res.status(STATUS_CODES[result.code] || 400).json({ error: result.error });
+    }
+
+    console.log(
+      `[${req.requestId}] Review ${req.params.id} resolved ${decision} by ${reviewer} (request ${result.item.requestId})`
+    );
+    res.json(result.item);
+  });
+
+  return router;
+}
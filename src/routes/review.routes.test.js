@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { ReviewQueue } from "../review/queue.js";
+import { reviewRoutes } from "./review.routes.js";
+
+/**
+ * Serve the review routes over a fresh queue on an ephemeral port
+ */
+async function serve(t, reviewerTokens, adminToken = null) {
+  const reviewQueue = new ReviewQueue();
+  const app = express();
+  app.use(express.json());
+  app.use(reviewRoutes({ reviewQueue }, reviewerTokens, adminToken));
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => server.close());
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = (path, token, body = {}) =>
+    fetch(`${base}${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+  return { reviewQueue, base, post };
+}
+
+test("records the reviewer from the token, not the body", async (t) => {
+  const { reviewQueue, post } = await serve(t, new Map([["alice-token", "alice"]]));
+  const item = reviewQueue.enqueue({ requestId: "req_1" });
+
+  const claimed = await post(`/reviews/${item.id}/claim`, "alice-token", { reviewer: "mallory" });
+  assert.equal(claimed.status, 200);
+  assert.equal((await claimed.json()).claim.reviewer, "alice");
+
+  const resolved = await post(`/reviews/${item.id}/resolve`, "alice-token", {
+    reviewer: "mallory",
+    decision: "DENY",
+    note: "stolen card",
+  });
+  assert.equal(resolved.status, 200);
+  assert.equal((await resolved.json()).resolution.reviewer, "alice");
+});
+
+test("rejects claim and resolve without a valid reviewer token", async (t) => {
+  const { reviewQueue, post } = await serve(t, new Map([["alice-token", "alice"]]));
+  const item = reviewQueue.enqueue({ requestId: "req_1" });
+
+  assert.equal((await post(`/reviews/${item.id}/claim`)).status, 401);
+  assert.equal((await post(`/reviews/${item.id}/claim`, "guess")).status, 401);
+  const resolve = await post(`/reviews/${item.id}/resolve`, "guess", {
+    decision: "ALLOW",
+    note: "ok",
+  });
+  assert.equal(resolve.status, 401);
+  assert.equal(reviewQueue.get(item.id).claim, null);
+});
+
+test("accepts the admin token as reviewer 'admin' and reports it from /reviews/me", async (t) => {
+  const { base, post, reviewQueue } = await serve(t, new Map(), "root-token");
+  const item = reviewQueue.enqueue({ requestId: "req_1" });
+
+  const me = await fetch(`${base}/reviews/me`, {
+    headers: { Authorization: "Bearer root-token" },
+  });
+  assert.deepEqual(await me.json(), { reviewer: "admin" });
+
+  const claimed = await post(`/reviews/${item.id}/claim`, "root-token");
+  assert.equal((await claimed.json()).claim.reviewer, "admin");
+});
+
+test("disables review actions when no tokens are configured", async (t) => {
+  const { reviewQueue, post } = await serve(t, new Map());
+  const item = reviewQueue.enqueue({ requestId: "req_1" });
+
+  assert.equal((await post(`/reviews/${item.id}/claim`, "anything")).status, 403);
+});
+
+test("requires a reviewer token to read queue items", async (t) => {
+  const { base, reviewQueue } = await serve(t, new Map([["alice-token", "alice"]]));
+  const item = reviewQueue.enqueue({ requestId: "req_1", input: { email: "a@b.c" } });
+
+  assert.equal((await fetch(`${base}/reviews`)).status, 401);
+  assert.equal((await fetch(`${base}/reviews/${item.id}`)).status, 401);
+
+  const listed = await fetch(`${base}/reviews`, {
+    headers: { Authorization: "Bearer alice-token" },
+  });
+  assert.equal((await listed.json()).count, 1);
+});
@@ -0,0 +1,107 @@
+import { Router } from "express";
+import { requireAdmin } from "../middleware/adminAuth.middleware.js";
+
+export function rulesRoutes(decisionService, ADMIN_TOKEN) {
+  const router = Router();
+
+  /**
+   * POST /rules/dry-run - Evaluate sample inputs against a candidate ruleset
+   *
+   * Request body:
+   * {
+   *   "ruleset": "<rules.yaml text>" | { ...parsed ruleset },
+   *   "samples": [{ "request": {...}, "signals": {...} }]
+   * }
+   */
+  router.post("/rules/dry-run", (req, res) => {
+    const { ruleset, samples } = req.body || {};
+
+    if (!ruleset || (typeof ruleset !== "string" && typeof ruleset !== "object")) {
+      return res.status(400).json({
+        error: 'Body must contain a "ruleset" (YAML/JSON text or object)',
+      });
+    }
+
+    if (!Array.isArray(samples) || samples.length === 0) {
+      return res.status(400).json({
+        error: 'Body must contain a non-empty "samples" array',
+      });
+    }
+
+    if (samples.length > decisionService.batchMaxSize) {
+      return res.status(413).json({
+        error: `Sample count ${samples.length} exceeds maximum of ${decisionService.batchMaxSize}`,
+      });
+    }
+
+    const result = decisionService.dryRun(ruleset, samples);
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: "invalid_ruleset",
+        error: result.error,
+        errors: result.errors || [],
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.json({
+      status: "evaluated",
+      ruleset: result.ruleset,
+      rules: result.rules,
+      results: result.results,
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  /**
+   * GET /rules/versions - Ruleset version history (newest last)
+   */
+  router.get("/rules/versions", (req, res) => {
+    const registry = decisionService.rulesetRegistry;
+    res.json({
+      active: registry.describe(registry.getActive()),
+      versions: registry.list(),
+    });
+  });
+
+  /**
+   * POST /rules/rollback - Restore a previous ruleset version
+   *
+   * Request body (optional): { "version": 3 }
+   * Without a version, rolls back to the one loaded before the active one.
+   * Swaps the live ruleset, so it needs "Authorization: Bearer <ADMIN_TOKEN>".
+   */
+  const requireRulesAdmin = requireAdmin(
+    ADMIN_TOKEN,
+    "Ruleset rollback is disabled (set ADMIN_TOKEN)"
+  );
+
+  router.post("/rules/rollback", requireRulesAdmin, (req, res) => {
+    const { version } = req.body || {};
+
+    if (version !== undefined && !Number.isInteger(version)) {
+      return res.status(400).json({ error: '"version" must be an integer' });
+    }
+
+    console.log(`Rolling back rules to ${version ?? "previous version"}...`);
+    const result = decisionService.rollbackRules(version);
+
+    if (!result.success) {
+      return res.status(404).json({
+        status: "failed",
+        error: result.error,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.json({
+      status: "rolled_back",
+      from: result.from,
+      ruleset: result.ruleset,
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import express from "express";
+import { DecisionService } from "../decisionService.js";
+import { rulesRoutes } from "./rules.routes.js";
+
+const ACTIVE_YAML = `
+version: "1.0"
+rules:
+  - id: "DENY_1"
+    name: "High risk"
+    condition: { field: "signals.risk_score", op: "gte", value: 90 }
+    outcome: "SAFE_DENY"
+    priority: 100
+defaults:
+  no_match_outcome: "GREY_ZONE"
+`;
+
+// Candidate: tighter deny threshold plus an allow rule
+const CANDIDATE = {
+  version: "2.0",
+  rules: [
+    {
+      id: "DENY_2",
+      name: "Medium risk",
+      condition: { field: "signals.risk_score", op: "gte", value: 60 },
+      outcome: "SAFE_DENY",
+      priority: 100,
+    },
+    {
+      id: "ALLOW_1",
+      name: "Low risk",
+      condition: { field: "signals.risk_score", op: "lt", value: 20 },
+      outcome: "SAFE_ALLOW",
+      priority: 50,
+    },
+  ],
+  defaults: { no_match_outcome: "GREY_ZONE" },
+};
+
+const sample = (risk) => ({ request: { type: "payment" }, signals: { risk_score: risk } });
+
+/**
+ * Serve the rules routes over a v1 service on an ephemeral port
+ */
+async function serve(t) {
+  const rulesConfigPath = join(fs.mkdtempSync(join(os.tmpdir(), "dry-run-rules-")), "rules.yaml");
+  fs.writeFileSync(rulesConfigPath, ACTIVE_YAML);
+  const service = new DecisionService({ version: "v1", rulesConfigPath });
+
+  const app = express();
+  app.use(express.json());
+  app.use(rulesRoutes(service, null));
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => server.close());
+
+  const dryRun = (body) =>
+    fetch(`http://127.0.0.1:${server.address().port}/rules/dry-run`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  return { service, dryRun };
+}
+
+test("evaluates samples against the candidate, not the active ruleset", async (t) => {
+  const { dryRun } = await serve(t);
+
+  const response = await dryRun({
+    ruleset: CANDIDATE,
+    samples: [sample(70), sample(10), sample(40), { request: {} }],
+  });
+  assert.equal(response.status, 200);
+
+  const body = await response.json();
+  assert.equal(body.status, "evaluated");
+  assert.equal(body.ruleset.rulesCount, 2);
+  assert.deepEqual(
+    body.results.map((r) => [r.index, r.outcome, r.matchedRule?.id ?? null]),
+    [
+      [0, "SAFE_DENY", "DENY_2"],
+      [1, "SAFE_ALLOW", "ALLOW_1"],
+      [2, "GREY_ZONE", null],
+      [3, undefined, null],
+    ]
+  );
+  assert.match(body.results[3].error, /signals/);
+});
+
+test("accepts the candidate as YAML text", async (t) => {
+  const { dryRun } = await serve(t);
+
+  const body = await (
+    await dryRun({ ruleset: ACTIVE_YAML.replace("value: 90", "value: 50"), samples: [sample(60)] })
+  ).json();
+  assert.equal(body.results[0].outcome, "SAFE_DENY");
+});
+
+test("an invalid candidate returns the validator errors", async (t) => {
+  const { dryRun } = await serve(t);
+
+  const response = await dryRun({
+    ruleset: {
+      ...CANDIDATE,
+      rules: [{ ...CANDIDATE.rules[0], condition: { field: "signals.risk_score", op: "near", value: 1 } }],
+    },
+    samples: [sample(70)],
+  });
+  assert.equal(response.status, 400);
+
+  const body = await response.json();
+  assert.equal(body.status, "invalid_ruleset");
+  assert.match(body.error, /^Invalid ruleset/);
+  assert.ok(body.errors.length > 0);
+  assert.ok(body.errors.some((e) => /near/.test(JSON.stringify(e))));
+});
+
+test("a dry run leaves the active ruleset and live decisions unchanged", async (t) => {
+  const { service, dryRun } = await serve(t);
+  const before = service.rulesetRegistry.describe(service.rulesetRegistry.getActive());
+
+  await dryRun({ ruleset: CANDIDATE, samples: [sample(70)] });
+
+  assert.deepEqual(service.rulesetRegistry.describe(service.rulesetRegistry.getActive()), before);
+  assert.equal(service.rulesetRegistry.list().length, 1);
+
+  const live = await service.decide(sample(70), "req_live");
+  assert.equal(live.ruleEvaluation.outcome, "GREY_ZONE");
+});
+
+test("rejects a missing ruleset or empty samples", async (t) => {
+  const { dryRun } = await serve(t);
+
+  assert.equal((await dryRun({ samples: [sample(1)] })).status, 400);
+  assert.equal((await dryRun({ ruleset: CANDIDATE, samples: [] })).status, 400);
+});
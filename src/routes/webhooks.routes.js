@@ -0,0 +1,79 @@
+import { Router } from "express";
+import { requireAdmin } from "../middleware/adminAuth.middleware.js";
+import { DELIVERY_STATUS } from "../webhooks/dispatcher.js";
+
+export function webhooksRoutes(decisionService, WEBHOOK_ADMIN_TOKEN) {
+  const router = Router();
+
+  // Subscriptions make the server POST to arbitrary URLs
+  const requireWebhookAdmin = requireAdmin(
+    WEBHOOK_ADMIN_TOKEN,
+    "Subscription management is disabled (set WEBHOOK_ADMIN_TOKEN)"
+  );
+
+  router.use("/webhooks", (req, res, next) => {
+    if (!decisionService.webhooks) {
+      return res.status(503).json({ error: "Webhooks are disabled" });
+    }
+    next();
+  });
+
+  /**
+   * GET /webhooks/deliveries - Delivery history (newest first)
+   * Query: status (PENDING | DELIVERED | FAILED), event, requestId, limit
+   */
+  router.get("/webhooks/deliveries", (req, res) => {
+    const { status, event, requestId } = req.query;
+
+    if (status && !Object.values(DELIVERY_STATUS).includes(status)) {
+      return res.status(400).json({
+        error: `"status" must be one of ${Object.values(DELIVERY_STATUS).join(", ")}`,
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const deliveries = decisionService.webhooks.listDeliveries({
+      status,
+      event,
+      requestId,
+      limit,
+    });
+
+    res.json({
+      count: deliveries.length,
+      counts: decisionService.webhooks.counts(),
+      deliveries,
+    });
+  });
+
+  /**
+   * GET /webhooks/subscriptions - Registered subscriptions (secrets hidden)
+   */
+  router.get("/webhooks/subscriptions", requireWebhookAdmin, (req, res) => {
+    res.json({ subscriptions: decisionService.webhooks.listSubscriptions() });
+  });
+
+  /**
+   * POST /webhooks/subscriptions - Register a subscription
+   * Body: { "url": "...", "events": ["review.resolved"], "secret": "optional" }
+   */
+  router.post("/webhooks/subscriptions", requireWebhookAdmin, async (req, res) => {
+    const result = await decisionService.webhooks.subscribe(req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json(result.subscription);
+  });
+
+  /**
+   * DELETE /webhooks/subscriptions/:id - Remove a subscription
+   */
+  router.delete("/webhooks/subscriptions/:id", requireWebhookAdmin, (req, res) => {
+    if (!decisionService.webhooks.unsubscribe(req.params.id)) {
+      return res.status(404).json({ error: `Subscription ${req.params.id} not found` });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
@@ -0,0 +1,33 @@
+/**
+ * ============================================================================
+ * CANONICAL JSON - Key-sorted values for stable hashing
+ * ============================================================================
+ * Shared by the ruleset content hash and the AI cache key, so the same
+ * value always canonicalizes the same way.
+ * Example: canonicalJson({b: 1, a: 2}) => '{"a":2,"b":1}'
+ * ============================================================================
+ */
+
+/**
+ * Sort object keys at every level
+ * Dates become ISO strings (what JSON.stringify would write anyway)
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, canonicalize(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * JSON text of the canonicalized value
+ */
+export function canonicalJson(value) {
+  return JSON.stringify(canonicalize(value));
+}
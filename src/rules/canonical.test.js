@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { canonicalize, canonicalJson } from "./canonical.js";
+
+test("sorts keys at every level, keeps array order", () => {
+  assert.equal(canonicalJson({ b: 1, a: { d: [2, 1], c: null } }), '{"a":{"c":null,"d":[2,1]},"b":1}');
+  assert.equal(canonicalJson({ a: 1, b: 2 }), canonicalJson({ b: 2, a: 1 }));
+});
+
+test("dates canonicalize to ISO strings", () => {
+  const date = new Date("2024-01-01T00:00:00Z");
+  assert.deepEqual(canonicalize({ at: date }), { at: "2024-01-01T00:00:00.000Z" });
+  assert.equal(canonicalJson({ at: date }), canonicalJson({ at: "2024-01-01T00:00:00.000Z" }));
+});
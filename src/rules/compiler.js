@@ -0,0 +1,240 @@
+/**
+ * ============================================================================
+ * RULE COMPILER - Turns validated condition trees into predicates
+ * ============================================================================
+ *
+ * The interpreted path (RuleEngine.evaluateCondition) walks the YAML tree on
+ * every request. Compiling at load time moves the per-request work out:
+ * - field paths are split once into accessor functions
+ * - regexes are built once
+ * - in / nin (and any / all value lists) become Sets
+ * - CIDR lists become one net.BlockList
+ *
+ * Compiled predicates keep the interpreted semantics exactly - including
+ * short-circuiting and the leaf trace - so the two are interchangeable.
+ * Trace entries for skipped leaves are built at compile time and shared
+ * (frozen) between requests.
+ *
+ * Design Decisions:
+ * 1. Only validated rulesets are compiled (no defensive checks here)
+ * 2. requiredFields lists the fields a rule cannot match without; the
+ *    engine's optional field index uses it to skip rules early
+ * ============================================================================
+ */
+
+import net from "net";
+import { OPERATORS, isFieldRef, toBlockList } from "./operators.js";
+
+// Operators that can match when the field is missing
+const MISSING_TOLERANT_OPERATORS = ["neq", "nin", "exists"];
+
+/**
+ * Accessor for a dot path - same semantics as path.js getValue
+ */
+export function compileAccessor(path) {
+  const keys = path.split(".");
+
+  return (obj) => {
+    let current = obj;
+    for (let i = 0; i < keys.length; i++) {
+      if (!current || current[keys[i]] === undefined) return undefined;
+      current = current[keys[i]];
+    }
+    return current;
+  };
+}
+
+/**
+ * Comparison against a constant expected value → (actual) => boolean
+ */
+function compileComparison(op, value) {
+  switch (op) {
+    case "regex": {
+      const pattern = new RegExp(value);
+      return (a) => pattern.test(String(a));
+    }
+    case "in": {
+      const set = new Set(value);
+      return (a) => set.has(a);
+    }
+    case "nin": {
+      const set = new Set(value);
+      return (a) => !set.has(a);
+    }
+    case "any": {
+      const test = compileElementTest(value);
+      return (a) => Array.isArray(a) && a.some(test);
+    }
+    case "all": {
+      const test = compileElementTest(value);
+      return (a) => Array.isArray(a) && a.length > 0 && a.every(test);
+    }
+    case "cidr": {
+      const list = toBlockList(value);
+      return (a) => {
+        const family = typeof a === "string" ? net.isIP(a) : 0;
+        return family !== 0 && list.check(a, family === 6 ? "ipv6" : "ipv4");
+      };
+    }
+    default: {
+      const compare = OPERATORS[op];
+      return (a) => compare(a, value);
+    }
+  }
+}
+
+/**
+ * any / all element test: value list (Set) or { op, value } predicate
+ */
+function compileElementTest(value) {
+  if (Array.isArray(value)) {
+    const set = new Set(value);
+    return (element) => set.has(element);
+  }
+  return compileComparison(value.op, value.value);
+}
+
+/**
+ * Compile a leaf → { test(input, trace), leaves }
+ */
+function compileLeaf(condition, path) {
+  const { field, op, value } = condition;
+  const actual = compileAccessor(field);
+
+  let compare;
+  if (isFieldRef(value)) {
+    const expected = compileAccessor(value.field);
+    const fn = OPERATORS[op];
+    compare = (input) => fn(actual(input), expected(input));
+  } else {
+    const fn = compileComparison(op, value);
+    compare = (input) => fn(actual(input));
+  }
+
+  return {
+    leaves: [{ path, field, op }],
+    test(input, trace) {
+      let result;
+      try {
+        result = compare(input);
+      } catch (error) {
+        console.warn(`[RuleEngine] Error evaluating condition: ${error.message}`);
+        result = false;
+      }
+
+      trace?.push({ path, field, op, result });
+      return result;
+    },
+  };
+}
+
+/**
+ * Compile a condition tree → { test(input, trace), leaves }
+ */
+export function compileCondition(condition, path = "condition") {
+  if (!condition.operator) return compileLeaf(condition, path);
+
+  const operands = condition.operands.map((operand, i) =>
+    compileCondition(operand, `${path}.operands[${i}]`)
+  );
+  const leaves = operands.flatMap((operand) => operand.leaves);
+  const count = operands.length;
+
+  // Skipped-leaf trace entries after each operand, built once (read-only)
+  const skippedAfter = operands.map((_, i) =>
+    operands
+      .slice(i + 1)
+      .flatMap((operand) => operand.leaves)
+      .map((leaf) => Object.freeze({ ...leaf, skipped: true }))
+  );
+  const skipAfter = (i, trace) => {
+    const skipped = skippedAfter[i];
+    for (let j = 0; j < skipped.length; j++) trace.push(skipped[j]);
+  };
+
+  switch (condition.operator) {
+    case "AND":
+      return {
+        leaves,
+        test(input, trace) {
+          for (let i = 0; i < count; i++) {
+            if (!operands[i].test(input, trace)) {
+              if (trace) skipAfter(i, trace);
+              return false;
+            }
+          }
+          return true;
+        },
+      };
+
+    case "OR":
+      return {
+        leaves,
+        test(input, trace) {
+          for (let i = 0; i < count; i++) {
+            if (operands[i].test(input, trace)) {
+              if (trace) skipAfter(i, trace);
+              return true;
+            }
+          }
+          return false;
+        },
+      };
+
+    case "NOT":
+      return { leaves, test: (input, trace) => !operands[0].test(input, trace) };
+
+    default: {
+      // AT_LEAST
+      const needed = condition.count;
+      return {
+        leaves,
+        test(input, trace) {
+          let matched = 0;
+          for (let i = 0; i < count; i++) {
+            if (operands[i].test(input, trace)) matched++;
+
+            if (matched >= needed || matched + (count - i - 1) < needed) {
+              if (trace) skipAfter(i, trace);
+              return matched >= needed;
+            }
+          }
+          return false;
+        },
+      };
+    }
+  }
+}
+
+/**
+ * Fields that must be present (not undefined) for a condition to match
+ * Conservative: NOT and AT_LEAST require nothing, OR only what every
+ * branch requires
+ */
+export function requiredFields(condition) {
+  if (!condition.operator) {
+    const { field, op, value } = condition;
+    const tolerant =
+      MISSING_TOLERANT_OPERATORS.includes(op) || (op === "eq" && isFieldRef(value));
+    return tolerant ? [] : [field];
+  }
+
+  switch (condition.operator) {
+    case "AND":
+      return [...new Set(condition.operands.flatMap(requiredFields))];
+    case "OR": {
+      const [first, ...rest] = condition.operands.map(requiredFields);
+      return first.filter((field) => rest.every((fields) => fields.includes(field)));
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Compile a rule → { rule, test(input, trace), requiredFields }
+ */
+export function compileRule(rule) {
+  const { test } = compileCondition(rule.condition);
+  return { rule, test, requiredFields: requiredFields(rule.condition) };
+}
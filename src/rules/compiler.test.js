@@ -0,0 +1,169 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileAccessor, compileCondition, requiredFields } from "./compiler.js";
+import { RuleEngine } from "./engine.js";
+
+// Deterministic PRNG so failures are reproducible
+function prng(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const random = prng(7);
+const int = (max) => Math.floor(random() * max);
+const pick = (list) => list[int(list.length)];
+
+const FIELDS = ["a", "b", "c", "d", "e"];
+
+function leaf() {
+  const field = `signals.${pick(FIELDS)}`;
+  return pick([
+    () => ({ field, op: "gte", value: int(10) }),
+    () => ({ field, op: "lt", value: int(10) }),
+    () => ({ field, op: "eq", value: int(10) }),
+    () => ({ field, op: "neq", value: int(10) }),
+    () => ({ field, op: "between", value: [3, 7] }),
+    () => ({ field, op: "in", value: [1, 2, 3] }),
+    () => ({ field, op: "nin", value: [1, 2, 3] }),
+    () => ({ field, op: "exists", value: random() < 0.5 }),
+    () => ({ field: "request.tags", op: "any", value: ["x", "y"] }),
+    () => ({ field: "request.tags", op: "all", value: { op: "regex", value: "^[a-x]$" } }),
+    () => ({ field: "request.ip", op: "cidr", value: ["10.0.0.0/8"] }),
+    () => ({ field: "request.email", op: "iendsWith", value: "@example.com" }),
+    () => ({ field, op: "gt", value: { field: `signals.${pick(FIELDS)}` } }),
+    () => ({ field, op: "eq", value: { field: `signals.${pick(FIELDS)}` } }),
+  ])();
+}
+
+function condition(depth = 0) {
+  if (depth >= 3 || random() < 0.35) return leaf();
+
+  const operands = Array.from({ length: 1 + int(3) }, () => condition(depth + 1));
+  const operator = pick(["AND", "OR", "NOT", "AT_LEAST"]);
+  if (operator === "NOT") return { operator, operands: [operands[0]] };
+  if (operator === "AT_LEAST") return { operator, count: 1 + int(operands.length), operands };
+  return { operator, operands };
+}
+
+function input() {
+  const signals = {};
+  for (const field of FIELDS) {
+    if (random() < 0.7) signals[field] = int(10);
+  }
+  return {
+    request: {
+      tags: random() < 0.8 ? ["x", "y", "z"].filter(() => random() < 0.6) : undefined,
+      ip: pick(["10.1.2.3", "192.168.0.1", "2001:db8::1", undefined]),
+      email: pick(["a@EXAMPLE.com", "b@other.org", undefined]),
+    },
+    signals,
+  };
+}
+
+const ruleset = {
+  version: "1",
+  rules: Array.from({ length: 40 }, (_, i) => ({
+    id: `R${i}`,
+    name: `Rule ${i}`,
+    outcome: pick(["SAFE_DENY", "SAFE_ALLOW", "GREY_ZONE"]),
+    priority: int(100),
+    condition: condition(),
+  })),
+};
+const inputs = Array.from({ length: 200 }, input);
+
+test("compiled conditions match the interpreter, trace included", () => {
+  const engine = RuleEngine.fromSource(ruleset);
+
+  for (const rule of ruleset.rules) {
+    const compiled = compileCondition(rule.condition);
+    for (const sample of inputs) {
+      const expectedTrace = [];
+      const actualTrace = [];
+      const expected = engine.evaluateCondition(rule.condition, sample, expectedTrace);
+      const actual = compiled.test(sample, actualTrace);
+
+      assert.equal(actual, expected, `${rule.id} on ${JSON.stringify(sample)}`);
+      assert.deepEqual(actualTrace, expectedTrace, rule.id);
+    }
+  }
+});
+
+test("the field index never changes the decision", () => {
+  const plain = RuleEngine.fromSource(ruleset);
+  const indexed = RuleEngine.fromSource(ruleset, { fieldIndex: true });
+  let skipped = 0;
+
+  for (const sample of inputs) {
+    const expected = plain.evaluate(sample);
+    const actual = indexed.evaluate(sample);
+
+    assert.equal(actual.outcome, expected.outcome);
+    assert.deepEqual(actual.matchedRule, expected.matchedRule);
+    assert.deepEqual(
+      actual.evaluationPath.map((e) => [e.ruleId, e.matched]),
+      expected.evaluationPath.map((e) => [e.ruleId, e.matched])
+    );
+    skipped += actual.evaluationPath.filter((e) => e.missingFields).length;
+  }
+
+  // The generated inputs leave fields out often enough to exercise the index
+  assert.ok(skipped > 0);
+});
+
+test("rules skipped by the field index list their missing fields", () => {
+  const engine = RuleEngine.fromSource(
+    {
+      version: "1",
+      rules: [
+        {
+          id: "NEEDS_A",
+          name: "Needs a",
+          outcome: "SAFE_DENY",
+          condition: {
+            operator: "AND",
+            operands: [
+              { field: "signals.a", op: "gte", value: 1 },
+              { field: "signals.b", op: "neq", value: 1 },
+            ],
+          },
+        },
+      ],
+    },
+    { fieldIndex: true }
+  );
+
+  const [entry] = engine.evaluate({ signals: {} }).evaluationPath;
+  assert.deepEqual(entry, {
+    ruleId: "NEEDS_A",
+    ruleName: "Needs a",
+    matched: false,
+    missingFields: ["signals.a"],
+    conditions: [],
+  });
+  assert.equal(engine.getMetadata().fieldIndex, 1);
+});
+
+test("requiredFields only lists fields a match cannot do without", () => {
+  const a = { field: "a", op: "gte", value: 1 };
+  const b = { field: "b", op: "eq", value: 1 };
+
+  assert.deepEqual(requiredFields({ operator: "AND", operands: [a, b, a] }), ["a", "b"]);
+  assert.deepEqual(requiredFields({ operator: "OR", operands: [a, { operator: "AND", operands: [a, b] }] }), ["a"]);
+  assert.deepEqual(requiredFields({ operator: "NOT", operands: [a] }), []);
+  assert.deepEqual(requiredFields({ operator: "AT_LEAST", count: 2, operands: [a, b] }), []);
+  assert.deepEqual(requiredFields({ field: "a", op: "nin", value: [1] }), []);
+  assert.deepEqual(requiredFields({ field: "a", op: "eq", value: { field: "b" } }), []);
+});
+
+test("compileAccessor follows getValue semantics", () => {
+  const get = compileAccessor("a.b.c");
+  assert.equal(get({ a: { b: { c: 0 } } }), 0);
+  assert.equal(get({ a: { b: null } }), undefined);
+  assert.equal(get({}), undefined);
+  assert.equal(get(null), undefined);
+});
@@ -7,14 +7,30 @@
  * 1. Rules are loaded from YAML for easy configuration without code changes
  * 2. Rules are sorted by priority (highest first) for predictable evaluation
  * 3. First matching rule wins - order matters for performance
- * 4. Supports nested AND/OR conditions for complex logic
+ *    (or, in score mode, matching rules add up points; SAFE_DENY rules
+ *    stay absolute)
+ * 4. Supports nested AND/OR/NOT/AT_LEAST conditions for complex logic
  * 5. Unknown fields or missing values fail gracefully (no match)
+ * 6. Rulesets are schema-validated on load - invalid files are rejected
+ *    as a whole (see validator.js), never partially loaded
+ * 7. Validated rules are compiled into predicates on load (see
+ *    compiler.js); evaluateCondition stays as the interpreted reference
+ * 8. Optional field index: rules whose required fields are absent from
+ *    the input are skipped without evaluating their conditions
  *
  * ============================================================================
  */
 
 import fs from "fs";
+import { createHash } from "crypto";
 import yaml from "js-yaml";
+import { OPERATORS, isFieldRef } from "./operators.js";
+import { compileRule, compileAccessor } from "./compiler.js";
+import { getValue } from "./path.js";
+import { canonicalJson } from "./canonical.js";
+import { assessRuleRisk } from "./risk.js";
+import { explainEvaluation } from "./explain.js";
+import { validateRuleset, RuleValidationError } from "./validator.js";
 
 // Decision outcomes - these are the only valid outcomes
 export const OUTCOMES = {
@@ -23,41 +39,21 @@ export const OUTCOMES = {
   GREY_ZONE: "GREY_ZONE",
 };
 
-// Supported comparison operators
-const OPERATORS = {
-  eq: (a, b) => a === b,
-  neq: (a, b) => a !== b,
-  gt: (a, b) => a > b,
-  gte: (a, b) => a >= b,
-  lt: (a, b) => a < b,
-  lte: (a, b) => a <= b,
-  in: (a, b) => Array.isArray(b) && b.includes(a),
-  nin: (a, b) => Array.isArray(b) && !b.includes(a),
-  // exists: (a, b) => b ? a !== undefined : a === undefined,
-  exists: (a, b) => {
-    const exists = a !== undefined && a !== null;
-    return b === true ? exists : !exists;
-  },
-  // regex: (a, b) => new RegExp(b).test(String(a)),
-  regex: (a, b) => {
-    try {
-      return new RegExp(b).test(String(a));
-    } catch {
-      return false;
-    }
-  },
-};
-
 /**
  * RuleEngine class - evaluates requests against configured rules
  */
 export class RuleEngine {
-  constructor(configPath) {
+  constructor(configPath, options = {}) {
     this.configPath = configPath;
+    this.useFieldIndex = options.fieldIndex || false;
     this.rules = [];
+    this.compiledRules = [];
+    this.fieldIndex = null;
     this.defaults = {};
+    this.evaluation = { mode: "first_match" };
     this.aiConfig = {};
     this.metadata = {};
+    this.contentHash = null;
   }
 
   /**
@@ -67,28 +63,7 @@ export class RuleEngine {
   loadRules() {
     try {
       const configContent = fs.readFileSync(this.configPath, "utf8");
-      const config = yaml.load(configContent);
-
-      // Extract and sort rules by priority (descending)
-      // this.rules = (config.rules || [])
-      //   .filter((rule) => rule.enabled !== false)
-      //   .sort((a, b) => (b.priority || 0) - (a.priority || 0));
-
-      this.rules = (config.rules || [])
-        .filter(
-          (rule) =>
-            rule.id &&
-            rule.condition &&
-            Object.values(OUTCOMES).includes(rule.outcome) &&
-            rule.enabled !== false
-        )
-        .sort((a, b) => (b.priority || 0) - (a.priority || 0));
-
-      this.defaults = config.defaults || {
-        no_match_outcome: OUTCOMES.GREY_ZONE,
-      };
-      this.aiConfig = config.ai_config || {};
-      this.metadata = config.metadata || {};
+      this.loadFromString(configContent);
 
       console.log(
         `[RuleEngine] Loaded ${this.rules.length} active rules from ${this.configPath}`
@@ -96,46 +71,150 @@ export class RuleEngine {
       return true;
     } catch (error) {
       console.error(`[RuleEngine] Failed to load rules: ${error.message}`);
+      (error.errors || []).forEach((e) =>
+        console.error(
+          `[RuleEngine]   ${e.path}${e.ruleId ? ` (${e.ruleId})` : ""}: ${e.message}`
+        )
+      );
       throw error;
     }
   }
 
+  /**
+   * Load rules from raw YAML text (JSON is valid YAML too)
+   * Used by loadRules() and for dry-run of candidate rulesets
+   */
+  loadFromString(configContent) {
+    const config = yaml.load(configContent);
+    return this.loadFromConfig(config);
+  }
+
+  /**
+   * Load rules from an already-parsed configuration object
+   */
+  loadFromConfig(config) {
+    const validation = validateRuleset(config);
+    if (!validation.valid) {
+      throw new RuleValidationError(validation.errors);
+    }
+
+    // Extract and sort rules by priority (descending)
+    this.rules = (config.rules || [])
+      .filter((rule) => rule.enabled !== false)
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    this.compiledRules = this.rules.map(compileRule);
+    this.fieldIndex = this.useFieldIndex ? buildFieldIndex(this.compiledRules) : null;
+
+    this.defaults = config.defaults || {
+      no_match_outcome: OUTCOMES.GREY_ZONE,
+    };
+    this.evaluation = config.evaluation || { mode: "first_match" };
+    this.aiConfig = config.ai_config || {};
+    this.metadata = config.metadata || {};
+    // Hash of the parsed config with sorted keys: the same ruleset gets the
+    // same hash whether it came from a file, YAML text or an object
+    this.contentHash = createHash("sha256")
+      .update(canonicalJson(config))
+      .digest("hex");
+    return true;
+  }
+
+  /**
+   * Build a standalone engine from YAML/JSON text or a parsed object
+   * Nothing is read from disk - used for dry-run evaluation
+   */
+  static fromSource(source, options = {}) {
+    const engine = new RuleEngine(null, options);
+    if (typeof source === "string") {
+      engine.loadFromString(source);
+    } else {
+      engine.loadFromConfig(source);
+    }
+    return engine;
+  }
+
   /**
    * Get nested value from object using dot notation
    * Example: getValue({a: {b: 1}}, 'a.b') => 1
+   * Shared with the AI prompt builder (see path.js)
    */
   getValue(obj, path) {
-    return path.split(".").reduce((current, key) => {
-      return current && current[key] !== undefined ? current[key] : undefined;
-    }, obj);
+    return getValue(obj, path);
   }
 
   /**
    * Evaluate a single condition against input data
    * Returns true if condition matches, false otherwise
+   *
+   * Compound operators short-circuit: AND stops at the first false operand,
+   * OR at the first true one, AT_LEAST once the count is reached or can no
+   * longer be reached. When a trace array is given, every leaf is recorded
+   * as { path, field, op, result } or { path, field, op, skipped: true }.
    */
-  evaluateCondition(condition, input) {
-    // Handle compound conditions (AND/OR)
+  evaluateCondition(condition, input, trace = null, path = "condition") {
+    // Handle compound conditions (AND/OR/NOT/AT_LEAST)
     if (condition.operator) {
       if (!Array.isArray(condition.operands)) {
         return false;
       }
-      const results = condition.operands.map((op) =>
-        this.evaluateCondition(op, input)
-      );
+      const operands = condition.operands;
+      const evaluateOperand = (i) =>
+        this.evaluateCondition(operands[i], input, trace, `${path}.operands[${i}]`);
+      const skipFrom = (start) => {
+        if (!trace) return;
+        for (let i = start; i < operands.length; i++) {
+          traceSkipped(operands[i], `${path}.operands[${i}]`, trace);
+        }
+      };
+
+      switch (condition.operator) {
+        case "AND":
+          for (let i = 0; i < operands.length; i++) {
+            if (!evaluateOperand(i)) {
+              skipFrom(i + 1);
+              return false;
+            }
+          }
+          return true;
+
+        case "OR":
+          for (let i = 0; i < operands.length; i++) {
+            if (evaluateOperand(i)) {
+              skipFrom(i + 1);
+              return true;
+            }
+          }
+          return false;
+
+        case "NOT":
+          return operands.length === 1 && !evaluateOperand(0);
 
-      if (condition.operator === "AND") {
-        return results.every((r) => r === true);
-      } else if (condition.operator === "OR") {
-        return results.some((r) => r === true);
+        case "AT_LEAST": {
+          let matched = 0;
+          for (let i = 0; i < operands.length; i++) {
+            if (evaluateOperand(i)) matched++;
+
+            const remaining = operands.length - i - 1;
+            if (matched >= condition.count || matched + remaining < condition.count) {
+              skipFrom(i + 1);
+              return matched >= condition.count;
+            }
+          }
+          return false;
+        }
+
+        default:
+          return false;
       }
-      return false;
     }
 
     // Handle simple field comparison
     const { field, op, value } = condition;
     const actualValue = this.getValue(input, field);
 
+    // Field-to-field comparison: { field: "signals.daily_limit" }
+    const expectedValue = isFieldRef(value) ? this.getValue(input, value.field) : value;
+
     // Get comparison function
     const compareFn = OPERATORS[op];
     if (!compareFn) {
@@ -143,17 +222,24 @@ export class RuleEngine {
       return false;
     }
 
+    let result;
     try {
-      return compareFn(actualValue, value);
+      result = compareFn(actualValue, expectedValue);
     } catch (error) {
       console.warn(`[RuleEngine] Error evaluating condition: ${error.message}`);
-      return false;
+      result = false;
     }
+
+    trace?.push({ path, field, op, result });
+    return result;
   }
 
   /**
    * Main evaluation method - processes input against all rules
-   * Returns: { outcome, matchedRule, evaluationPath }
+   * Returns: { outcome, matchedRule, aiPolicy, promptTemplate, aiMode, evaluationPath }
+   * aiPolicy: ai_policy of the matched GREY_ZONE rule, or
+   * defaults.no_match_ai_policy when nothing matched
+   * evaluation.mode "score" sums rule points instead (see evaluateScore)
    */
   evaluate(input) {
     const startTime = Date.now();
@@ -169,27 +255,18 @@ export class RuleEngine {
       };
     }
 
-    // Evaluate rules in priority order
-    for (const rule of this.rules) {
-      const matches = this.evaluateCondition(rule.condition, input);
+    // Field index: resolve each indexed field once per request
+    const absent = this.fieldIndex ? this.fieldIndex.absentFields(input) : null;
+    const run = (compiled) => this.runRule(compiled, input, absent, evaluationPath);
 
-      evaluationPath.push({
-        ruleId: rule.id,
-        ruleName: rule.name,
-        matched: matches,
-      });
+    if (this.evaluation.mode === "score") {
+      return this.evaluateScore(input, run, evaluationPath, startTime);
+    }
 
-      if (matches) {
-        return {
-          outcome: rule.outcome,
-          matchedRule: {
-            id: rule.id,
-            name: rule.name,
-            priority: rule.priority,
-          },
-          evaluationPath,
-          evaluationTimeMs: Date.now() - startTime,
-        };
+    // Evaluate rules in priority order
+    for (const compiled of this.compiledRules) {
+      if (run(compiled)) {
+        return this.matchResult(compiled.rule, evaluationPath, startTime);
       }
     }
 
@@ -197,6 +274,107 @@ export class RuleEngine {
     return {
       outcome: this.defaults.no_match_outcome,
       matchedRule: null,
+      aiPolicy: this.defaults.no_match_ai_policy || null,
+      promptTemplate: null,
+      aiMode: null,
+      evaluationPath,
+      evaluationTimeMs: Date.now() - startTime,
+    };
+  }
+
+  /**
+   * Score mode: SAFE_DENY rules still short-circuit in priority order;
+   * every other matching rule adds its points, and the total falls into
+   * a band that gives the outcome
+   * Adds: score { value, band, contributions: [{ ruleId, ruleName, points }] }
+   */
+  evaluateScore(input, run, evaluationPath, startTime) {
+    const denyRules = this.compiledRules.filter((c) => c.rule.outcome === OUTCOMES.SAFE_DENY);
+    for (const compiled of denyRules) {
+      if (run(compiled)) {
+        return { ...this.matchResult(compiled.rule, evaluationPath, startTime), score: null };
+      }
+    }
+
+    const contributions = [];
+    for (const compiled of this.compiledRules) {
+      if (compiled.rule.points === undefined) continue;
+      if (run(compiled)) {
+        contributions.push({
+          ruleId: compiled.rule.id,
+          ruleName: compiled.rule.name,
+          points: compiled.rule.points,
+        });
+      }
+    }
+
+    const value = contributions.reduce((sum, c) => sum + c.points, 0);
+    const bands = this.evaluation.bands;
+    const index = bands.findIndex((band) => band.below === undefined || value < band.below);
+    const band = bands[index];
+
+    return {
+      outcome: band.outcome,
+      matchedRule: null,
+      aiPolicy:
+        band.outcome === OUTCOMES.GREY_ZONE
+          ? band.ai_policy || this.defaults.no_match_ai_policy || null
+          : null,
+      promptTemplate: null,
+      aiMode: null,
+      score: {
+        value,
+        band: { index, below: band.below ?? null, outcome: band.outcome },
+        contributions,
+      },
+      evaluationPath,
+      evaluationTimeMs: Date.now() - startTime,
+    };
+  }
+
+  /**
+   * Run one compiled rule and record it on the evaluation path
+   * Rules whose required fields are absent (field index) are skipped
+   */
+  runRule({ rule, test, requiredFields }, input, absent, evaluationPath) {
+    const missingFields = absent ? requiredFields.filter((f) => absent.has(f)) : [];
+    if (missingFields.length > 0) {
+      evaluationPath.push({
+        ruleId: rule.id,
+        ruleName: rule.name,
+        matched: false,
+        missingFields,
+        conditions: [],
+      });
+      return false;
+    }
+
+    const conditions = [];
+    const matches = test(input, conditions);
+
+    evaluationPath.push({
+      ruleId: rule.id,
+      ruleName: rule.name,
+      matched: matches,
+      conditions,
+    });
+    return matches;
+  }
+
+  /**
+   * Result for a rule that decided the outcome
+   */
+  matchResult(rule, evaluationPath, startTime) {
+    return {
+      outcome: rule.outcome,
+      matchedRule: {
+        id: rule.id,
+        name: rule.name,
+        priority: rule.priority,
+      },
+      aiPolicy: rule.outcome === OUTCOMES.GREY_ZONE ? rule.ai_policy || null : null,
+      promptTemplate: rule.prompt_template || null,
+      aiMode: rule.ai_mode || null,
       evaluationPath,
       evaluationTimeMs: Date.now() - startTime,
     };
@@ -209,6 +387,22 @@ export class RuleEngine {
     return this.aiConfig;
   }
 
+  /**
+   * Rule-derived risk evidence for weighted AI scoring (see risk.js)
+   */
+  assessRisk(input, ruleResult) {
+    return assessRuleRisk(this.rules, input, ruleResult, {
+      proximityWeight: this.aiConfig?.proximity_weight,
+    });
+  }
+
+  /**
+   * Full condition trees for every rule on the evaluation path (see explain.js)
+   */
+  explain(input, ruleResult) {
+    return explainEvaluation(this.rules, input, ruleResult);
+  }
+
   /**
    * Get all loaded rules (for debugging/admin endpoints)
    */
@@ -216,7 +410,8 @@ export class RuleEngine {
     return this.rules.map((r) => ({
       id: r.id,
       name: r.name,
-      outcome: r.outcome,
+      outcome: r.outcome ?? null,
+      points: r.points ?? null,
       priority: r.priority,
       enabled: r.enabled !== false,
     }));
@@ -230,6 +425,41 @@ export class RuleEngine {
       ...this.metadata,
       rulesCount: this.rules.length,
       defaultOutcome: this.defaults.no_match_outcome,
+      evaluationMode: this.evaluation.mode || "first_match",
+      fieldIndex: this.fieldIndex ? this.fieldIndex.fields.length : null,
     };
   }
 }
+
+/**
+ * Index of every field some rule requires
+ * absentFields(input) → Set of those fields missing from the input
+ */
+function buildFieldIndex(compiledRules) {
+  const fields = [...new Set(compiledRules.flatMap((r) => r.requiredFields))];
+  const accessors = fields.map((field) => [field, compileAccessor(field)]);
+
+  return {
+    fields,
+    absentFields(input) {
+      const absent = new Set();
+      for (const [field, get] of accessors) {
+        if (get(input) === undefined) absent.add(field);
+      }
+      return absent;
+    },
+  };
+}
+
+/**
+ * Record every leaf under a condition as skipped (short-circuited)
+ */
+function traceSkipped(condition, path, trace) {
+  if (condition?.operator) {
+    (condition.operands || []).forEach((operand, i) =>
+      traceSkipped(operand, `${path}.operands[${i}]`, trace)
+    );
+    return;
+  }
+  trace.push({ path, field: condition?.field, op: condition?.op, skipped: true });
+}
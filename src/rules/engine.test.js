@@ -0,0 +1,257 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import yaml from "js-yaml";
+import { RuleEngine } from "./engine.js";
+
+const RULESET_YAML = `
+# comments and formatting do not change the hash
+version: "1.0"
+rules:
+  - id: "DENY_1"
+    name: "High risk"
+    condition: { field: "signals.risk_score", op: "gte", value: 90 }
+    outcome: "SAFE_DENY"
+    priority: 100
+defaults:
+  no_match_outcome: "GREY_ZONE"
+`;
+
+test("content hash is the same for YAML text and the parsed object", () => {
+  const fromText = RuleEngine.fromSource(RULESET_YAML);
+  const fromObject = RuleEngine.fromSource(yaml.load(RULESET_YAML));
+  const reordered = RuleEngine.fromSource({
+    defaults: { no_match_outcome: "GREY_ZONE" },
+    rules: yaml.load(RULESET_YAML).rules,
+    version: "1.0",
+  });
+
+  assert.match(fromText.contentHash, /^[0-9a-f]{64}$/);
+  assert.equal(fromObject.contentHash, fromText.contentHash);
+  assert.equal(reordered.contentHash, fromText.contentHash);
+  assert.notEqual(
+    RuleEngine.fromSource(RULESET_YAML.replace("value: 90", "value: 91")).contentHash,
+    fromText.contentHash
+  );
+});
+
+// ----------------------------------------------------------------------------
+// Compound conditions: NOT, AT_LEAST and short-circuiting
+// ----------------------------------------------------------------------------
+
+const gte = (field, value) => ({ field: `signals.${field}`, op: "gte", value });
+const engine = RuleEngine.fromSource(RULESET_YAML);
+
+/**
+ * Evaluate a condition and summarize its trace as "field:result|skipped"
+ */
+function traced(condition, signals) {
+  const trace = [];
+  const result = engine.evaluateCondition(condition, { signals }, trace);
+  return {
+    result,
+    trace: trace.map((t) => `${t.field.slice(8)}:${t.skipped ? "skipped" : t.result}`),
+  };
+}
+
+test("NOT inverts its operand", () => {
+  const condition = { operator: "NOT", operands: [gte("a", 5)] };
+  assert.equal(traced(condition, { a: 1 }).result, true);
+  assert.equal(traced(condition, { a: 9 }).result, false);
+  // A missing field fails its comparison, so NOT of it matches
+  assert.equal(traced(condition, {}).result, true);
+});
+
+test("AT_LEAST matches when count operands match", () => {
+  const condition = {
+    operator: "AT_LEAST",
+    count: 2,
+    operands: [gte("a", 5), gte("b", 5), gte("c", 5)],
+  };
+  assert.equal(traced(condition, { a: 9, b: 1, c: 9 }).result, true);
+  assert.equal(traced(condition, { a: 9, b: 1, c: 1 }).result, false);
+});
+
+test("AND and OR stop at the deciding operand", () => {
+  const operands = [gte("a", 5), gte("b", 5), gte("c", 5)];
+
+  assert.deepEqual(traced({ operator: "AND", operands }, { a: 1, b: 9, c: 9 }), {
+    result: false,
+    trace: ["a:false", "b:skipped", "c:skipped"],
+  });
+  assert.deepEqual(traced({ operator: "OR", operands }, { a: 1, b: 9, c: 9 }), {
+    result: true,
+    trace: ["a:false", "b:true", "c:skipped"],
+  });
+});
+
+test("AT_LEAST stops once the count is reached or out of reach", () => {
+  const operands = [gte("a", 5), gte("b", 5), gte("c", 5), gte("d", 5)];
+  const atLeast = (count) => ({ operator: "AT_LEAST", count, operands });
+
+  assert.deepEqual(traced(atLeast(2), { a: 9, b: 9, c: 9, d: 9 }), {
+    result: true,
+    trace: ["a:true", "b:true", "c:skipped", "d:skipped"],
+  });
+  assert.deepEqual(traced(atLeast(3), { a: 1, b: 1, c: 9, d: 9 }), {
+    result: false,
+    trace: ["a:false", "b:false", "c:skipped", "d:skipped"],
+  });
+});
+
+test("skipped subtrees list every leaf, NOT included", () => {
+  const condition = {
+    operator: "AND",
+    operands: [
+      gte("a", 5),
+      { operator: "NOT", operands: [{ operator: "OR", operands: [gte("b", 5), gte("c", 5)] }] },
+    ],
+  };
+  assert.deepEqual(traced(condition, { a: 1 }), {
+    result: false,
+    trace: ["a:false", "b:skipped", "c:skipped"],
+  });
+  assert.deepEqual(traced(condition, { a: 9, b: 1, c: 9 }), {
+    result: false,
+    trace: ["a:true", "b:false", "c:true"],
+  });
+});
+
+// ----------------------------------------------------------------------------
+// Score mode
+// ----------------------------------------------------------------------------
+
+const scored = (id, field, points, priority) => ({
+  id,
+  name: id,
+  points,
+  priority,
+  condition: { field: `signals.${field}`, op: "eq", value: true },
+});
+
+const SCORE_RULESET = {
+  version: "score",
+  evaluation: {
+    mode: "score",
+    bands: [
+      { below: 30, outcome: "SAFE_ALLOW" },
+      { below: 80, outcome: "GREY_ZONE", ai_policy: { allowed_outcomes: ["DENY", "REVIEW"] } },
+      { outcome: "SAFE_DENY" },
+    ],
+  },
+  rules: [
+    {
+      id: "BLACKLISTED",
+      name: "Blacklisted",
+      outcome: "SAFE_DENY",
+      priority: 1000,
+      condition: { field: "signals.blacklisted", op: "eq", value: true },
+    },
+    scored("RISKY", "risky", 40, 100),
+    scored("NEW", "new", 25, 90),
+    scored("LARGE", "large", 30, 80),
+    scored("VERIFIED", "verified", -20, 70),
+  ],
+};
+
+const scoreEngine = RuleEngine.fromSource(SCORE_RULESET);
+const score = (signals) => scoreEngine.evaluate({ signals });
+
+test("score mode sums the points of every matching rule", () => {
+  const result = score({ risky: true, new: true, verified: true });
+
+  assert.equal(result.matchedRule, null);
+  assert.deepEqual(result.score, {
+    value: 45,
+    band: { index: 1, below: 80, outcome: "GREY_ZONE" },
+    contributions: [
+      { ruleId: "RISKY", ruleName: "RISKY", points: 40 },
+      { ruleId: "NEW", ruleName: "NEW", points: 25 },
+      { ruleId: "VERIFIED", ruleName: "VERIFIED", points: -20 },
+    ],
+  });
+  assert.equal(result.outcome, "GREY_ZONE");
+  assert.deepEqual(result.aiPolicy, { allowed_outcomes: ["DENY", "REVIEW"] });
+  // Every rule is evaluated - no first-match short-circuit
+  assert.equal(result.evaluationPath.length, 5);
+});
+
+test("bands: below is exclusive, the last band catches the rest", () => {
+  assert.equal(score({}).outcome, "SAFE_ALLOW");
+  assert.equal(score({}).score.value, 0);
+  assert.equal(score({ verified: true }).score.value, -20);
+  assert.equal(score({ large: true }).score.band.index, 1);
+  assert.equal(score({ risky: true, new: true }).outcome, "GREY_ZONE");
+  assert.deepEqual(score({ risky: true, new: true, large: true }).score.band, {
+    index: 2,
+    below: null,
+    outcome: "SAFE_DENY",
+  });
+  assert.equal(score({ large: true }).aiPolicy.allowed_outcomes.length, 2);
+  assert.equal(score({}).aiPolicy, null);
+});
+
+test("SAFE_DENY rules short-circuit before scoring", () => {
+  const result = score({ blacklisted: true, verified: true });
+
+  assert.equal(result.outcome, "SAFE_DENY");
+  assert.equal(result.matchedRule.id, "BLACKLISTED");
+  assert.equal(result.score, null);
+  assert.deepEqual(result.evaluationPath.map((e) => e.ruleId), ["BLACKLISTED"]);
+});
+
+test("first-match mode is unchanged and carries no score", () => {
+  const result = engine.evaluate({ signals: { risk_score: 95 } });
+  assert.equal(result.matchedRule.id, "DENY_1");
+  assert.equal(result.score, undefined);
+  assert.equal(engine.getMetadata().evaluationMode, "first_match");
+  assert.equal(scoreEngine.getMetadata().evaluationMode, "score");
+});
+
+test("score mode validation", () => {
+  const invalid = (change) => {
+    try {
+      RuleEngine.fromSource(change(structuredClone(SCORE_RULESET)));
+      return [];
+    } catch (error) {
+      return error.errors.map((e) => `${e.path}: ${e.message}`);
+    }
+  };
+
+  assert.deepEqual(
+    invalid((c) => {
+      c.evaluation.bands[1].below = 10;
+      return c;
+    }),
+    ["evaluation.bands[1].below: bands must be in ascending order of below"]
+  );
+  assert.deepEqual(
+    invalid((c) => {
+      c.evaluation.bands[2].below = 100;
+      return c;
+    }),
+    ["evaluation.bands[2].below: the last band takes no below - it catches every higher score"]
+  );
+  assert.deepEqual(
+    invalid((c) => {
+      c.rules[1].outcome = "GREY_ZONE";
+      c.rules[2].points = "25";
+      delete c.rules[3].points;
+      return c;
+    }),
+    [
+      "rules[1].outcome: scoring rules take points instead of an outcome",
+      "rules[2].points: points must be a number",
+      "rules[3].outcome: outcome must be one of SAFE_ALLOW, SAFE_DENY, GREY_ZONE (got undefined)",
+    ]
+  );
+  assert.deepEqual(
+    invalid((c) => {
+      delete c.evaluation;
+      return c;
+    }).slice(0, 2),
+    [
+      "rules[1].outcome: outcome must be one of SAFE_ALLOW, SAFE_DENY, GREY_ZONE (got undefined)",
+      'rules[1].points: points only apply when evaluation.mode is "score"',
+    ]
+  );
+});
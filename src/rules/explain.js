@@ -0,0 +1,170 @@
+/**
+ * ============================================================================
+ * RULE EXPLANATIONS - Condition trees with actual values, plus a sentence
+ * ============================================================================
+ *
+ * Explain mode re-evaluates each rule on the evaluation path without
+ * short-circuiting, so every leaf reports its own result:
+ *
+ *   { field, op, expected, actual, result }            // leaf
+ *   { operator, count?, result, operands: [...] }      // compound
+ *
+ * Field-to-field leaves add expectedField (the field read for expected).
+ *
+ * The sentence names the matched rule and the leaves that decided it (in
+ * score mode: the contributing rules and their points), and for any
+ * SAFE_ALLOW rule checked before it, the leaves that kept it from
+ * matching - "why was this not auto-allowed?" is the common question.
+ * ============================================================================
+ */
+
+import { OPERATORS, isFieldRef } from "./operators.js";
+import { getValue } from "./path.js";
+
+/**
+ * Explain one condition tree against an input
+ */
+export function explainCondition(condition, input) {
+  if (condition.operator) {
+    const operands = condition.operands.map((operand) => explainCondition(operand, input));
+    const matched = operands.filter((o) => o.result).length;
+
+    let result;
+    switch (condition.operator) {
+      case "AND":
+        result = matched === operands.length;
+        break;
+      case "OR":
+        result = matched > 0;
+        break;
+      case "NOT":
+        result = operands.length === 1 && !operands[0].result;
+        break;
+      default:
+        result = matched >= condition.count;
+    }
+
+    return {
+      operator: condition.operator,
+      ...(condition.count !== undefined && { count: condition.count }),
+      result,
+      operands,
+    };
+  }
+
+  const { field, op, value } = condition;
+  const actual = getValue(input, field);
+  const expected = isFieldRef(value) ? getValue(input, value.field) : value;
+
+  let result;
+  try {
+    result = OPERATORS[op](actual, expected);
+  } catch {
+    result = false;
+  }
+
+  return {
+    field,
+    op,
+    expected: expected ?? null,
+    ...(isFieldRef(value) && { expectedField: value.field }),
+    actual: actual ?? null,
+    result,
+  };
+}
+
+/**
+ * Explain every rule on the evaluation path
+ * Returns [{ ruleId, ruleName, outcome, matched, missingFields?, condition }]
+ */
+export function explainEvaluation(rules, input, ruleResult) {
+  const byId = new Map(rules.map((rule) => [rule.id, rule]));
+
+  return (ruleResult.evaluationPath || []).flatMap((entry) => {
+    const rule = byId.get(entry.ruleId);
+    if (!rule) return [];
+
+    return [{
+      ruleId: rule.id,
+      ruleName: rule.name,
+      outcome: rule.outcome,
+      matched: entry.matched,
+      ...(entry.missingFields && { missingFields: entry.missingFields }),
+      condition: explainCondition(rule.condition, input),
+    }];
+  });
+}
+
+// ============================================================================
+// Sentence
+// ============================================================================
+
+const format = (value) => (value === null ? "missing" : JSON.stringify(value));
+
+function describeLeaf(leaf) {
+  const expected = leaf.expectedField
+    ? `${leaf.expectedField} (${format(leaf.expected)})`
+    : format(leaf.expected);
+
+  if (leaf.actual === null && !leaf.result) return `${leaf.field} is missing`;
+  return leaf.result
+    ? `${leaf.field} is ${format(leaf.actual)} (${leaf.op} ${expected})`
+    : `${leaf.field} is ${format(leaf.actual)}, not ${leaf.op} ${expected}`;
+}
+
+/**
+ * Leaves that decided a node's result
+ */
+function decidingLeaves(node) {
+  if (!node.operator) return [node];
+
+  const relevant =
+    node.operator === "NOT" ||
+    (node.operator === "AND" && node.result) ||
+    (node.operator === "OR" && !node.result)
+      ? node.operands
+      : node.operands.filter((o) => o.result === node.result);
+
+  return relevant.flatMap(decidingLeaves);
+}
+
+const describeNode = (node) => decidingLeaves(node).map(describeLeaf).join("; ");
+
+/**
+ * Human-readable explanation for decision.explanation
+ */
+export function explainSentence(explanation, ruleResult, decision) {
+  const parts = [];
+  const matched = explanation.find((r) => r.matched);
+
+  // SAFE_ALLOW rules that were checked but did not match
+  if (decision.final !== "ALLOW") {
+    for (const rule of explanation) {
+      if (rule.outcome === "SAFE_ALLOW" && !rule.matched) {
+        parts.push(`Not auto-allowed by ${rule.ruleId}: ${describeNode(rule.condition)}.`);
+      }
+    }
+  }
+
+  if (ruleResult.score) {
+    // Score mode: list the contributing rules and their points
+    const { value, contributions } = ruleResult.score;
+    const listed = contributions
+      .map((c) => `${c.ruleId} (${c.points >= 0 ? "+" : ""}${c.points})`)
+      .join(", ");
+    parts.push(
+      `Score ${value}${listed ? ` from ${listed}` : " - no scoring rule matched"} → ` +
+        `${ruleResult.outcome}.`
+    );
+  } else {
+    parts.push(
+      matched
+        ? `Matched ${matched.ruleId} (${matched.ruleName}) → ${matched.outcome}: ` +
+            `${describeNode(matched.condition)}.`
+        : `No rule matched → ${ruleResult.outcome}.`
+    );
+  }
+
+  parts.push(`Final decision ${decision.final} (${decision.source}).`);
+  return parts.join(" ");
+}
@@ -0,0 +1,185 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import { explainCondition, explainSentence } from "./explain.js";
+import { DecisionService } from "../decisionService.js";
+
+const input = {
+  request: { amount: 500, limit: 300 },
+  signals: { risk_score: 60, is_verified: false },
+};
+
+const leaf = (field, op, value) => ({ field, op, value });
+
+test("explainCondition reports every leaf with actual and expected values", () => {
+  assert.deepEqual(explainCondition(leaf("signals.risk_score", "gte", 40), input), {
+    field: "signals.risk_score",
+    op: "gte",
+    expected: 40,
+    actual: 60,
+    result: true,
+  });
+  assert.deepEqual(explainCondition(leaf("signals.missing", "eq", 1), input), {
+    field: "signals.missing",
+    op: "eq",
+    expected: 1,
+    actual: null,
+    result: false,
+  });
+  assert.deepEqual(
+    explainCondition(leaf("request.amount", "gt", { field: "request.limit" }), input),
+    {
+      field: "request.amount",
+      op: "gt",
+      expected: 300,
+      expectedField: "request.limit",
+      actual: 500,
+      result: true,
+    }
+  );
+});
+
+test("explainCondition evaluates compound nodes without short-circuiting", () => {
+  const failing = leaf("signals.is_verified", "eq", true);
+  const passing = leaf("signals.risk_score", "lt", 95);
+
+  const and = explainCondition({ operator: "AND", operands: [failing, passing] }, input);
+  assert.equal(and.result, false);
+  assert.deepEqual(and.operands.map((o) => o.result), [false, true]);
+
+  const or = explainCondition({ operator: "OR", operands: [passing, failing] }, input);
+  assert.equal(or.result, true);
+  assert.equal(or.operands.length, 2);
+
+  const not = explainCondition({ operator: "NOT", operands: [failing] }, input);
+  assert.equal(not.result, true);
+
+  const atLeast = explainCondition(
+    { operator: "AT_LEAST", count: 2, operands: [passing, failing, passing] },
+    input
+  );
+  assert.equal(atLeast.count, 2);
+  assert.equal(atLeast.result, true);
+});
+
+const explanation = [
+  {
+    ruleId: "ALLOW_001",
+    ruleName: "Verified low risk",
+    outcome: "SAFE_ALLOW",
+    matched: false,
+    condition: explainCondition(
+      {
+        operator: "AND",
+        operands: [
+          leaf("signals.is_verified", "eq", true),
+          leaf("signals.risk_score", "lt", 20),
+        ],
+      },
+      input
+    ),
+  },
+  {
+    ruleId: "GREY_001",
+    ruleName: "Medium risk",
+    outcome: "GREY_ZONE",
+    matched: true,
+    condition: explainCondition(
+      {
+        operator: "OR",
+        operands: [leaf("signals.risk_score", "gte", 40), leaf("signals.missing", "eq", 1)],
+      },
+      input
+    ),
+  },
+];
+
+test("explainSentence names the deciding leaves, the missed allow rule and the decision", () => {
+  const sentence = explainSentence(
+    explanation,
+    { outcome: "GREY_ZONE" },
+    { final: "REVIEW", source: "AI_UNCERTAIN" }
+  );
+
+  assert.equal(
+    sentence,
+    "Not auto-allowed by ALLOW_001: signals.is_verified is false, not eq true; " +
+      "signals.risk_score is 60, not lt 20. " +
+      "Matched GREY_001 (Medium risk) → GREY_ZONE: signals.risk_score is 60 (gte 40). " +
+      "Final decision REVIEW (AI_UNCERTAIN)."
+  );
+});
+
+test("explainSentence covers allowed, unmatched and score-mode results", () => {
+  const allowed = explainSentence(
+    explanation,
+    { outcome: "GREY_ZONE" },
+    { final: "ALLOW", source: "AI_RECOMMENDED" }
+  );
+  assert.doesNotMatch(allowed, /Not auto-allowed/);
+
+  assert.equal(
+    explainSentence([], { outcome: "GREY_ZONE" }, { final: "REVIEW", source: "AI_UNAVAILABLE" }),
+    "No rule matched → GREY_ZONE. Final decision REVIEW (AI_UNAVAILABLE)."
+  );
+
+  const scored = explainSentence(
+    [],
+    {
+      outcome: "SAFE_DENY",
+      score: {
+        value: 80,
+        contributions: [
+          { ruleId: "NEW_SOURCE", points: 50 },
+          { ruleId: "VERIFIED", points: -10 },
+        ],
+      },
+    },
+    { final: "DENY", source: "RULE_ABSOLUTE" }
+  );
+  assert.equal(
+    scored,
+    "Score 80 from NEW_SOURCE (+50), VERIFIED (-10) → SAFE_DENY. " +
+      "Final decision DENY (RULE_ABSOLUTE)."
+  );
+});
+
+const RULES_YAML = `
+version: "1.0"
+rules:
+  - id: "DENY_1"
+    name: "High risk"
+    condition: { field: "signals.risk_score", op: "gte", value: 90 }
+    outcome: "SAFE_DENY"
+    priority: 100
+defaults:
+  no_match_outcome: "GREY_ZONE"
+`;
+
+function createService(config = {}) {
+  const rulesConfigPath = join(fs.mkdtempSync(join(os.tmpdir(), "explain-rules-")), "rules.yaml");
+  fs.writeFileSync(rulesConfigPath, RULES_YAML);
+  return new DecisionService({ version: "v1", rulesConfigPath, ...config });
+}
+
+test("decision.explanation is only present when explain is requested", async () => {
+  const service = createService();
+  const sample = { request: {}, signals: { risk_score: 95 } };
+
+  const plain = await service.decide(sample, "req_plain");
+  assert.equal(plain.decision.explanation, null);
+  assert.equal(plain.ruleEvaluation.explain, null);
+
+  const explained = await service.decide(sample, "req_explain", { explain: true });
+  assert.equal(
+    explained.decision.explanation,
+    "Matched DENY_1 (High risk) → SAFE_DENY: signals.risk_score is 95 (gte 90). " +
+      "Final decision DENY (RULE_ABSOLUTE)."
+  );
+  assert.equal(explained.ruleEvaluation.explain[0].ruleId, "DENY_1");
+
+  const always = await createService({ explainDecisions: true }).decide(sample, "req_always");
+  assert.match(always.decision.explanation, /^Matched DENY_1/);
+});
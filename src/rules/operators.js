@@ -0,0 +1,365 @@
+/**
+ * ============================================================================
+ * RULE OPERATORS - Comparison operators and their value contracts
+ * ============================================================================
+ *
+ * Each operator has:
+ * - fn:       (actualValue, expectedValue) => boolean, used at evaluation
+ * - validate: (expectedValue) => error message | null, used at load time
+ *
+ * Keeping both side by side means an operator cannot be added without
+ * also declaring which rule values it accepts.
+ *
+ * Operators marked fieldRef also accept another field as the expected
+ * value - `value: { field: "signals.daily_limit" }` - which the engine
+ * resolves against the same input before comparing.
+ *
+ * Dates are ISO strings or epoch milliseconds; hours are UTC.
+ * ============================================================================
+ */
+
+import net from "net";
+
+const isScalar = (v) =>
+  v === null || ["string", "number", "boolean"].includes(typeof v);
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * { field: "a.b" } - expected value read from another input field
+ */
+export function isFieldRef(value) {
+  return isPlainObject(value) && Object.hasOwn(value, "field");
+}
+
+// ----------------------------------------------------------------------------
+// Strings
+// ----------------------------------------------------------------------------
+
+const expectsString = (v) => (typeof v === "string" ? null : "expects a string");
+
+function stringOperator(test, ignoreCase = false) {
+  return {
+    fn: (a, b) => {
+      if (typeof a !== "string" || typeof b !== "string") return false;
+      return ignoreCase ? test(a.toLowerCase(), b.toLowerCase()) : test(a, b);
+    },
+    validate: expectsString,
+    fieldRef: true,
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Dates
+// ----------------------------------------------------------------------------
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const DURATION_PATTERN = /^(\d+)(ms|s|m|h|d|w)$/;
+
+/**
+ * "30d" → milliseconds (null when malformed)
+ */
+export function parseDuration(value) {
+  const match = typeof value === "string" ? DURATION_PATTERN.exec(value) : null;
+  return match ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * ISO string or epoch ms → epoch ms (null when not a date)
+ */
+function toTimestamp(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string") return null;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+const expectsDuration = (v) =>
+  parseDuration(v) !== null ? null : 'expects a duration such as "30d", "12h" or "15m"';
+
+const expectsDate = (v) =>
+  toTimestamp(v) !== null ? null : "expects an ISO date string or epoch milliseconds";
+
+function dateOperator(test) {
+  return (a, b) => {
+    const actual = toTimestamp(a);
+    const expected = toTimestamp(b);
+    return actual !== null && expected !== null && test(actual, expected);
+  };
+}
+
+function ageOperator(test) {
+  return (a, b) => {
+    const actual = toTimestamp(a);
+    const duration = parseDuration(b);
+    return actual !== null && duration !== null && test(Date.now() - actual, duration);
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Ranges, arrays, networks
+// ----------------------------------------------------------------------------
+
+const isRange = (v, check) =>
+  Array.isArray(v) && v.length === 2 && v.every(check) && v[0] <= v[1];
+
+const isHour = (v) => Number.isInteger(v) && v >= 0 && v <= 23;
+
+const ARRAY_OPERATORS = ["any", "all", "size"];
+const SIZE_OPERATORS = ["eq", "neq", "gt", "gte", "lt", "lte", "between"];
+
+/**
+ * Element predicate for any/all: an array is shorthand for { op: "in" }
+ */
+function elementPredicate(b) {
+  const { op, value } = Array.isArray(b) ? { op: "in", value: b } : b;
+  const compare = OPERATOR_DEFINITIONS[op].fn;
+  return (element) => compare(element, value);
+}
+
+function validateElementPredicate(v) {
+  if (Array.isArray(v)) return null;
+  if (!isPlainObject(v) || typeof v.op !== "string") {
+    return "expects an array of values or an { op, value } predicate";
+  }
+  if (!Object.hasOwn(OPERATOR_DEFINITIONS, v.op) || ARRAY_OPERATORS.includes(v.op)) {
+    return `predicate has unsupported operator "${v.op}"`;
+  }
+  if (isFieldRef(v.value)) return "predicate does not accept a field reference";
+
+  const error = OPERATOR_DEFINITIONS[v.op].validate(v.value);
+  return error ? `predicate ${v.op} ${error}` : null;
+}
+
+// Parsed CIDR lists, keyed by their rule value
+const blockLists = new Map();
+
+/**
+ * "10.0.0.0/8" or ["10.0.0.0/8", "2001:db8::/32"] → net.BlockList
+ */
+export function toBlockList(value) {
+  const key = JSON.stringify(value);
+  let list = blockLists.get(key);
+
+  if (!list) {
+    list = new net.BlockList();
+    for (const cidr of [].concat(value)) {
+      const [address, prefix] = cidr.split("/");
+      const type = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+      if (prefix === undefined) list.addAddress(address, type);
+      else list.addSubnet(address, Number(prefix), type);
+    }
+    blockLists.set(key, list);
+  }
+
+  return list;
+}
+
+function validateCidr(cidr) {
+  if (typeof cidr !== "string") return "expects CIDR strings";
+
+  const [address, prefix, ...rest] = cidr.split("/");
+  const family = net.isIP(address);
+  if (family === 0 || rest.length > 0) return `"${cidr}" is not a valid IP or CIDR range`;
+
+  if (prefix !== undefined) {
+    const bits = Number(prefix);
+    const max = family === 6 ? 128 : 32;
+    if (!/^\d+$/.test(prefix) || bits > max) {
+      return `"${cidr}" has an invalid prefix length (0-${max})`;
+    }
+  }
+  return null;
+}
+
+const OPERATOR_DEFINITIONS = {
+  eq: {
+    fn: (a, b) => a === b,
+    validate: (v) => (isScalar(v) ? null : "expects a scalar value"),
+    fieldRef: true,
+  },
+  neq: {
+    fn: (a, b) => a !== b,
+    validate: (v) => (isScalar(v) ? null : "expects a scalar value"),
+    fieldRef: true,
+  },
+  gt: {
+    fn: (a, b) => a > b,
+    validate: (v) => (typeof v === "number" ? null : "expects a number"),
+    fieldRef: true,
+  },
+  gte: {
+    fn: (a, b) => a >= b,
+    validate: (v) => (typeof v === "number" ? null : "expects a number"),
+    fieldRef: true,
+  },
+  lt: {
+    fn: (a, b) => a < b,
+    validate: (v) => (typeof v === "number" ? null : "expects a number"),
+    fieldRef: true,
+  },
+  lte: {
+    fn: (a, b) => a <= b,
+    validate: (v) => (typeof v === "number" ? null : "expects a number"),
+    fieldRef: true,
+  },
+  between: {
+    fn: (a, b) => typeof a === "number" && a >= b[0] && a <= b[1],
+    validate: (v) =>
+      isRange(v, (n) => typeof n === "number") ? null : "expects [min, max] numbers with min <= max",
+  },
+  in: {
+    fn: (a, b) => Array.isArray(b) && b.includes(a),
+    validate: (v) => (Array.isArray(v) ? null : "expects an array"),
+  },
+  nin: {
+    fn: (a, b) => Array.isArray(b) && !b.includes(a),
+    validate: (v) => (Array.isArray(v) ? null : "expects an array"),
+  },
+  // exists: (a, b) => b ? a !== undefined : a === undefined,
+  exists: {
+    fn: (a, b) => {
+      const exists = a !== undefined && a !== null;
+      return b === true ? exists : !exists;
+    },
+    validate: (v) => (typeof v === "boolean" ? null : "expects true or false"),
+  },
+  // regex: (a, b) => new RegExp(b).test(String(a)),
+  regex: {
+    fn: (a, b) => {
+      try {
+        return new RegExp(b).test(String(a));
+      } catch {
+        return false;
+      }
+    },
+    validate: (v) => {
+      if (typeof v !== "string") return "expects a pattern string";
+      try {
+        new RegExp(v);
+        return null;
+      } catch (error) {
+        return `pattern does not compile: ${error.message}`;
+      }
+    },
+  },
+
+  contains: stringOperator((a, b) => a.includes(b)),
+  icontains: stringOperator((a, b) => a.includes(b), true),
+  startsWith: stringOperator((a, b) => a.startsWith(b)),
+  istartsWith: stringOperator((a, b) => a.startsWith(b), true),
+  endsWith: stringOperator((a, b) => a.endsWith(b)),
+  iendsWith: stringOperator((a, b) => a.endsWith(b), true),
+
+  // Arrays: value is a list (element in list) or an { op, value } predicate
+  any: {
+    fn: (a, b) => Array.isArray(a) && a.some(elementPredicate(b)),
+    validate: validateElementPredicate,
+  },
+  all: {
+    fn: (a, b) => Array.isArray(a) && a.length > 0 && a.every(elementPredicate(b)),
+    validate: validateElementPredicate,
+  },
+  // size: 3 (exact) or { op: "gte", value: 2 }
+  size: {
+    fn: (a, b) => {
+      if (!Array.isArray(a) && typeof a !== "string") return false;
+      const { op, value } = typeof b === "number" ? { op: "eq", value: b } : b;
+      return OPERATOR_DEFINITIONS[op].fn(a.length, value);
+    },
+    validate: (v) => {
+      if (Number.isInteger(v) && v >= 0) return null;
+      if (!isPlainObject(v) || !SIZE_OPERATORS.includes(v.op)) {
+        return `expects a length or { op, value } with op one of ${SIZE_OPERATORS.join(", ")}`;
+      }
+      const error = OPERATOR_DEFINITIONS[v.op].validate(v.value);
+      return error ? `predicate ${v.op} ${error}` : null;
+    },
+  },
+
+  // Dates: age of the field value relative to now
+  olderThan: {
+    fn: ageOperator((age, duration) => age > duration),
+    validate: expectsDuration,
+  },
+  newerThan: {
+    fn: ageOperator((age, duration) => age >= 0 && age < duration),
+    validate: expectsDuration,
+  },
+  before: {
+    fn: dateOperator((a, b) => a < b),
+    validate: expectsDate,
+    fieldRef: true,
+  },
+  after: {
+    fn: dateOperator((a, b) => a > b),
+    validate: expectsDate,
+    fieldRef: true,
+  },
+  // [start, end) in UTC hours; wraps past midnight when start > end
+  hourBetween: {
+    fn: (a, b) => {
+      const timestamp = toTimestamp(a);
+      if (timestamp === null) return false;
+      const hour = new Date(timestamp).getUTCHours();
+      return b[0] <= b[1] ? hour >= b[0] && hour < b[1] : hour >= b[0] || hour < b[1];
+    },
+    validate: (v) => {
+      if (!(Array.isArray(v) && v.length === 2 && v.every(isHour))) {
+        return "expects [startHour, endHour] integers between 0 and 23";
+      }
+      // [h, h) is empty - the rule could never match
+      return v[0] === v[1] ? "expects different start and end hours" : null;
+    },
+  },
+
+  // Networks: IP inside any of the listed CIDR ranges
+  cidr: {
+    fn: (a, b) => {
+      const family = typeof a === "string" ? net.isIP(a) : 0;
+      if (family === 0) return false;
+      return toBlockList(b).check(a, family === 6 ? "ipv6" : "ipv4");
+    },
+    validate: (v) => {
+      const ranges = [].concat(v);
+      if (ranges.length === 0) return "expects a CIDR string or array of CIDR strings";
+      for (const range of ranges) {
+        const error = validateCidr(range);
+        if (error) return error;
+      }
+      return null;
+    },
+  },
+};
+
+// Supported comparison operators
+export const OPERATORS = Object.fromEntries(
+  Object.entries(OPERATOR_DEFINITIONS).map(([name, def]) => [name, def.fn])
+);
+
+/**
+ * Check whether an operator name is supported
+ */
+export function isKnownOperator(op) {
+  return Object.hasOwn(OPERATOR_DEFINITIONS, op);
+}
+
+/**
+ * Validate the configured value for an operator
+ * Returns an error message, or null if the value is acceptable
+ */
+export function validateOperatorValue(op, value) {
+  const definition = OPERATOR_DEFINITIONS[op];
+
+  if (isFieldRef(value)) {
+    if (!definition.fieldRef) return "does not accept a field reference";
+    if (typeof value.field !== "string" || value.field.trim() === "") {
+      return "field reference must be { field: <non-empty dot-path> }";
+    }
+    if (Object.keys(value).length > 1) return "field reference only takes field";
+    return null;
+  }
+
+  return definition.validate(value);
+}
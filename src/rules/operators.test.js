@@ -0,0 +1,154 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  OPERATORS,
+  isKnownOperator,
+  validateOperatorValue,
+  parseDuration,
+} from "./operators.js";
+import { RuleEngine } from "./engine.js";
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+test("comparison operators", () => {
+  assert.equal(OPERATORS.eq(1, 1), true);
+  assert.equal(OPERATORS.eq(1, "1"), false);
+  assert.equal(OPERATORS.neq(undefined, 1), true);
+  assert.equal(OPERATORS.gt(2, 1), true);
+  assert.equal(OPERATORS.gte(1, 1), true);
+  assert.equal(OPERATORS.lt(1, 1), false);
+  assert.equal(OPERATORS.lte(1, 1), true);
+  assert.equal(OPERATORS.in("a", ["a", "b"]), true);
+  assert.equal(OPERATORS.nin("c", ["a", "b"]), true);
+  assert.equal(OPERATORS.exists(null, true), false);
+  assert.equal(OPERATORS.exists(undefined, false), true);
+  assert.equal(OPERATORS.regex("REF-12", "^REF-\\d+$"), true);
+});
+
+test("string operators", () => {
+  assert.equal(OPERATORS.contains("hello world", "lo w"), true);
+  assert.equal(OPERATORS.contains("Hello", "hello"), false);
+  assert.equal(OPERATORS.icontains("Hello", "hELLo"), true);
+  assert.equal(OPERATORS.startsWith("prefix-x", "prefix"), true);
+  assert.equal(OPERATORS.istartsWith("PREFIX-x", "prefix"), true);
+  assert.equal(OPERATORS.endsWith("a@example.com", "@example.com"), true);
+  assert.equal(OPERATORS.iendsWith("a@EXAMPLE.com", "@example.com"), true);
+  assert.equal(OPERATORS.contains(42, "4"), false);
+});
+
+test("range and array operators", () => {
+  assert.equal(OPERATORS.between(5, [1, 5]), true);
+  assert.equal(OPERATORS.between(6, [1, 5]), false);
+  assert.equal(OPERATORS.between("3", [1, 5]), false);
+
+  assert.equal(OPERATORS.any(["a", "x"], ["x", "y"]), true);
+  assert.equal(OPERATORS.any([1, 2], { op: "gte", value: 2 }), true);
+  assert.equal(OPERATORS.all(["x", "y"], ["x", "y", "z"]), true);
+  assert.equal(OPERATORS.all([], ["x"]), false);
+  assert.equal(OPERATORS.all([1, 5], { op: "between", value: [1, 4] }), false);
+  assert.equal(OPERATORS.any("x", ["x"]), false);
+
+  assert.equal(OPERATORS.size([1, 2, 3], 3), true);
+  assert.equal(OPERATORS.size("abcd", { op: "gt", value: 3 }), true);
+  assert.equal(OPERATORS.size(null, 0), false);
+});
+
+test("date operators", () => {
+  const now = Date.now();
+  assert.equal(OPERATORS.olderThan(new Date(now - 2 * DAY).toISOString(), "1d"), true);
+  assert.equal(OPERATORS.olderThan(now - HOUR, "1d"), false);
+  assert.equal(OPERATORS.newerThan(now - HOUR, "2h"), true);
+  assert.equal(OPERATORS.newerThan(now + HOUR, "2h"), false);
+  assert.equal(OPERATORS.newerThan("not a date", "2h"), false);
+
+  assert.equal(OPERATORS.before("2024-01-01T00:00:00Z", "2024-06-01"), true);
+  assert.equal(OPERATORS.after(Date.parse("2024-07-01"), "2024-06-01"), true);
+
+  assert.equal(OPERATORS.hourBetween("2024-01-01T09:30:00Z", [9, 17]), true);
+  assert.equal(OPERATORS.hourBetween("2024-01-01T17:00:00Z", [9, 17]), false);
+  assert.equal(OPERATORS.hourBetween("2024-01-01T23:00:00Z", [22, 6]), true);
+  assert.equal(OPERATORS.hourBetween("2024-01-01T05:59:00Z", [22, 6]), true);
+  assert.equal(OPERATORS.hourBetween("2024-01-01T12:00:00Z", [22, 6]), false);
+
+  assert.equal(parseDuration("15m"), 15 * 60000);
+  assert.equal(parseDuration("2w"), 14 * DAY);
+  assert.equal(parseDuration("1y"), null);
+});
+
+test("cidr operator", () => {
+  assert.equal(OPERATORS.cidr("10.1.2.3", "10.0.0.0/8"), true);
+  assert.equal(OPERATORS.cidr("11.1.2.3", "10.0.0.0/8"), false);
+  assert.equal(OPERATORS.cidr("2001:db8::1", ["10.0.0.0/8", "2001:db8::/32"]), true);
+  assert.equal(OPERATORS.cidr("192.168.1.7", "192.168.1.7"), true);
+  assert.equal(OPERATORS.cidr("not-an-ip", "10.0.0.0/8"), false);
+  assert.equal(OPERATORS.cidr(undefined, "10.0.0.0/8"), false);
+});
+
+test("validate accepts well-formed values", () => {
+  for (const [op, value] of [
+    ["eq", null],
+    ["between", [1, 1]],
+    ["contains", "x"],
+    ["any", { op: "regex", value: "^a" }],
+    ["size", { op: "between", value: [1, 3] }],
+    ["olderThan", "30d"],
+    ["before", "2024-01-01"],
+    ["after", 1700000000000],
+    ["hourBetween", [22, 6]],
+    ["cidr", ["10.0.0.0/8", "::1", "2001:db8::/32"]],
+  ]) {
+    assert.equal(validateOperatorValue(op, value), null, `${op} ${JSON.stringify(value)}`);
+  }
+});
+
+test("validate rejects malformed values", () => {
+  const cases = {
+    eq: [[1], "expects a scalar value"],
+    between: [[5, 1], "expects [min, max] numbers with min <= max"],
+    icontains: [1, "expects a string"],
+    any: ["x", "expects an array of values or an { op, value } predicate"],
+    all: [{ op: "any", value: [] }, 'predicate has unsupported operator "any"'],
+    size: [-1, "expects a length or { op, value } with op one of eq, neq, gt, gte, lt, lte, between"],
+    olderThan: ["30 days", 'expects a duration such as "30d", "12h" or "15m"'],
+    after: ["soon", "expects an ISO date string or epoch milliseconds"],
+    hourBetween: [[0, 24], "expects [startHour, endHour] integers between 0 and 23"],
+    cidr: ["10.0.0.0/33", '"10.0.0.0/33" has an invalid prefix length (0-32)'],
+    exists: ["yes", "expects true or false"],
+  };
+  for (const [op, [value, message]] of Object.entries(cases)) {
+    assert.equal(validateOperatorValue(op, value), message, op);
+  }
+  assert.equal(validateOperatorValue("hourBetween", [9, 9]), "expects different start and end hours");
+  assert.equal(validateOperatorValue("cidr", "300.0.0.1"), '"300.0.0.1" is not a valid IP or CIDR range');
+  assert.equal(validateOperatorValue("any", { op: "gt", value: "1" }), "predicate gt expects a number");
+  assert.equal(isKnownOperator("toString"), false);
+});
+
+test("field references", () => {
+  assert.equal(validateOperatorValue("gt", { field: "signals.limit" }), null);
+  assert.equal(validateOperatorValue("in", { field: "signals.list" }), "does not accept a field reference");
+  assert.equal(
+    validateOperatorValue("eq", { field: "" }),
+    "field reference must be { field: <non-empty dot-path> }"
+  );
+  assert.equal(validateOperatorValue("eq", { field: "a", x: 1 }), "field reference only takes field");
+
+  const engine = RuleEngine.fromSource({
+    version: "1",
+    rules: [
+      {
+        id: "OVER_LIMIT",
+        name: "Amount above the source's limit",
+        outcome: "SAFE_DENY",
+        condition: { field: "request.amount", op: "gt", value: { field: "signals.daily_limit" } },
+      },
+    ],
+  });
+
+  const decide = (amount, limit) =>
+    engine.evaluate({ request: { amount }, signals: { daily_limit: limit } }).outcome;
+  assert.equal(decide(500, 100), "SAFE_DENY");
+  assert.equal(decide(50, 100), "GREY_ZONE");
+  assert.equal(decide(500, undefined), "GREY_ZONE");
+});
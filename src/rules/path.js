@@ -0,0 +1,47 @@
+/**
+ * ============================================================================
+ * FIELD PATHS - Dot-notation access shared by the rule engine and AI prompt
+ * ============================================================================
+ * Example: getValue({a: {b: 1}}, 'a.b') => 1
+ * ============================================================================
+ */
+
+/**
+ * Get nested value from object using dot notation
+ * Missing segments resolve to undefined
+ */
+export function getValue(obj, path) {
+  return path.split(".").reduce((current, key) => {
+    return current && current[key] !== undefined ? current[key] : undefined;
+  }, obj);
+}
+
+/**
+ * Set nested value, creating intermediate objects as needed
+ */
+export function setValue(obj, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+
+  const parent = keys.reduce((current, key) => {
+    if (current[key] === null || typeof current[key] !== "object") {
+      current[key] = {};
+    }
+    return current[key];
+  }, obj);
+
+  parent[last] = value;
+}
+
+/**
+ * Remove a nested value (no-op when the path does not exist)
+ */
+export function deleteValue(obj, path) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.length > 0 ? getValue(obj, keys.join(".")) : obj;
+
+  if (parent && typeof parent === "object") {
+    delete parent[last];
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * ============================================================================
+ * RULESET REGISTRY - Versioned history of loaded rulesets
+ * ============================================================================
+ *
+ * Design Decisions:
+ * 1. Every successfully validated ruleset gets a monotonically increasing
+ *    version number plus the sha256 hash of its source
+ * 2. Each version keeps its fully built RuleEngine, so activation and
+ *    rollback are a single reference swap (no re-parse, no partial state)
+ * 3. History is bounded - the oldest inactive versions are dropped first
+ * ============================================================================
+ */
+
+export class RulesetRegistry {
+  constructor(config = {}) {
+    this.historyLimit = config.historyLimit || 20;
+    this.versions = [];
+    this.nextVersion = 1;
+    this.active = null;
+  }
+
+  /**
+   * Register a freshly loaded engine as a new version (not yet active)
+   */
+  register(engine, source = "reload") {
+    const entry = {
+      version: this.nextVersion++,
+      hash: engine.contentHash,
+      rulesCount: engine.getRules().length,
+      source,
+      loadedAt: new Date().toISOString(),
+      engine,
+    };
+
+    this.versions.push(entry);
+    this.prune();
+    return entry;
+  }
+
+  /**
+   * Make a registered version the active one
+   * Returns the entry, or null if the version is unknown
+   */
+  activate(version) {
+    const entry = this.get(version);
+    if (!entry) return null;
+
+    this.active = entry;
+    entry.activatedAt = new Date().toISOString();
+    return entry;
+  }
+
+  get(version) {
+    return this.versions.find((v) => v.version === version) || null;
+  }
+
+  findByHash(hash) {
+    return this.versions.find((v) => v.hash === hash) || null;
+  }
+
+  getActive() {
+    return this.active;
+  }
+
+  /**
+   * Version loaded immediately before the active one (rollback default)
+   */
+  getPrevious() {
+    if (!this.active) return null;
+    const older = this.versions.filter((v) => v.version < this.active.version);
+    return older.length > 0 ? older[older.length - 1] : null;
+  }
+
+  /**
+   * Drop the oldest versions beyond the history limit (never the active one)
+   */
+  prune() {
+    while (this.versions.length > this.historyLimit) {
+      const index = this.versions.findIndex((v) => v !== this.active);
+      if (index === -1) return;
+      this.versions.splice(index, 1);
+    }
+  }
+
+  /**
+   * Serializable view of the history (engines omitted)
+   */
+  list() {
+    return this.versions.map((v) => this.describe(v));
+  }
+
+  describe(entry) {
+    if (!entry) return null;
+    return {
+      version: entry.version,
+      hash: entry.hash,
+      rulesCount: entry.rulesCount,
+      source: entry.source,
+      loadedAt: entry.loadedAt,
+      activatedAt: entry.activatedAt || null,
+      active: entry === this.active,
+    };
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * ============================================================================
+ * RULE RISK - Rule-derived evidence for weighted AI scoring
+ * ============================================================================
+ *
+ * Produces a 0..1 risk score for a GREY_ZONE result:
+ * - base:      risk_weight of the matched GREY rule (0.5 when unset or
+ *              when nothing matched)
+ * - proximity: how close numeric signals came to SAFE_DENY thresholds
+ *              (raises risk) and SAFE_ALLOW thresholds (lowers risk)
+ *
+ *   score = clamp(base + proximity_weight * (denyProximity - allowProximity))
+ *
+ * Proximity of one leaf is the ratio between the actual value and the rule
+ * threshold, capped at 1 - e.g. risk_score 80 against "gte 95" is 0.84.
+ * ============================================================================
+ */
+
+import { getValue } from "./path.js";
+
+const DEFAULT_BASE_RISK = 0.5;
+const DEFAULT_PROXIMITY_WEIGHT = 0.3;
+
+const clamp01 = (n) => Math.max(0, Math.min(1, n));
+const round3 = (n) => Number(n.toFixed(3));
+
+/**
+ * Proximity (0..1) of an actual value to a numeric leaf's threshold
+ * Returns null for non-numeric leaves or missing values
+ */
+function leafProximity(leaf, actual) {
+  if (typeof actual !== "number" || typeof leaf.value !== "number") return null;
+
+  switch (leaf.op) {
+    case "gt":
+    case "gte":
+      // Triggers when actual rises to the threshold
+      if (leaf.value <= 0) return actual >= leaf.value ? 1 : 0;
+      return clamp01(actual / leaf.value);
+    case "lt":
+    case "lte":
+      // Triggers when actual falls to the threshold
+      if (actual <= 0) return 1;
+      return clamp01(leaf.value / actual);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Collect leaf conditions of a condition tree
+ * Leaves under NOT are left out - their thresholds point the other way
+ */
+function collectLeaves(condition, leaves = []) {
+  if (condition.operator === "NOT") return leaves;
+  if (condition.operator) {
+    condition.operands.forEach((operand) => collectLeaves(operand, leaves));
+  } else {
+    leaves.push(condition);
+  }
+  return leaves;
+}
+
+/**
+ * Closest threshold across all rules with the given outcome
+ */
+function closestThreshold(rules, outcome, input) {
+  let closest = { proximity: 0, ruleId: null, field: null, op: null, threshold: null, actual: null };
+
+  for (const rule of rules) {
+    if (rule.outcome !== outcome) continue;
+
+    for (const leaf of collectLeaves(rule.condition)) {
+      const actual = getValue(input, leaf.field);
+      const proximity = leafProximity(leaf, actual);
+      if (proximity !== null && proximity > closest.proximity) {
+        closest = {
+          proximity: round3(proximity),
+          ruleId: rule.id,
+          field: leaf.field,
+          op: leaf.op,
+          threshold: leaf.value,
+          actual,
+        };
+      }
+    }
+  }
+
+  return closest;
+}
+
+/**
+ * Assess rule-derived risk for an evaluated request
+ */
+export function assessRuleRisk(rules, input, ruleResult, options = {}) {
+  const proximityWeight = options.proximityWeight ?? DEFAULT_PROXIMITY_WEIGHT;
+
+  const matched = ruleResult.matchedRule
+    ? rules.find((r) => r.id === ruleResult.matchedRule.id)
+    : null;
+  const base = typeof matched?.risk_weight === "number" ? matched.risk_weight : DEFAULT_BASE_RISK;
+
+  const deny = closestThreshold(rules, "SAFE_DENY", input);
+  const allow = closestThreshold(rules, "SAFE_ALLOW", input);
+
+  return {
+    score: round3(clamp01(base + proximityWeight * (deny.proximity - allow.proximity))),
+    base,
+    matchedRuleId: matched?.id ?? null,
+    proximityWeight,
+    deny,
+    allow,
+  };
+}
@@ -0,0 +1,546 @@
+/**
+ * ============================================================================
+ * RULE VALIDATOR - Schema validation for rules.yaml
+ * ============================================================================
+ *
+ * Design Decisions:
+ * 1. Collect every error instead of stopping at the first one
+ * 2. Each error carries the rule id (when known) and a YAML path
+ *    e.g. rules[3].condition.operands[1].op
+ * 3. A ruleset with any error is rejected as a whole - never partially loaded
+ * ============================================================================
+ */
+
+import { isKnownOperator, validateOperatorValue } from "./operators.js";
+import { REDACTION_STRATEGIES, PII_PATTERNS } from "../ai/redaction.js";
+import { CONSENSUS_STRATEGIES, AI_MODES } from "../ai/consensus.js";
+
+// Kept local to avoid a circular import with engine.js
+const OUTCOME_VALUES = ["SAFE_ALLOW", "SAFE_DENY", "GREY_ZONE"];
+const COMPOUND_OPERATORS = ["AND", "OR", "NOT", "AT_LEAST"];
+const DECISION_MODES = ["threshold", "weighted"];
+const EVALUATION_MODES = ["first_match", "score"];
+
+const AI_RECOMMENDATIONS = ["ALLOW", "DENY", "REVIEW"];
+
+const isUnitNumber = (v) => typeof v === "number" && v >= 0 && v <= 1;
+
+/**
+ * Thrown by RuleEngine when a ruleset fails validation
+ */
+export class RuleValidationError extends Error {
+  constructor(errors) {
+    super(`Rules configuration is invalid (${errors.length} error(s))`);
+    this.name = "RuleValidationError";
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Validate an ai_policy block (per GREY_ZONE rule or no-match default)
+ */
+function validateAIPolicy(policy, path, ruleId, errors) {
+  const error = (subPath, message) =>
+    errors.push({ ruleId, path: `${path}${subPath}`, message });
+
+  if (!isPlainObject(policy)) {
+    error("", "ai_policy must be an object");
+    return;
+  }
+
+  if (policy.allowed_outcomes !== undefined) {
+    if (
+      !Array.isArray(policy.allowed_outcomes) ||
+      !policy.allowed_outcomes.every((o) => AI_RECOMMENDATIONS.includes(o))
+    ) {
+      error(
+        ".allowed_outcomes",
+        `allowed_outcomes must be an array of ${AI_RECOMMENDATIONS.join(", ")}`
+      );
+    }
+  }
+
+  if (policy.min_confidence !== undefined && !isUnitNumber(policy.min_confidence)) {
+    error(".min_confidence", "min_confidence must be a number between 0 and 1");
+  }
+
+  if (policy.skip_ai !== undefined && typeof policy.skip_ai !== "boolean") {
+    error(".skip_ai", "skip_ai must be true or false");
+  }
+}
+
+/**
+ * Validate the ai_config.consensus block
+ */
+function validateConsensus(consensus, error) {
+  if (!isPlainObject(consensus)) {
+    error("consensus", "consensus must be an object");
+    return;
+  }
+
+  const { providers, strategy, min_agreement, min_responses } = consensus;
+
+  if (providers !== undefined && !(Number.isInteger(providers) && providers >= 2)) {
+    error("consensus.providers", "providers must be an integer of at least 2");
+  }
+
+  if (strategy !== undefined && !CONSENSUS_STRATEGIES.includes(strategy)) {
+    error("consensus.strategy", `strategy must be one of ${CONSENSUS_STRATEGIES.join(", ")}`);
+  }
+
+  if (min_agreement !== undefined && !isUnitNumber(min_agreement)) {
+    error("consensus.min_agreement", "min_agreement must be a number between 0 and 1");
+  }
+
+  if (min_responses !== undefined && !(Number.isInteger(min_responses) && min_responses >= 1)) {
+    error("consensus.min_responses", "min_responses must be a positive integer");
+  } else if (
+    Number.isInteger(providers) &&
+    Number.isInteger(min_responses) &&
+    min_responses > providers
+  ) {
+    error("consensus.min_responses", "min_responses cannot exceed providers");
+  }
+
+  if (consensus.amount_threshold !== undefined && typeof consensus.amount_threshold !== "number") {
+    error("consensus.amount_threshold", "amount_threshold must be a number");
+  }
+
+  if (
+    consensus.amount_field !== undefined &&
+    (typeof consensus.amount_field !== "string" || consensus.amount_field === "")
+  ) {
+    error("consensus.amount_field", "amount_field must be a non-empty field path");
+  }
+}
+
+/**
+ * Validate ai_config decision settings and prompt settings
+ */
+function validateAIConfig(aiConfig, errors) {
+  const error = (path, message) =>
+    errors.push({ ruleId: null, path: `ai_config.${path}`, message });
+
+  const { context_fields, redaction, pii_scan, score_thresholds } = aiConfig;
+  const { prompt_templates, prompt_template_by_type } = aiConfig;
+
+  if (aiConfig.decision_mode !== undefined && !DECISION_MODES.includes(aiConfig.decision_mode)) {
+    error("decision_mode", `decision_mode must be one of ${DECISION_MODES.join(", ")}`);
+  }
+
+  for (const key of ["confidence_threshold", "recommendation_weight", "proximity_weight"]) {
+    if (aiConfig[key] !== undefined && !isUnitNumber(aiConfig[key])) {
+      error(key, `${key} must be a number between 0 and 1`);
+    }
+  }
+
+  if (score_thresholds !== undefined) {
+    if (!isPlainObject(score_thresholds)) {
+      error("score_thresholds", "score_thresholds must be an object with allow and deny");
+    } else {
+      for (const key of ["allow", "deny"]) {
+        if (score_thresholds[key] !== undefined && !isUnitNumber(score_thresholds[key])) {
+          error(`score_thresholds.${key}`, `${key} must be a number between 0 and 1`);
+        }
+      }
+      if (
+        isUnitNumber(score_thresholds.allow) &&
+        isUnitNumber(score_thresholds.deny) &&
+        score_thresholds.allow >= score_thresholds.deny
+      ) {
+        error("score_thresholds", "allow must be lower than deny");
+      }
+    }
+  }
+
+  if (aiConfig.consensus !== undefined) {
+    validateConsensus(aiConfig.consensus, error);
+  }
+
+  if (context_fields !== undefined) {
+    if (!Array.isArray(context_fields)) {
+      error("context_fields", "context_fields must be an array of field paths");
+    } else {
+      context_fields.forEach((field, i) => {
+        if (typeof field !== "string" || field === "") {
+          error(`context_fields[${i}]`, "field path must be a non-empty string");
+        }
+      });
+    }
+  }
+
+  if (redaction !== undefined) {
+    if (!Array.isArray(redaction)) {
+      error("redaction", "redaction must be an array of { field, strategy }");
+    } else {
+      redaction.forEach((rule, i) => {
+        if (!isPlainObject(rule) || typeof rule.field !== "string" || rule.field === "") {
+          error(`redaction[${i}].field`, "field path must be a non-empty string");
+          return;
+        }
+        if (!REDACTION_STRATEGIES.includes(rule.strategy)) {
+          error(
+            `redaction[${i}].strategy`,
+            `unknown strategy "${rule.strategy}" (expected ${REDACTION_STRATEGIES.join(", ")})`
+          );
+        }
+        if (
+          rule.keep_last !== undefined &&
+          !(Number.isInteger(rule.keep_last) && rule.keep_last >= 0)
+        ) {
+          error(`redaction[${i}].keep_last`, "keep_last must be a non-negative integer");
+        }
+      });
+    }
+  }
+
+  if (prompt_templates !== undefined) {
+    if (!isPlainObject(prompt_templates)) {
+      error("prompt_templates", "prompt_templates must be a map of name → { version, template }");
+    } else {
+      for (const [name, definition] of Object.entries(prompt_templates)) {
+        if (!isPlainObject(definition) || typeof definition.template !== "string") {
+          error(`prompt_templates.${name}.template`, "template must be a string");
+        } else if (
+          definition.version !== undefined &&
+          !["string", "number"].includes(typeof definition.version)
+        ) {
+          error(`prompt_templates.${name}.version`, "version must be a string or number");
+        }
+      }
+    }
+  }
+
+  if (prompt_template_by_type !== undefined) {
+    if (!isPlainObject(prompt_template_by_type)) {
+      error(
+        "prompt_template_by_type",
+        "prompt_template_by_type must be a map of request type → template name"
+      );
+    } else {
+      for (const [type, name] of Object.entries(prompt_template_by_type)) {
+        if (!isPlainObject(prompt_templates) || !Object.hasOwn(prompt_templates, name)) {
+          error(`prompt_template_by_type.${type}`, `unknown prompt template "${name}"`);
+        }
+      }
+    }
+  }
+
+  if (pii_scan !== undefined) {
+    if (!Array.isArray(pii_scan)) {
+      error("pii_scan", "pii_scan must be an array of pattern names");
+    } else {
+      pii_scan.forEach((name, i) => {
+        if (!PII_PATTERNS[name]) {
+          error(
+            `pii_scan[${i}]`,
+            `unknown pattern "${name}" (expected ${Object.keys(PII_PATTERNS).join(", ")})`
+          );
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Validate a condition tree, appending errors for every problem found
+ */
+function validateCondition(condition, path, ruleId, errors) {
+  const error = (subPath, message) =>
+    errors.push({ ruleId, path: `${path}${subPath}`, message });
+
+  if (!isPlainObject(condition)) {
+    error("", "condition must be an object");
+    return;
+  }
+
+  // Compound condition (AND/OR/NOT/AT_LEAST)
+  if (condition.operator !== undefined) {
+    if (!COMPOUND_OPERATORS.includes(condition.operator)) {
+      error(
+        ".operator",
+        `unknown compound operator "${condition.operator}" (expected ${COMPOUND_OPERATORS.join(", ")})`
+      );
+    }
+
+    if (!Array.isArray(condition.operands) || condition.operands.length === 0) {
+      error(".operands", `${condition.operator} requires a non-empty operands array`);
+      return;
+    }
+
+    if (condition.operator === "NOT" && condition.operands.length !== 1) {
+      error(".operands", "NOT requires exactly one operand");
+    }
+
+    if (
+      condition.operator === "AT_LEAST" &&
+      !(
+        Number.isInteger(condition.count) &&
+        condition.count >= 1 &&
+        condition.count <= condition.operands.length
+      )
+    ) {
+      error(".count", "AT_LEAST requires a count between 1 and the number of operands");
+    }
+
+    condition.operands.forEach((operand, i) =>
+      validateCondition(operand, `${path}.operands[${i}]`, ruleId, errors)
+    );
+    return;
+  }
+
+  // Simple field comparison
+  if (typeof condition.field !== "string" || condition.field.trim() === "") {
+    error(".field", "field must be a non-empty dot-path string");
+  }
+
+  if (condition.op === undefined) {
+    error(".op", "op is required");
+    return;
+  }
+
+  if (!isKnownOperator(condition.op)) {
+    error(".op", `unknown operator "${condition.op}"`);
+    return;
+  }
+
+  const valueError = validateOperatorValue(condition.op, condition.value);
+  if (valueError) {
+    error(".value", `${condition.op} ${valueError}`);
+  }
+}
+
+/**
+ * Validate a single rule definition
+ */
+function validateRule(rule, index, seenIds, errors, scoreMode = false) {
+  const path = `rules[${index}]`;
+  const ruleId = isPlainObject(rule) && typeof rule.id === "string" ? rule.id : null;
+  const error = (subPath, message) =>
+    errors.push({ ruleId, path: `${path}${subPath}`, message });
+
+  if (!isPlainObject(rule)) {
+    error("", "rule must be an object");
+    return;
+  }
+
+  if (typeof rule.id !== "string" || rule.id.trim() === "") {
+    error(".id", "id is required and must be a non-empty string");
+  } else if (seenIds.has(rule.id)) {
+    error(".id", `duplicate rule id (first defined at ${seenIds.get(rule.id)})`);
+  } else {
+    seenIds.set(rule.id, path);
+  }
+
+  // Score mode: scoring rules carry points instead of an outcome
+  const scoringRule = scoreMode && rule.points !== undefined;
+
+  if (!(scoringRule && rule.outcome === undefined) && !OUTCOME_VALUES.includes(rule.outcome)) {
+    error(
+      ".outcome",
+      `outcome must be one of ${OUTCOME_VALUES.join(", ")} (got ${JSON.stringify(rule.outcome)})`
+    );
+  }
+
+  if (rule.points !== undefined) {
+    if (typeof rule.points !== "number" || !Number.isFinite(rule.points)) {
+      error(".points", "points must be a number");
+    } else if (!scoreMode) {
+      error(".points", 'points only apply when evaluation.mode is "score"');
+    } else if (rule.outcome !== undefined) {
+      error(".outcome", "scoring rules take points instead of an outcome");
+    }
+  } else if (scoreMode && OUTCOME_VALUES.includes(rule.outcome) && rule.outcome !== "SAFE_DENY") {
+    error(".points", 'in score mode a rule needs points, or outcome "SAFE_DENY"');
+  }
+
+  if (rule.priority !== undefined && typeof rule.priority !== "number") {
+    error(".priority", "priority must be a number");
+  }
+
+  if (rule.enabled !== undefined && typeof rule.enabled !== "boolean") {
+    error(".enabled", "enabled must be true or false");
+  }
+
+  if (rule.risk_weight !== undefined && !isUnitNumber(rule.risk_weight)) {
+    error(".risk_weight", "risk_weight must be a number between 0 and 1");
+  }
+
+  if (rule.prompt_template !== undefined) {
+    if (rule.outcome !== "GREY_ZONE") {
+      error(".prompt_template", "prompt_template only applies to GREY_ZONE rules");
+    } else if (typeof rule.prompt_template !== "string" || rule.prompt_template === "") {
+      error(".prompt_template", "prompt_template must be a template name");
+    }
+  }
+
+  if (rule.ai_mode !== undefined) {
+    if (rule.outcome !== "GREY_ZONE") {
+      error(".ai_mode", "ai_mode only applies to GREY_ZONE rules");
+    } else if (!AI_MODES.includes(rule.ai_mode)) {
+      error(".ai_mode", `ai_mode must be one of ${AI_MODES.join(", ")}`);
+    }
+  }
+
+  if (rule.ai_policy !== undefined) {
+    if (rule.outcome !== "GREY_ZONE") {
+      error(".ai_policy", "ai_policy only applies to GREY_ZONE rules");
+    } else {
+      validateAIPolicy(rule.ai_policy, `${path}.ai_policy`, ruleId, errors);
+    }
+  }
+
+  if (rule.condition === undefined) {
+    error(".condition", "condition is required");
+  } else {
+    validateCondition(rule.condition, `${path}.condition`, ruleId, errors);
+  }
+}
+
+/**
+ * Validate the evaluation block (rule mode and score bands)
+ */
+function validateEvaluation(evaluation, errors) {
+  const error = (path, message) =>
+    errors.push({ ruleId: null, path: `evaluation${path}`, message });
+
+  if (!isPlainObject(evaluation)) {
+    error("", "evaluation must be an object");
+    return;
+  }
+
+  if (evaluation.mode !== undefined && !EVALUATION_MODES.includes(evaluation.mode)) {
+    error(".mode", `mode must be one of ${EVALUATION_MODES.join(", ")}`);
+  }
+
+  if (evaluation.mode !== "score") {
+    if (evaluation.bands !== undefined) error(".bands", 'bands only apply when mode is "score"');
+    return;
+  }
+
+  const bands = evaluation.bands;
+  if (!Array.isArray(bands) || bands.length === 0) {
+    error(".bands", "score mode requires a non-empty bands array");
+    return;
+  }
+
+  let previous = -Infinity;
+  bands.forEach((band, i) => {
+    const path = `.bands[${i}]`;
+    if (!isPlainObject(band)) {
+      error(path, "band must be an object with below and outcome");
+      return;
+    }
+
+    if (!OUTCOME_VALUES.includes(band.outcome)) {
+      error(`${path}.outcome`, `outcome must be one of ${OUTCOME_VALUES.join(", ")}`);
+    }
+
+    const last = i === bands.length - 1;
+    if (last && band.below !== undefined) {
+      error(`${path}.below`, "the last band takes no below - it catches every higher score");
+    } else if (!last) {
+      if (typeof band.below !== "number") {
+        error(`${path}.below`, "below must be a number");
+      } else if (band.below <= previous) {
+        error(`${path}.below`, "bands must be in ascending order of below");
+      } else {
+        previous = band.below;
+      }
+    }
+
+    if (band.ai_policy !== undefined) {
+      if (band.outcome !== "GREY_ZONE") {
+        error(`${path}.ai_policy`, "ai_policy only applies to GREY_ZONE bands");
+      } else {
+        validateAIPolicy(band.ai_policy, `evaluation${path}.ai_policy`, null, errors);
+      }
+    }
+  });
+}
+
+/**
+ * Validate a parsed rules configuration
+ * Returns: { valid, errors: [{ ruleId, path, message }] }
+ */
+export function validateRuleset(config) {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    errors.push({ ruleId: null, path: "", message: "configuration must be an object" });
+    return { valid: false, errors };
+  }
+
+  if (config.evaluation !== undefined) {
+    validateEvaluation(config.evaluation, errors);
+  }
+  const scoreMode = config.evaluation?.mode === "score";
+
+  if (config.rules !== undefined && !Array.isArray(config.rules)) {
+    errors.push({ ruleId: null, path: "rules", message: "rules must be an array" });
+  } else {
+    const seenIds = new Map();
+    (config.rules || []).forEach((rule, i) =>
+      validateRule(rule, i, seenIds, errors, scoreMode)
+    );
+  }
+
+  if (config.defaults !== undefined) {
+    if (!isPlainObject(config.defaults)) {
+      errors.push({ ruleId: null, path: "defaults", message: "defaults must be an object" });
+    } else if (
+      config.defaults.no_match_outcome !== undefined &&
+      !OUTCOME_VALUES.includes(config.defaults.no_match_outcome)
+    ) {
+      errors.push({
+        ruleId: null,
+        path: "defaults.no_match_outcome",
+        message: `no_match_outcome must be one of ${OUTCOME_VALUES.join(", ")}`,
+      });
+    }
+
+    if (isPlainObject(config.defaults) && config.defaults.no_match_ai_policy !== undefined) {
+      validateAIPolicy(
+        config.defaults.no_match_ai_policy,
+        "defaults.no_match_ai_policy",
+        null,
+        errors
+      );
+    }
+  }
+
+  if (config.ai_config !== undefined) {
+    if (isPlainObject(config.ai_config)) {
+      validateAIConfig(config.ai_config, errors);
+    } else {
+      errors.push({ ruleId: null, path: "ai_config", message: "ai_config must be an object" });
+    }
+  }
+
+  // Rules may only reference prompt templates that exist
+  const templates = isPlainObject(config.ai_config?.prompt_templates)
+    ? config.ai_config.prompt_templates
+    : {};
+  if (Array.isArray(config.rules)) {
+    config.rules.forEach((rule, i) => {
+      const name = rule?.prompt_template;
+      if (
+        rule?.outcome === "GREY_ZONE" &&
+        typeof name === "string" &&
+        name &&
+        !Object.hasOwn(templates, name)
+      ) {
+        errors.push({
+          ruleId: rule.id ?? null,
+          path: `rules[${i}].prompt_template`,
+          message: `unknown prompt template "${name}"`,
+        });
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateRuleset, RuleValidationError } from "./validator.js";
+import { RuleEngine } from "./engine.js";
+
+const leaf = { field: "signals.risk_score", op: "gte", value: 90 };
+
+const rule = (overrides = {}) => ({
+  id: "R1",
+  name: "Rule",
+  outcome: "SAFE_DENY",
+  priority: 1,
+  condition: leaf,
+  ...overrides,
+});
+
+/**
+ * Validate a ruleset and return its errors as "path: message"
+ */
+function errorsFor(config) {
+  return validateRuleset({ version: "1", ...config }).errors.map(
+    (e) => `${e.path}: ${e.message}`
+  );
+}
+
+test("a valid ruleset has no errors", () => {
+  assert.deepEqual(validateRuleset({ version: "1", rules: [rule()] }), { valid: true, errors: [] });
+});
+
+test("reports duplicate ids with the first definition", () => {
+  const { errors } = validateRuleset({ rules: [rule(), rule()] });
+  assert.deepEqual(errors, [
+    { ruleId: "R1", path: "rules[1].id", message: "duplicate rule id (first defined at rules[0])" },
+  ]);
+});
+
+test("reports rule-level problems", () => {
+  assert.deepEqual(
+    errorsFor({
+      rules: [
+        rule({ id: "", outcome: "MAYBE", priority: "high", enabled: "yes", condition: undefined }),
+      ],
+    }),
+    [
+      "rules[0].id: id is required and must be a non-empty string",
+      'rules[0].outcome: outcome must be one of SAFE_ALLOW, SAFE_DENY, GREY_ZONE (got "MAYBE")',
+      "rules[0].priority: priority must be a number",
+      "rules[0].enabled: enabled must be true or false",
+      "rules[0].condition: condition is required",
+    ]
+  );
+});
+
+test("reports condition problems with their full path", () => {
+  assert.deepEqual(
+    errorsFor({
+      rules: [
+        rule({
+          condition: {
+            operator: "AND",
+            operands: [
+              { field: "a", op: "nope", value: 1 },
+              { field: "", op: "eq", value: 1 },
+              { field: "b", op: "regex", value: "(" },
+              { field: "c", op: "in", value: "x" },
+              { field: "d", op: "gt", value: "10" },
+              { operator: "OR", operands: [] },
+              { operator: "XOR", operands: [leaf] },
+              { field: "e" },
+            ],
+          },
+        }),
+      ],
+    }),
+    [
+      'rules[0].condition.operands[0].op: unknown operator "nope"',
+      "rules[0].condition.operands[1].field: field must be a non-empty dot-path string",
+      "rules[0].condition.operands[2].value: regex pattern does not compile: " +
+        "Invalid regular expression: /(/: Unterminated group",
+      "rules[0].condition.operands[3].value: in expects an array",
+      "rules[0].condition.operands[4].value: gt expects a number",
+      "rules[0].condition.operands[5].operands: OR requires a non-empty operands array",
+      'rules[0].condition.operands[6].operator: unknown compound operator "XOR" ' +
+        "(expected AND, OR, NOT, AT_LEAST)",
+      "rules[0].condition.operands[7].op: op is required",
+    ]
+  );
+});
+
+test("reports NOT and AT_LEAST arity problems", () => {
+  assert.deepEqual(
+    errorsFor({
+      rules: [
+        rule({
+          condition: {
+            operator: "OR",
+            operands: [
+              { operator: "NOT", operands: [leaf, leaf] },
+              { operator: "AT_LEAST", count: 3, operands: [leaf, leaf] },
+              { operator: "AT_LEAST", operands: [leaf] },
+              { operator: "AT_LEAST", count: 1, operands: [leaf] },
+            ],
+          },
+        }),
+      ],
+    }),
+    [
+      "rules[0].condition.operands[0].operands: NOT requires exactly one operand",
+      "rules[0].condition.operands[1].count: AT_LEAST requires a count between 1 and the number of operands",
+      "rules[0].condition.operands[2].count: AT_LEAST requires a count between 1 and the number of operands",
+    ]
+  );
+});
+
+test("reports top-level problems", () => {
+  assert.deepEqual(validateRuleset([]).errors, [
+    { ruleId: null, path: "", message: "configuration must be an object" },
+  ]);
+  assert.deepEqual(errorsFor({ rules: {}, defaults: { no_match_outcome: "ALLOW" } }), [
+    "rules: rules must be an array",
+    "defaults.no_match_outcome: no_match_outcome must be one of SAFE_ALLOW, SAFE_DENY, GREY_ZONE",
+  ]);
+});
+
+test("the engine rejects an invalid ruleset as a whole", () => {
+  assert.throws(
+    () => RuleEngine.fromSource({ rules: [rule(), rule({ id: "R2", condition: { field: "x" } })] }),
+    (error) =>
+      error instanceof RuleValidationError &&
+      error.errors.length === 1 &&
+      error.errors[0].ruleId === "R2"
+  );
+});
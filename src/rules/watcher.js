@@ -0,0 +1,88 @@
+/**
+ * ============================================================================
+ * RULES WATCHER - Automatic reload when the rules file changes
+ * ============================================================================
+ *
+ * Design Decisions:
+ * 1. Watch the parent DIRECTORY, not the file. Kubernetes ConfigMap volumes
+ *    publish updates by writing a new timestamped dir and atomically flipping
+ *    the `..data` symlink - a watch on the file itself goes stale after the
+ *    first swap
+ * 2. Events are debounced - one swap fires several events in a burst
+ * 3. The watcher only signals "something changed"; the caller runs the
+ *    normal validated reload, which is a no-op when the content hash
+ *    has not changed
+ * ============================================================================
+ */
+
+import fs from "fs";
+import { basename, dirname } from "path";
+
+export class RulesWatcher {
+  constructor(config) {
+    this.configPath = config.configPath;
+    this.debounceMs = config.debounceMs || 500;
+    this.onChange = config.onChange;
+    this.watcher = null;
+    this.timer = null;
+    this.eventsSeen = 0;
+    this.lastEventAt = null;
+  }
+
+  start() {
+    if (this.watcher) return;
+
+    const dir = dirname(this.configPath);
+    const file = basename(this.configPath);
+
+    this.watcher = fs.watch(dir, (eventType, filename) => {
+      // Direct edits touch the file; ConfigMap swaps touch ..data / ..<timestamp>
+      if (!filename || filename === file || filename.startsWith("..")) {
+        this.schedule();
+      }
+    });
+
+    this.watcher.on("error", (error) => {
+      console.error(`[RulesWatcher] Watch error on ${dir}: ${error.message}`);
+    });
+
+    console.log(
+      `[RulesWatcher] Watching ${dir} for changes to ${file} (debounce ${this.debounceMs}ms)`
+    );
+  }
+
+  schedule() {
+    this.eventsSeen++;
+    this.lastEventAt = new Date().toISOString();
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      try {
+        this.onChange();
+      } catch (error) {
+        console.error(`[RulesWatcher] Reload callback failed: ${error.message}`);
+      }
+    }, this.debounceMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.watcher !== null,
+      path: this.configPath,
+      debounceMs: this.debounceMs,
+      eventsSeen: this.eventsSeen,
+      lastEventAt: this.lastEventAt,
+    };
+  }
+}
@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import { RulesWatcher } from "./watcher.js";
+import { DecisionService } from "../decisionService.js";
+import { rulesReloadCounter, rulesLastReloadSuccess } from "../metrics/prometheus.js";
+
+const rulesYaml = (threshold) => `
+version: "1.0"
+rules:
+  - id: "DENY_1"
+    name: "High risk"
+    condition: { field: "signals.risk_score", op: "gte", value: ${threshold} }
+    outcome: "SAFE_DENY"
+    priority: 100
+defaults:
+  no_match_outcome: "GREY_ZONE"
+`;
+
+const sample = { request: { type: "payment" }, signals: { risk_score: 70 } };
+
+/**
+ * Lay out a directory the way a Kubernetes ConfigMap volume does:
+ * rules.yaml → ..data/rules.yaml, ..data → ..<timestamp>
+ */
+function createConfigMapDir(content) {
+  const dir = fs.mkdtempSync(join(os.tmpdir(), "rules-configmap-"));
+  fs.mkdirSync(join(dir, "..v1"));
+  fs.writeFileSync(join(dir, "..v1", "rules.yaml"), content);
+  fs.symlinkSync("..v1", join(dir, "..data"));
+  fs.symlinkSync(join("..data", "rules.yaml"), join(dir, "rules.yaml"));
+  return dir;
+}
+
+/**
+ * Publish new content the way the kubelet does: new timestamped dir,
+ * then an atomic rename of a fresh symlink over ..data
+ */
+function swapConfigMap(dir, name, content) {
+  fs.mkdirSync(join(dir, name));
+  fs.writeFileSync(join(dir, name, "rules.yaml"), content);
+  fs.symlinkSync(name, join(dir, "..data_tmp"));
+  fs.renameSync(join(dir, "..data_tmp"), join(dir, "..data"));
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.fail("condition not met before timeout");
+}
+
+async function counterValue(labels) {
+  const { values } = await rulesReloadCounter.get();
+  const match = values.find(
+    (v) => v.labels.trigger === labels.trigger && v.labels.result === labels.result
+  );
+  return match ? match.value : 0;
+}
+
+test("a burst of events triggers one reload after the debounce", async () => {
+  let calls = 0;
+  const watcher = new RulesWatcher({
+    configPath: "/unused/rules.yaml",
+    debounceMs: 30,
+    onChange: () => calls++,
+  });
+
+  watcher.schedule();
+  watcher.schedule();
+  watcher.schedule();
+  assert.equal(calls, 0);
+
+  await waitFor(() => calls > 0);
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.equal(calls, 1);
+  assert.equal(watcher.getStatus().eventsSeen, 3);
+});
+
+test("a ConfigMap ..data symlink swap reloads the new ruleset", async (t) => {
+  const dir = createConfigMapDir(rulesYaml(90));
+  const service = new DecisionService({ version: "v1", rulesConfigPath: join(dir, "rules.yaml") });
+  service.startRulesWatcher({ debounceMs: 30 });
+  t.after(() => service.stopRulesWatcher());
+
+  assert.equal((await service.decide(sample)).ruleEvaluation.outcome, "GREY_ZONE");
+
+  swapConfigMap(dir, "..v2", rulesYaml(50));
+  await waitFor(() => service.rulesetRegistry.getActive().version === 2);
+
+  assert.equal((await service.decide(sample)).ruleEvaluation.outcome, "SAFE_DENY");
+  assert.equal(service.lastReload.trigger, "watch");
+  assert.equal(service.lastReload.result, "reloaded");
+});
+
+test("a failed watched reload keeps the old ruleset and records the failure", async (t) => {
+  const dir = createConfigMapDir(rulesYaml(50));
+  const service = new DecisionService({ version: "v1", rulesConfigPath: join(dir, "rules.yaml") });
+  service.startRulesWatcher({ debounceMs: 30 });
+  t.after(() => service.stopRulesWatcher());
+
+  const failuresBefore = await counterValue({ trigger: "watch", result: "failed" });
+  const active = service.rulesetRegistry.getActive();
+
+  swapConfigMap(dir, "..v2", "rules: [ this is not: valid");
+  await waitFor(() => service.lastReload?.result === "failed");
+
+  assert.equal(service.rulesetRegistry.getActive(), active);
+  assert.equal((await service.decide(sample)).ruleEvaluation.outcome, "SAFE_DENY");
+  assert.equal(await counterValue({ trigger: "watch", result: "failed" }), failuresBefore + 1);
+  assert.equal((await rulesLastReloadSuccess.get()).values[0].value, 0);
+});
@@ -7,11 +7,21 @@
  *
  * Endpoints:
  * - POST /decide     - Main decision endpoint
+ * - POST /decide/batch - Batch decisions (per-item results)
  * - GET  /health     - Kubernetes health check
  * - GET  /ready      - Kubernetes readiness check
  * - GET  /metrics    - Prometheus metrics
  * - GET  /status     - Detailed system status
  * - POST /reload     - Hot-reload rules configuration
+ * - POST /rules/dry-run - Evaluate samples against a candidate ruleset
+ * - GET  /rules/versions - Ruleset version history
+ * - GET  /decisions  - Query the decision audit log
+ * - GET  /decisions/:requestId - Audit record for one decision
+ * - GET  /reviews    - Human review queue
+ * - POST /reviews/:id/claim | /reviews/:id/resolve - Work the queue
+ * - GET  /webhooks/deliveries - Webhook delivery history
+ * - GET|POST|DELETE /webhooks/subscriptions - Manage subscriptions
+ * - POST /rules/rollback - Restore a previous ruleset version
  *
  * Design Decisions:
  * 1. Separate health and ready endpoints for K8s lifecycle
@@ -43,11 +53,21 @@ import { readyRoutes } from "./routes/ready.routes.js";
 import metricsRoutes from "./routes/metrics.routes.js";
 import { statusRoutes } from "./routes/status.routes.js";
 import { reloadRoutes } from "./routes/reload.routes.js";
+import { rulesRoutes } from "./routes/rules.routes.js";
+import { auditRoutes } from "./routes/audit.routes.js";
+import { createAuditStore } from "./audit/store.js";
+import { reviewRoutes } from "./routes/review.routes.js";
+import { ReviewQueue } from "./review/queue.js";
+import { webhooksRoutes } from "./routes/webhooks.routes.js";
+import { WebhookDispatcher, parseWebhookSubscriptions } from "./webhooks/dispatcher.js";
+import { loadCustomAdapters } from "./ai/adapters/index.js";
+import { createAICache } from "./ai/cache.js";
 import { loggingMiddleware } from "./middleware/logging.middleware.js";
 import { awarenessMiddleware } from "./middleware/awareness.middleware.js" 
 import { notFoundHandler } from "./middleware/notFound.middleware.js";
 import { errorHandlerMiddleware } from "./middleware/errorHandler.middleware.js";
 import { corsMiddleware } from "./middleware/cors.middleware.js";
+import { parseReviewerTokens } from "./middleware/adminAuth.middleware.js";
 
 // ============================================================================
 // CONFIGURATION
@@ -58,6 +78,12 @@ const NODE_ENV = process.env.NODE_ENV || "development";
 const ENGINE_VERSION = process.env.ENGINE_VERSION || "v1";
 const RULES_CONFIG_PATH =
   process.env.RULES_CONFIG_PATH || resolve(__dirname, "../config/rules.yaml");
+const RULESET_HISTORY_LIMIT = parseInt(process.env.RULESET_HISTORY_LIMIT) || 20;
+const RULES_WATCH_ENABLED = process.env.RULES_WATCH_ENABLED === "true";
+const RULES_FIELD_INDEX = process.env.RULES_FIELD_INDEX === "true";
+const EXPLAIN_DECISIONS = process.env.EXPLAIN_DECISIONS === "true";
+const RULES_WATCH_DEBOUNCE_MS =
+  parseInt(process.env.RULES_WATCH_DEBOUNCE_MS) || 500;
 
 // AI Configuration
 const AI_ENABLED = process.env.AI_ENABLED === "true";
@@ -67,27 +93,168 @@ const AI_ENABLED = process.env.AI_ENABLED === "true";
 // const AI_API_KEY = process.env.AI_API_KEY || "";
 // const AI_MODEL = process.env.AI_MODEL || "gpt-4o-mini";
 const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS) || 5000;
+// Deadline for the whole provider fallback chain per decision
+const AI_TOTAL_TIMEOUT_MS = parseInt(process.env.AI_TOTAL_TIMEOUT_MS) || 10000;
+// Hedging: start the next provider when the current one exceeds its
+// latency percentile (AI_HEDGE_DELAY_MS until latencies are known)
+const AI_HEDGING_ENABLED = process.env.AI_HEDGING_ENABLED === "true";
+const AI_HEDGE_PERCENTILE = parseFloat(process.env.AI_HEDGE_PERCENTILE) || 0.95;
+const AI_HEDGE_DELAY_MS = parseInt(process.env.AI_HEDGE_DELAY_MS) || 1000;
+// Per-provider circuit breaker (skip failing providers, probe after cooldown)
+const AI_BREAKER_ENABLED = process.env.AI_BREAKER_ENABLED !== "false";
+const AI_BREAKER_WINDOW_SIZE = parseInt(process.env.AI_BREAKER_WINDOW_SIZE) || 20;
+const AI_BREAKER_MIN_REQUESTS = parseInt(process.env.AI_BREAKER_MIN_REQUESTS) || 5;
+const AI_BREAKER_ERROR_RATE = parseFloat(process.env.AI_BREAKER_ERROR_RATE) || 0.5;
+const AI_BREAKER_SLOW_CALL_MS = parseInt(process.env.AI_BREAKER_SLOW_CALL_MS) || 0;
+const AI_BREAKER_COOLDOWN_MS = parseInt(process.env.AI_BREAKER_COOLDOWN_MS) || 30000;
+// AI response cache: none | memory | redis (any Redis-compatible server)
+const AI_CACHE = process.env.AI_CACHE || "none";
+const AI_CACHE_TTL_MS = parseInt(process.env.AI_CACHE_TTL_MS) || 300000;
+const AI_CACHE_MAX_ENTRIES = parseInt(process.env.AI_CACHE_MAX_ENTRIES) || 1000;
+const AI_CACHE_REDIS_URL = process.env.AI_CACHE_REDIS_URL || "redis://localhost:6379";
+// Key for the "hash" redaction strategy; values configured for it are redacted when unset
+const REDACTION_HASH_SECRET = process.env.REDACTION_HASH_SECRET || null;
+// Comma-separated local module paths exporting custom provider adapters
+const AI_ADAPTER_MODULES = (process.env.AI_ADAPTER_MODULES || "")
+  .split(",")
+  .map((p) => p.trim())
+  .filter(Boolean);
+
+// Audit Configuration
+const AUDIT_STORE = process.env.AUDIT_STORE || "none";
+const AUDIT_PATH =
+  process.env.AUDIT_PATH ||
+  resolve(
+    __dirname,
+    AUDIT_STORE === "sqlite" ? "../data/decisions.db" : "../data/decisions.jsonl"
+  );
+
+// Review Queue Configuration
+const REVIEW_QUEUE_ENABLED = process.env.REVIEW_QUEUE_ENABLED === "true";
+const REVIEW_QUEUE_PATH = process.env.REVIEW_QUEUE_PATH || null;
+const REVIEW_QUEUE_MAX_PENDING =
+  parseInt(process.env.REVIEW_QUEUE_MAX_PENDING) || 10000;
+const REVIEW_CLAIM_TTL_MS =
+  parseInt(process.env.REVIEW_CLAIM_TTL_MS) || 30 * 60 * 1000;
+
+// Bearer token for admin endpoints (POST /rules/rollback, GET /decisions); disabled when unset
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+// JSON object of reviewer bearer tokens: {"<token>": "alice"}; ADMIN_TOKEN acts as "admin"
+const REVIEWER_TOKENS = parseReviewerTokens(process.env.REVIEWER_TOKENS);
+
+// Webhook Configuration
+const WEBHOOK_SIGNING_SECRET = process.env.WEBHOOK_SIGNING_SECRET || null;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+// JSON array of static subscriptions: [{"url": "...", "events": [...], "secret": "..."}]
+const WEBHOOK_SUBSCRIPTIONS = parseWebhookSubscriptions(
+  process.env.WEBHOOK_SUBSCRIPTIONS,
+  WEBHOOK_SIGNING_SECRET
+);
+// Bearer token for /webhooks/subscriptions (management disabled when unset)
+const WEBHOOK_ADMIN_TOKEN = process.env.WEBHOOK_ADMIN_TOKEN || null;
+// Comma-separated hostnames; when set, webhooks may only target these
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((h) => h.trim())
+  .filter(Boolean);
+// Allow loopback / private targets (local development only)
+const WEBHOOK_ALLOW_PRIVATE_NETWORKS = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === "true";
+
+// Batch Configuration
+const REQUEST_BODY_LIMIT = process.env.REQUEST_BODY_LIMIT || "5mb";
+const DECISION_BATCH_MAX_SIZE =
+  parseInt(process.env.DECISION_BATCH_MAX_SIZE) || 500;
+const DECISION_BATCH_AI_CONCURRENCY =
+  parseInt(process.env.DECISION_BATCH_AI_CONCURRENCY) || 4;
 
 // ============================================================================
 // INITIALIZE SERVICES
 // ============================================================================
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
 app.use(corsMiddleware)
 
+// Register custom AI provider adapters before providers are built
+await loadCustomAdapters(AI_ADAPTER_MODULES);
+
+// Initialize AI response cache (null when AI_CACHE=none)
+const aiCache = createAICache({
+  backend: AI_CACHE,
+  ttlMs: AI_CACHE_TTL_MS,
+  maxEntries: AI_CACHE_MAX_ENTRIES,
+  url: AI_CACHE_REDIS_URL,
+});
+
+// Initialize audit store (null when AUDIT_STORE=none)
+const auditStore = await createAuditStore({
+  backend: AUDIT_STORE,
+  path: AUDIT_PATH,
+});
+
+// Initialize human review queue for REVIEW decisions
+const reviewQueue = REVIEW_QUEUE_ENABLED
+  ? new ReviewQueue({
+      persistPath: REVIEW_QUEUE_PATH,
+      claimTtlMs: REVIEW_CLAIM_TTL_MS,
+      maxPending: REVIEW_QUEUE_MAX_PENDING,
+    })
+  : null;
+
+// Initialize webhook dispatcher (callbackUrl + subscriptions)
+const webhooks = new WebhookDispatcher({
+  signingSecret: WEBHOOK_SIGNING_SECRET,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  baseDelayMs: WEBHOOK_RETRY_BASE_MS,
+  timeout: WEBHOOK_TIMEOUT_MS,
+  subscriptions: WEBHOOK_SUBSCRIPTIONS,
+  allowedHosts: WEBHOOK_ALLOWED_HOSTS,
+  allowPrivateNetworks: WEBHOOK_ALLOW_PRIVATE_NETWORKS,
+});
+
 // Initialize decision service
 const decisionService = new DecisionService({
   version: ENGINE_VERSION,
   rulesConfigPath: RULES_CONFIG_PATH,
+  rulesFieldIndex: RULES_FIELD_INDEX,
+  explainDecisions: EXPLAIN_DECISIONS,
+  rulesetHistoryLimit: RULESET_HISTORY_LIMIT,
   aiEnabled: AI_ENABLED,
   // aiProvider: AI_PROVIDER,
   // aiApiUrl: AI_API_URL,
   // aiApiKey: AI_API_KEY,
   // aiModel: AI_MODEL,
   aiTimeout: AI_TIMEOUT_MS,
+  aiTotalTimeout: AI_TOTAL_TIMEOUT_MS,
+  aiCache,
+  redactionHashSecret: REDACTION_HASH_SECRET,
+  aiHedging: {
+    enabled: AI_HEDGING_ENABLED,
+    percentile: AI_HEDGE_PERCENTILE,
+    delayMs: AI_HEDGE_DELAY_MS,
+  },
+  aiCircuitBreaker: {
+    enabled: AI_BREAKER_ENABLED,
+    windowSize: AI_BREAKER_WINDOW_SIZE,
+    minRequests: AI_BREAKER_MIN_REQUESTS,
+    errorRateThreshold: AI_BREAKER_ERROR_RATE,
+    slowCallMs: AI_BREAKER_SLOW_CALL_MS,
+    cooldownMs: AI_BREAKER_COOLDOWN_MS,
+  },
+  batchMaxSize: DECISION_BATCH_MAX_SIZE,
+  batchAIConcurrency: DECISION_BATCH_AI_CONCURRENCY,
+  auditStore,
+  reviewQueue,
+  webhooks,
 });
 
+// Opt-in automatic reload when the rules file / ConfigMap changes
+if (RULES_WATCH_ENABLED) {
+  decisionService.startRulesWatcher({ debounceMs: RULES_WATCH_DEBOUNCE_MS });
+}
+
 //decision from routes.
 
 // Track server state for graceful shutdown
@@ -309,6 +476,10 @@ app.use(readyRoutes(() => isShuttingDown, decisionService, ENGINE_VERSION));
 app.use(metricsRoutes);
 app.use(statusRoutes(decisionService));
 app.use(reloadRoutes(decisionService));
+app.use(rulesRoutes(decisionService, ADMIN_TOKEN));
+app.use(auditRoutes(decisionService, ADMIN_TOKEN));
+app.use(reviewRoutes(decisionService, REVIEWER_TOKENS, ADMIN_TOKEN));
+app.use(webhooksRoutes(decisionService, WEBHOOK_ADMIN_TOKEN));
 
 //---------------------------------------
 /**
@@ -353,14 +524,23 @@ const server = app.listen(PORT, () => {
   console.log(`Port:        ${PORT}`);
   console.log(`AI Enabled:  ${AI_ENABLED}`);
   console.log(`Rules Path:  ${RULES_CONFIG_PATH}`);
+  console.log(`Rules Watch: ${RULES_WATCH_ENABLED}`);
+  console.log(`Field Index: ${RULES_FIELD_INDEX}`);
+  console.log(`Audit Store: ${AUDIT_STORE}`);
   console.log("=".repeat(60));
   console.log("Endpoints:");
   console.log("  POST /decide  - Make a decision");
+  console.log("  POST /decide/batch - Make decisions in bulk");
   console.log("  GET  /health  - Health check");
   console.log("  GET  /ready   - Readiness check");
   console.log("  GET  /metrics - Prometheus metrics");
   console.log("  GET  /status  - System status");
   console.log("  POST /reload  - Reload rules");
+  console.log("  POST /rules/dry-run - Test a candidate ruleset");
+  console.log("  POST /rules/rollback - Restore a ruleset version");
+  console.log("  GET  /decisions - Query decision audit log");
+  console.log("  GET  /reviews - Human review queue");
+  console.log("  GET  /webhooks/deliveries - Webhook deliveries");
   console.log("=".repeat(60));
 });
 
@@ -370,6 +550,7 @@ const server = app.listen(PORT, () => {
 function gracefulShutdown(signal) {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
   isShuttingDown = true;
+  decisionService.stopRulesWatcher();
 
   // Give load balancer time to remove us from rotation
   setTimeout(() => {
@@ -379,7 +560,11 @@ function gracefulShutdown(signal) {
         process.exit(1);
       }
       console.log("Server closed. Goodbye!");
-      process.exit(0);
+      Promise.all([
+        auditStore?.close(),
+        reviewQueue?.close(),
+        aiCache?.close(),
+      ]).finally(() => process.exit(0));
     });
   }, 5000);
 
@@ -0,0 +1,40 @@
+/**
+ * ============================================================================
+ * CONCURRENCY HELPERS
+ * ============================================================================
+ * Small promise limiter used to bound fan-out to slow dependencies
+ * (e.g. AI providers during batch decisions)
+ * ============================================================================
+ */
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once
+ * Usage: const limit = createLimiter(4); await limit(() => doWork());
+ */
+export function createLimiter(concurrency) {
+  const max = Math.max(1, concurrency || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return function limit(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+  };
+}
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLimiter } from "./concurrency.js";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("runs at most `concurrency` tasks at once and keeps results in order", async () => {
+  const limit = createLimiter(2);
+  let active = 0;
+  let maxActive = 0;
+
+  const results = await Promise.all(
+    [1, 2, 3, 4, 5].map((n) =>
+      limit(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await delay(10);
+        active--;
+        return n * 10;
+      })
+    )
+  );
+
+  assert.equal(maxActive, 2);
+  assert.deepEqual(results, [10, 20, 30, 40, 50]);
+});
+
+test("a rejected task releases its slot for the next one", async () => {
+  const limit = createLimiter(1);
+
+  const failed = limit(async () => {
+    throw new Error("boom");
+  });
+  const thrown = limit(() => {
+    throw new Error("sync boom");
+  });
+  const next = limit(async () => "ran");
+
+  await assert.rejects(failed, /boom/);
+  await assert.rejects(thrown, /sync boom/);
+  assert.equal(await next, "ran");
+});
+
+test("treats a missing or non-positive concurrency as 1", async () => {
+  for (const concurrency of [undefined, 0, -3]) {
+    const limit = createLimiter(concurrency);
+    let active = 0;
+    let maxActive = 0;
+
+    await Promise.all(
+      [1, 2, 3].map(() =>
+        limit(async () => {
+          active++;
+          maxActive = Math.max(maxActive, active);
+          await delay(5);
+          active--;
+        })
+      )
+    );
+    assert.equal(maxActive, 1);
+  }
+});
@@ -0,0 +1,459 @@
+/**
+ * ============================================================================
+ * WEBHOOK DISPATCHER - Signed, retried delivery of decision events
+ * ============================================================================
+ *
+ * Design Decisions:
+ * 1. Two kinds of targets: a per-request callbackUrl (sent with /decide)
+ *    and registered subscriptions that receive every event they list
+ * 2. Every body is signed: X-Decision-Signature = sha256=HMAC(secret,
+ *    "<timestamp>.<body>") so receivers can verify origin and freshness
+ * 3. Non-2xx responses and network errors are retried with exponential
+ *    backoff (+ jitter) up to maxAttempts
+ * 4. Delivery history is kept in memory (bounded) for GET /webhooks/deliveries
+ * 5. Targets may not resolve to loopback, link-local, private or reserved
+ *    addresses (SSRF) unless allowPrivateNetworks is set. The check runs
+ *    when a URL is accepted and again inside the socket's DNS lookup, so
+ *    a host cannot rebind to an internal address between the two.
+ *    allowedHosts (if set) restricts targets to those hostnames, which are
+ *    then trusted as configured by the operator
+ *
+ * Events:
+ * - decision.completed - async AI analysis finished (callbackUrl requests)
+ * - review.resolved    - a human resolved a REVIEW decision
+ * ============================================================================
+ */
+
+import axios from "axios";
+import { createHmac } from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import * as metrics from "../metrics/prometheus.js";
+
+export const WEBHOOK_EVENTS = ["decision.completed", "review.resolved"];
+
+export const DELIVERY_STATUS = {
+  PENDING: "PENDING",
+  DELIVERED: "DELIVERED",
+  FAILED: "FAILED",
+};
+
+/**
+ * Validate a callback / subscription URL
+ * Returns an error message, or null if the URL is acceptable
+ */
+export function validateWebhookUrl(url) {
+  if (typeof url !== "string" || url.trim() === "") {
+    return "URL must be a non-empty string";
+  }
+  try {
+    const parsed = new URL(url);
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      return "URL must use http or https";
+    }
+    return null;
+  } catch {
+    return "URL is not valid";
+  }
+}
+
+// Loopback, link-local (cloud metadata), private and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+/**
+ * True for addresses webhooks must never reach
+ */
+export function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) address = mapped[1];
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Parse WEBHOOK_SUBSCRIPTIONS, skipping entries without a url or secret
+ * (an entry may rely on the global signing secret instead of its own)
+ * Malformed JSON disables static subscriptions instead of crashing startup
+ */
+export function parseWebhookSubscriptions(raw, signingSecret = null) {
+  if (!raw) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch (err) {
+    console.error("[WebhookDispatcher] Invalid WEBHOOK_SUBSCRIPTIONS JSON:", err.message);
+    return [];
+  }
+
+  if (!Array.isArray(entries)) {
+    console.error("[WebhookDispatcher] WEBHOOK_SUBSCRIPTIONS must be a JSON array");
+    return [];
+  }
+
+  return entries.filter((entry, i) => {
+    const hasUrl = typeof entry?.url === "string" && entry.url.trim() !== "";
+    const hasSecret =
+      (typeof entry?.secret === "string" && entry.secret !== "") ||
+      (entry?.secret === undefined && signingSecret !== null);
+
+    if (!hasUrl || !hasSecret) {
+      console.warn(
+        `[WebhookDispatcher] Skipping WEBHOOK_SUBSCRIPTIONS[${i}]: ` +
+          (hasUrl ? "secret is required" : "url is required")
+      );
+    }
+    return hasUrl && hasSecret;
+  });
+}
+
+/**
+ * Compute the signature header value for a payload
+ */
+export function signPayload(secret, timestamp, body) {
+  const hmac = createHmac("sha256", secret).update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest("hex")}`;
+}
+
+export class WebhookDispatcher {
+  constructor(config = {}) {
+    this.signingSecret = config.signingSecret || null;
+    this.maxAttempts = config.maxAttempts || 5;
+    this.baseDelayMs = config.baseDelayMs || 1000;
+    this.timeout = config.timeout || 5000;
+    this.maxDeliveries = config.maxDeliveries || 1000;
+    this.allowedHosts = (config.allowedHosts || []).map((h) => h.toLowerCase());
+    this.allowPrivateNetworks = config.allowPrivateNetworks === true;
+
+    // Every connection re-checks the resolved address (DNS rebinding)
+    const lookup = (hostname, options, callback) =>
+      this.guardedLookup(hostname, options, callback);
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+
+    this.subscriptions = new Map();
+    this.deliveries = [];
+
+    // Static subscriptions are checked like API ones (DNS is async)
+    this.ready = Promise.all(
+      (config.subscriptions || []).map(async (subscription) => {
+        const result = await this.subscribe(subscription);
+        if (!result.success) {
+          console.error(`[WebhookDispatcher] Skipping subscription: ${result.error}`);
+        }
+      })
+    );
+  }
+
+  /**
+   * Per-request callbacks are signed with the global secret
+   */
+  supportsCallbacks() {
+    return this.signingSecret !== null;
+  }
+
+  // ============================================================================
+  // Target policy
+  // ============================================================================
+
+  isAllowedHost(hostname) {
+    return this.allowedHosts.includes(hostname.toLowerCase());
+  }
+
+  /**
+   * Check a URL against the target policy (allowlist, blocked ranges)
+   * Returns an error message, or null if the URL may be called
+   */
+  async checkTarget(url) {
+    const urlError = validateWebhookUrl(url);
+    if (urlError) return urlError;
+
+    // URL keeps IPv6 literals bracketed
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+
+    if (this.allowedHosts.length > 0) {
+      return this.isAllowedHost(hostname)
+        ? null
+        : `Host ${hostname} is not in WEBHOOK_ALLOWED_HOSTS`;
+    }
+    if (this.allowPrivateNetworks) return null;
+
+    let addresses;
+    try {
+      addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      return `Host ${hostname} does not resolve (${error.code || error.message})`;
+    }
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    return blocked
+      ? `Host ${hostname} resolves to a private or reserved address (${blocked.address})`
+      : null;
+  }
+
+  /**
+   * dns.lookup for the delivery agents: fails the connection when the
+   * host resolves to a blocked address
+   */
+  guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      if (this.allowPrivateNetworks || this.isAllowedHost(hostname)) {
+        return callback(null, address, family);
+      }
+
+      const addresses = Array.isArray(address) ? address : [{ address }];
+      const blocked = addresses.find((a) => isBlockedAddress(a.address));
+      if (blocked) {
+        const blockedError = new Error(
+          `Host ${hostname} resolves to a private or reserved address (${blocked.address})`
+        );
+        blockedError.code = "EBLOCKEDADDRESS";
+        return callback(blockedError);
+      }
+      callback(null, address, family);
+    });
+  }
+
+  // ============================================================================
+  // Subscriptions
+  // ============================================================================
+
+  async subscribe({ url, events = WEBHOOK_EVENTS, secret }) {
+    const urlError = await this.checkTarget(url);
+    if (urlError) {
+      return { success: false, error: urlError };
+    }
+
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((e) => !WEBHOOK_EVENTS.includes(e))
+    ) {
+      return {
+        success: false,
+        error: `events must be a non-empty subset of ${WEBHOOK_EVENTS.join(", ")}`,
+      };
+    }
+
+    if (secret !== undefined && secret !== null && (typeof secret !== "string" || secret === "")) {
+      return { success: false, error: "secret must be a non-empty string" };
+    }
+
+    if (!secret && !this.signingSecret) {
+      return {
+        success: false,
+        error: "A secret is required when WEBHOOK_SIGNING_SECRET is not set",
+      };
+    }
+
+    const subscription = {
+      id: `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      url,
+      events,
+      secret: secret || null,
+      createdAt: new Date().toISOString(),
+    };
+    this.subscriptions.set(subscription.id, subscription);
+
+    return { success: true, subscription: this.describeSubscription(subscription) };
+  }
+
+  unsubscribe(id) {
+    return this.subscriptions.delete(id);
+  }
+
+  listSubscriptions() {
+    return [...this.subscriptions.values()].map((s) =>
+      this.describeSubscription(s)
+    );
+  }
+
+  describeSubscription(subscription) {
+    // Never echo secrets back
+    const { secret, ...rest } = subscription;
+    return { ...rest, customSecret: secret !== null };
+  }
+
+  // ============================================================================
+  // Delivery
+  // ============================================================================
+
+  /**
+   * Deliver an event to its callbackUrl (if any) and matching subscriptions
+   * Returns the created delivery records; sending happens in the background
+   */
+  dispatch(event, payload, { callbackUrl } = {}) {
+    const targets = [];
+
+    if (callbackUrl && this.signingSecret) {
+      targets.push({ url: callbackUrl, target: "callback", secret: this.signingSecret });
+    }
+
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.events.includes(event)) {
+        targets.push({
+          url: subscription.url,
+          target: subscription.id,
+          secret: subscription.secret || this.signingSecret,
+        });
+      }
+    }
+
+    return targets.map(({ url, target, secret }) => {
+      const delivery = {
+        id: `dlv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        event,
+        url,
+        target,
+        requestId: payload?.requestId ?? payload?.meta?.requestId ?? null,
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        lastStatusCode: null,
+        lastError: null,
+        createdAt: new Date().toISOString(),
+        deliveredAt: null,
+        nextAttemptAt: null,
+      };
+
+      this.track(delivery);
+      this.attempt(delivery, JSON.stringify({ event, data: payload }), secret);
+      return delivery;
+    });
+  }
+
+  async attempt(delivery, body, secret) {
+    delivery.attempts++;
+    delivery.nextAttemptAt = null;
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    // Policy violations are final - retrying cannot fix them
+    const targetError = await this.checkTarget(delivery.url);
+    if (targetError) {
+      delivery.lastError = targetError;
+      delivery.status = DELIVERY_STATUS.FAILED;
+      metrics.recordWebhookDelivery({ event: delivery.event, result: "failed" });
+      console.error(
+        `[WebhookDispatcher] ${delivery.event} to ${delivery.url} blocked: ${targetError}`
+      );
+      return;
+    }
+
+    try {
+      const response = await axios.post(delivery.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "X-Decision-Event": delivery.event,
+          "X-Decision-Delivery": delivery.id,
+          "X-Decision-Timestamp": timestamp,
+          "X-Decision-Signature": signPayload(secret, timestamp, body),
+        },
+        timeout: this.timeout,
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent,
+        // Never follow redirects to unchecked targets
+        maxRedirects: 0,
+        // Treat every status as a response; we decide what counts as success
+        validateStatus: () => true,
+      });
+
+      delivery.lastStatusCode = response.status;
+      if (response.status >= 200 && response.status < 300) {
+        delivery.status = DELIVERY_STATUS.DELIVERED;
+        delivery.deliveredAt = new Date().toISOString();
+        delivery.lastError = null;
+        metrics.recordWebhookAttempt({ event: delivery.event, success: true });
+        metrics.recordWebhookDelivery({ event: delivery.event, result: "delivered" });
+        return;
+      }
+      delivery.lastError = `HTTP ${response.status}`;
+    } catch (error) {
+      delivery.lastError = error.code || error.message;
+    }
+
+    metrics.recordWebhookAttempt({ event: delivery.event, success: false });
+
+    if (delivery.attempts >= this.maxAttempts) {
+      delivery.status = DELIVERY_STATUS.FAILED;
+      metrics.recordWebhookDelivery({ event: delivery.event, result: "failed" });
+      console.error(
+        `[WebhookDispatcher] ${delivery.event} to ${delivery.url} failed after ${delivery.attempts} attempts: ${delivery.lastError}`
+      );
+      return;
+    }
+
+    // Exponential backoff with up to 20% jitter
+    const delay =
+      this.baseDelayMs * 2 ** (delivery.attempts - 1) * (1 + Math.random() * 0.2);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+
+    setTimeout(() => this.attempt(delivery, body, secret), delay).unref();
+  }
+
+  /**
+   * Keep a bounded delivery history (oldest finished deliveries dropped)
+   */
+  track(delivery) {
+    this.deliveries.push(delivery);
+    while (this.deliveries.length > this.maxDeliveries) {
+      const index = this.deliveries.findIndex(
+        (d) => d.status !== DELIVERY_STATUS.PENDING
+      );
+      if (index === -1) return;
+      this.deliveries.splice(index, 1);
+    }
+  }
+
+  /**
+   * Delivery history, newest first
+   */
+  listDeliveries({ status, event, requestId, limit = 50 } = {}) {
+    return this.deliveries
+      .filter(
+        (d) =>
+          (!status || d.status === status) &&
+          (!event || d.event === event) &&
+          (!requestId || d.requestId === requestId)
+      )
+      .slice(-limit)
+      .reverse();
+  }
+
+  counts() {
+    const counts = { PENDING: 0, DELIVERED: 0, FAILED: 0 };
+    for (const d of this.deliveries) counts[d.status]++;
+    return counts;
+  }
+}
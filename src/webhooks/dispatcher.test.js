@@ -0,0 +1,180 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createHmac } from "crypto";
+import {
+  WebhookDispatcher,
+  DELIVERY_STATUS,
+  isBlockedAddress,
+  parseWebhookSubscriptions,
+  signPayload,
+} from "./dispatcher.js";
+
+/**
+ * Local receiver answering with the given status codes in turn
+ */
+async function receiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests, server };
+}
+
+async function settled(delivery) {
+  while (delivery.status === DELIVERY_STATUS.PENDING) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test("signPayload is HMAC-SHA256 over <timestamp>.<body>", () => {
+  const expected = createHmac("sha256", "s3cret").update("1700000000.{}").digest("hex");
+  assert.equal(signPayload("s3cret", "1700000000", "{}"), `sha256=${expected}`);
+});
+
+test("isBlockedAddress covers loopback, link-local, private and mapped addresses", () => {
+  for (const address of [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.20.0.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::1",
+    "fe80::1",
+    "fd00::1",
+    "::ffff:127.0.0.1",
+  ]) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  assert.equal(isBlockedAddress("93.184.216.34"), false);
+  assert.equal(isBlockedAddress("2606:4700::1111"), false);
+});
+
+test("rejects private targets, honours the allowlist", async () => {
+  const webhooks = new WebhookDispatcher({ signingSecret: "s" });
+  assert.match(await webhooks.checkTarget("http://169.254.169.254/latest"), /private or reserved/);
+  assert.match(await webhooks.checkTarget("http://[::1]:8080/"), /private or reserved/);
+  assert.match(await webhooks.checkTarget("http://localhost/"), /private or reserved/);
+  assert.equal(await webhooks.checkTarget("ftp://example.com/"), "URL must use http or https");
+
+  const allowlisted = new WebhookDispatcher({ signingSecret: "s", allowedHosts: ["hooks.internal"] });
+  assert.equal(await allowlisted.checkTarget("https://hooks.internal/x"), null);
+  assert.match(await allowlisted.checkTarget("https://example.com/"), /not in WEBHOOK_ALLOWED_HOSTS/);
+});
+
+test("connections re-check the resolved address", async () => {
+  const webhooks = new WebhookDispatcher({ signingSecret: "s" });
+  const error = await new Promise((resolve) =>
+    webhooks.guardedLookup("localhost", {}, (err) => resolve(err))
+  );
+  assert.equal(error.code, "EBLOCKEDADDRESS");
+});
+
+test("subscribe validates events and secret", async () => {
+  const webhooks = new WebhookDispatcher({ allowPrivateNetworks: true });
+  const url = "http://127.0.0.1:1/hook";
+
+  assert.equal((await webhooks.subscribe({ url, events: ["nope"], secret: "x" })).success, false);
+  assert.deepEqual(await webhooks.subscribe({ url, secret: 42 }), {
+    success: false,
+    error: "secret must be a non-empty string",
+  });
+  assert.match((await webhooks.subscribe({ url })).error, /secret is required/);
+
+  const result = await webhooks.subscribe({ url, secret: "x" });
+  assert.equal(result.success, true);
+  assert.equal(result.subscription.customSecret, true);
+  assert.equal("secret" in result.subscription, false);
+});
+
+test("delivers a signed event, retrying non-2xx responses", async (t) => {
+  const target = await receiver([500, 503, 200]);
+  t.after(() => target.server.close());
+
+  const webhooks = new WebhookDispatcher({
+    signingSecret: "s3cret",
+    allowPrivateNetworks: true,
+    baseDelayMs: 5,
+  });
+  const [delivery] = webhooks.dispatch(
+    "decision.completed",
+    { requestId: "req_1" },
+    { callbackUrl: target.url }
+  );
+  await settled(delivery);
+
+  assert.equal(delivery.status, DELIVERY_STATUS.DELIVERED);
+  assert.equal(delivery.attempts, 3);
+  assert.equal(target.requests.length, 3);
+
+  const { headers, body } = target.requests[2];
+  assert.equal(headers["x-decision-event"], "decision.completed");
+  assert.equal(
+    headers["x-decision-signature"],
+    signPayload("s3cret", headers["x-decision-timestamp"], body)
+  );
+  assert.deepEqual(JSON.parse(body), { event: "decision.completed", data: { requestId: "req_1" } });
+});
+
+test("gives up after maxAttempts", async (t) => {
+  const target = await receiver([500]);
+  t.after(() => target.server.close());
+
+  const webhooks = new WebhookDispatcher({
+    signingSecret: "s",
+    allowPrivateNetworks: true,
+    baseDelayMs: 5,
+    maxAttempts: 2,
+  });
+  const [delivery] = webhooks.dispatch("decision.completed", {}, { callbackUrl: target.url });
+  await settled(delivery);
+
+  assert.equal(delivery.status, DELIVERY_STATUS.FAILED);
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.lastError, "HTTP 500");
+});
+
+test("blocked targets fail without being contacted", async () => {
+  const webhooks = new WebhookDispatcher({ signingSecret: "s" });
+  const [delivery] = webhooks.dispatch(
+    "decision.completed",
+    {},
+    { callbackUrl: "http://127.0.0.1:1/hook" }
+  );
+  await settled(delivery);
+
+  assert.equal(delivery.status, DELIVERY_STATUS.FAILED);
+  assert.equal(delivery.attempts, 1);
+  assert.match(delivery.lastError, /private or reserved/);
+});
+
+test("WEBHOOK_SUBSCRIPTIONS parsing skips bad input instead of throwing", () => {
+  assert.deepEqual(parseWebhookSubscriptions(undefined), []);
+  assert.deepEqual(parseWebhookSubscriptions("[{"), []);
+  assert.deepEqual(parseWebhookSubscriptions('{"url": "https://a.example"}'), []);
+
+  const raw = JSON.stringify([
+    { url: "https://a.example", secret: "s" },
+    { url: "https://b.example" },
+    { secret: "s" },
+    { url: "https://c.example", secret: "" },
+  ]);
+  assert.deepEqual(
+    parseWebhookSubscriptions(raw).map((s) => s.url),
+    ["https://a.example"]
+  );
+  // Entries without their own secret fall back to the global one
+  assert.deepEqual(
+    parseWebhookSubscriptions(raw, "global").map((s) => s.url),
+    ["https://a.example", "https://b.example"]
+  );
+});